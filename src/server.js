@@ -3,16 +3,41 @@ import http from 'http';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
 import { logger } from './utils/logger.js';
-import { setupGmailWatch, renewWatch } from './services/gmail/watch.js';
-import { handleWebhook } from './services/gmail/webhook.js';
+import { setupGmailWatch, renewWatch, getWatchStatus } from './services/gmail/watch.js';
+import { handleWebhook, queueHistoryCatchUp } from './services/gmail/webhook.js';
+import { getQueueStatus } from './services/gmail/queue.js';
+import { listScheduledReplies, sendDueReplies, startScheduledSender } from './services/gmail/schedule/index.js';
 import { sendEmail } from './services/gmail/sender.js';
+import { MessageValidationError } from './services/gmail/mime/index.js';
+import { getGmailAuth } from './services/gmail/auth.js';
+import {
+  ReviewErrorCode,
+  approveDraft,
+  discardDraft,
+  editAndSendDraft,
+  getReviewStats,
+  listPendingReviews,
+  regenerateDraft
+} from './services/gmail/review.js';
 import { getSecrets } from './utils/secretManager.js';
 import { initializeChatService } from './services/chat/index.js';
 import { processDirectMessage } from './services/direct/index.js';
-import { crmPublisher, gmailPublisher } from './services/pubsub/index.js';
+import { getUsageReport } from './services/llm/index.js';
+import {
+  PushAuthErrorCode,
+  crmPublisher,
+  gmailPublisher,
+  logPushAuthConfig,
+  verifyPushRequest
+} from './services/pubsub/index.js';
 
 const app = express();
-app.use(express.json());
+// Outbound email may carry base64 attachments, so its larger body is only
+// parsed inside the route, once the API key has been checked
+const EMAIL_SEND_PATH = '/api/email/send';
+const parseJson = express.json();
+const parseEmailJson = express.json({ limit: '35mb' });
+app.use((req, res, next) => (req.path === EMAIL_SEND_PATH ? next() : parseJson(req, res, next)));
 
 // Enable trust proxy since we're behind Cloud Run
 app.set('trust proxy', true);
@@ -81,6 +106,38 @@ async function verifyDirectApiKey(req, res, next) {
   }
 }
 
+// Middleware to verify that Gmail notifications come from our Pub/Sub push subscription
+async function verifyPubSubPush(req, res, next) {
+  try {
+    const result = await verifyPushRequest({
+      authorization: req.headers.authorization,
+      token: typeof req.query.token === 'string' ? req.query.token : null
+    });
+
+    if (!result.success) {
+      logger.warn('Rejected Pub/Sub push', {
+        code: result.error.code,
+        reason: result.error.message,
+        ip: req.ip
+      });
+
+      if (result.error.code === PushAuthErrorCode.NOT_CONFIGURED) {
+        return res.status(500).json({ error: 'Push authentication not configured' });
+      }
+      if (result.error.code === PushAuthErrorCode.MISSING_CREDENTIALS) {
+        return res.status(401).json({ error: 'Push credentials required' });
+      }
+      return res.status(403).json({ error: 'Invalid push credentials' });
+    }
+
+    req.pushAuth = { method: result.method, email: result.claims?.email };
+    next();
+  } catch (error) {
+    logger.error('Pub/Sub push verification failed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 // Middleware to verify shared secret for watch renewal
 async function verifySharedSecret(req, res, next) {
   try {
@@ -103,7 +160,7 @@ async function verifySharedSecret(req, res, next) {
   }
 }
 
-app.post('/api/gmail/webhook', async (req, res) => {
+app.post('/api/gmail/webhook', verifyPubSubPush, async (req, res) => {
   try {
     logger.info('Webhook received', { body: JSON.stringify(req.body) });
 
@@ -111,23 +168,35 @@ app.post('/api/gmail/webhook', async (req, res) => {
     const message = req.body.message;
     const subscription = req.body.subscription;
 
+    // Malformed pushes are acknowledged, or Pub/Sub would redeliver them until retention expires
     if (!message || !subscription) {
-      logger.error('Invalid Pub/Sub message format');
-      return res.status(400).json({ error: 'Invalid message format' });
+      logger.warn('Acknowledging push with invalid Pub/Sub message format');
+      return res.status(204).end();
+    }
+
+    // Queue the sync and acknowledge right away; processing runs in the background
+    const queued = handleWebhook(req.body);
+
+    if (queued.malformed) {
+      return res.status(204).end();
     }
 
-    // Process the webhook
-    await handleWebhook(req.body);
+    if (!queued.accepted) {
+      // Not acknowledging makes Pub/Sub redeliver once the queue has drained
+      return res.status(503).json({ error: 'Queue full' });
+    }
 
-    // Acknowledge the message by sending 200 status
     res.status(200).json({ 
-      status: 'success',
+      status: 'queued',
       messageId: message.messageId,
+      jobId: queued.jobId,
       subscription 
     });
 
     logger.info('Pub/Sub message acknowledged', { 
       messageId: message.messageId,
+      jobId: queued.jobId,
+      coalesced: queued.coalesced,
       subscription 
     });
   } catch (error) {
@@ -147,9 +216,58 @@ app.post('/api/gmail/renew-watch', verifySharedSecret, async (req, res) => {
   }
 });
 
-app.post('/api/email/send', verifyApiKey, async (req, res) => {
+app.get('/api/gmail/watch-status', verifyApiKey, async (req, res) => {
+  try {
+    const status = await getWatchStatus();
+    res.status(status.active ? 200 : 503).json(status);
+  } catch (error) {
+    logger.error('Watch status check failed:', error);
+    res.status(500).json({ error: 'Failed to load watch status' });
+  }
+});
+
+app.get('/api/gmail/queue', verifyApiKey, (req, res) => {
+  try {
+    res.status(200).json(getQueueStatus());
+  } catch (error) {
+    logger.error('Queue status check failed:', error);
+    res.status(500).json({ error: 'Failed to load queue status' });
+  }
+});
+
+app.get('/api/gmail/scheduled', verifyApiKey, async (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status : null;
+    res.status(200).json({ replies: await listScheduledReplies({ status }) });
+  } catch (error) {
+    logger.error('Listing scheduled replies failed:', error);
+    res.status(500).json({ error: 'Failed to list scheduled replies' });
+  }
+});
+
+// Cloud Scheduler calls this too, so due replies go out even if no instance's timer ran
+app.post('/api/gmail/scheduled/send-due', verifySharedSecret, async (req, res) => {
   try {
-    const { to, subject, body, threadId } = req.body;
+    res.status(200).json({ sent: await sendDueReplies() });
+  } catch (error) {
+    logger.error('Sending due scheduled replies failed:', error);
+    res.status(500).json({ error: 'Failed to send due scheduled replies' });
+  }
+});
+
+app.get('/api/llm/usage', verifyApiKey, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 62);
+    res.status(200).json(await getUsageReport({ days }));
+  } catch (error) {
+    logger.error('Loading LLM usage failed:', error);
+    res.status(500).json({ error: 'Failed to load LLM usage' });
+  }
+});
+
+app.post(EMAIL_SEND_PATH, verifyApiKey, parseEmailJson, async (req, res) => {
+  try {
+    const { to, cc, subject, body, text, threadId, attachments = [] } = req.body;
 
     if (!to || !subject || !body) {
       return res.status(400).json({
@@ -158,10 +276,22 @@ app.post('/api/email/send', verifyApiKey, async (req, res) => {
       });
     }
 
-    const result = await sendEmail(to, subject, body, threadId);
+    if (!Array.isArray(attachments) ||
+        attachments.some(file => !file?.filename || typeof file.content !== 'string')) {
+      return res.status(400).json({
+        error: 'Invalid attachments',
+        expected: '[{ filename, mimeType, content (base64) }]'
+      });
+    }
+
+    const result = await sendEmail(to, subject, body, threadId, { cc, text, attachments });
     
     res.status(200).json(result);
   } catch (error) {
+    if (error instanceof MessageValidationError) {
+      return res.status(400).json({ error: 'Invalid email', message: error.message });
+    }
+
     logger.error('Email sending failed:', error);
     res.status(500).json({
       error: 'Failed to send email',
@@ -170,6 +300,98 @@ app.post('/api/email/send', verifyApiKey, async (req, res) => {
   }
 });
 
+// Draft review endpoints: staff approve, edit, regenerate or discard AI drafts
+const REVIEW_ERROR_STATUS = {
+  [ReviewErrorCode.NOT_FOUND]: 404,
+  [ReviewErrorCode.NOT_PENDING]: 409,
+  [ReviewErrorCode.DRAFT_MISSING]: 410
+};
+
+function sendReviewResult(res, result) {
+  if (!result.success) {
+    return res.status(REVIEW_ERROR_STATUS[result.error.code] || 400).json(result);
+  }
+  res.status(200).json(result);
+}
+
+app.get('/api/drafts', verifyApiKey, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const auth = await getGmailAuth();
+    const drafts = await listPendingReviews(auth, { limit });
+    res.status(200).json({ drafts });
+  } catch (error) {
+    logger.error('Listing drafts failed:', error);
+    res.status(500).json({ error: 'Failed to list drafts', message: error.message });
+  }
+});
+
+app.get('/api/drafts/stats', verifyApiKey, async (req, res) => {
+  try {
+    res.status(200).json(await getReviewStats());
+  } catch (error) {
+    logger.error('Draft stats failed:', error);
+    res.status(500).json({ error: 'Failed to load draft stats', message: error.message });
+  }
+});
+
+app.post('/api/drafts/:draftId/approve', verifyApiKey, async (req, res) => {
+  try {
+    const auth = await getGmailAuth();
+    const result = await approveDraft(auth, req.params.draftId, { reviewer: req.body.reviewer });
+    sendReviewResult(res, result);
+  } catch (error) {
+    logger.error('Draft approval failed:', error);
+    res.status(500).json({ error: 'Failed to send draft', message: error.message });
+  }
+});
+
+app.post('/api/drafts/:draftId/edit', verifyApiKey, async (req, res) => {
+  try {
+    const { reply, reviewer } = req.body;
+
+    if (!reply || typeof reply !== 'string') {
+      return res.status(400).json({ error: 'Missing required fields', required: ['reply'] });
+    }
+
+    const auth = await getGmailAuth();
+    const result = await editAndSendDraft(auth, req.params.draftId, { reply, reviewer });
+    sendReviewResult(res, result);
+  } catch (error) {
+    logger.error('Draft edit failed:', error);
+    res.status(500).json({ error: 'Failed to send edited draft', message: error.message });
+  }
+});
+
+app.post('/api/drafts/:draftId/regenerate', verifyApiKey, async (req, res) => {
+  try {
+    const { instructions, reviewer } = req.body;
+
+    if (!instructions || typeof instructions !== 'string') {
+      return res.status(400).json({ error: 'Missing required fields', required: ['instructions'] });
+    }
+
+    const auth = await getGmailAuth();
+    const result = await regenerateDraft(auth, req.params.draftId, { instructions, reviewer });
+    sendReviewResult(res, result);
+  } catch (error) {
+    logger.error('Draft regeneration failed:', error);
+    res.status(500).json({ error: 'Failed to regenerate draft', message: error.message });
+  }
+});
+
+app.post('/api/drafts/:draftId/discard', verifyApiKey, async (req, res) => {
+  try {
+    const { reviewer, reason } = req.body;
+    const auth = await getGmailAuth();
+    const result = await discardDraft(auth, req.params.draftId, { reviewer, reason });
+    sendReviewResult(res, result);
+  } catch (error) {
+    logger.error('Draft discard failed:', error);
+    res.status(500).json({ error: 'Failed to discard draft', message: error.message });
+  }
+});
+
 // Direct message processing endpoint
 app.post('/api/process-message', 
   verifyDirectApiKey, // Use specific middleware for direct message endpoint
@@ -205,10 +427,18 @@ async function startServer() {
     // Initialize publishers
     await crmPublisher.initialize();
     await gmailPublisher.initialize();
+
+    logPushAuthConfig();
     
-    // Force Gmail watch setup on startup
-    logger.info('Starting server with forced Gmail watch setup');
+    // Reuse a valid Gmail watch or create one; renewal is scheduled from here on
+    logger.info('Starting server with Gmail watch setup');
     await setupGmailWatch();
+
+    // Work queued on an instance that was shut down is found again from the stored historyId
+    queueHistoryCatchUp();
+
+    // Replies scheduled before a restart or on another instance go out from here on
+    await startScheduledSender();
     
     server.listen(PORT, () => {
       logger.info('Server started', { port: PORT });
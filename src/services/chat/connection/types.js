@@ -1,3 +1,5 @@
+import { SUPPORTED_INPUT_TYPES } from '../../images/index.js';
+
 // Message Types
 export const MessageType = {
   CONNECT: 'connect',
@@ -31,12 +33,7 @@ export const ConnectionStatus = {
 
 // Image validation constants
 export const ImageValidation = {
-  SUPPORTED_TYPES: [
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp'
-  ],
+  SUPPORTED_TYPES: SUPPORTED_INPUT_TYPES,
   MAX_SIZE: 10 * 1024 * 1024 // 10MB
 };
 
@@ -2,9 +2,11 @@ import { logger } from '../../utils/logger.js';
 import { connectionManager } from './connection/manager.js';
 import { logChatSession } from './utils/loggingUtils.js';
 import { processChat } from './processor.js';
-import { validateAndPrepareImages } from './handlers/imageHandler.js';
+import { detectLanguage } from '../language/index.js';
+import { normalizePreparedImages, validateAndPrepareImages } from './handlers/imageHandler.js';
 import { getCurrentTimestamp } from './utils/timeUtils.js';
 import { MessageType, ConnectionState } from './connection/types.js';
+import { UsageChannel, createInteraction, runWithInteraction } from '../llm/index.js';
 
 export async function handleMessage(ws, data, client) {
   try {
@@ -75,7 +77,12 @@ export async function handleMessage(ws, data, client) {
       if (!validation.isValid) {
         throw new Error(validation.errors.join(', '));
       }
-      message.images = validation.images;
+
+      const normalized = await normalizePreparedImages(validation.images);
+      if (!normalized.isValid) {
+        throw new Error(normalized.errors.join(', '));
+      }
+      message.images = normalized.images;
       client.imageCount = (client.imageCount || 0) + message.images.length;
     }
 
@@ -84,11 +91,22 @@ export async function handleMessage(ws, data, client) {
       client.messages = [];
     }
 
+    // Model calls across the whole chat are counted against the conversation
+    if (!client.llmUsage) {
+      client.llmUsage = createInteraction({ channel: UsageChannel.CHAT, interactionId: client.conversationId });
+    }
+
+    // Short messages ("ok", "thanks") keep the language detected earlier in the chat
+    const language = await runWithInteraction(client.llmUsage, () =>
+      detectLanguage(message.content, { fallback: client.language }));
+    client.language = language;
+
     if (message.content || message.images?.length > 0) {
-      // Log user message immediately
+      // Log user message immediately; staff see an English translation alongside
       client.messages.push({
         role: 'user',
         content: message.content || '',
+        ...(language.translation && { language: language.code, translation: language.translation }),
         hasImages: !!message.images?.length,
         timestamp: getCurrentTimestamp(),
         messageId: message.messageId
@@ -96,7 +114,8 @@ export async function handleMessage(ws, data, client) {
     }
 
     // Process message
-    const response = await processChat(message, client.id);
+    const response = await runWithInteraction(client.llmUsage, () =>
+      processChat(message, client.id, { language }));
 
     // Store assistant response immediately
     client.messages.push({
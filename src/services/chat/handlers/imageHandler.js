@@ -1,5 +1,6 @@
 import { logger } from '../../../utils/logger.js';
 import { ImageValidation } from '../connection/types.js';
+import { normalizeImages } from '../../images/index.js';
 
 /**
  * Validate and prepare images for processing
@@ -51,6 +52,26 @@ export function validateAndPrepareImages(images) {
   };
 }
 
+/**
+ * Run validated images through the shared normalization pipeline
+ * @param {Array} images Images from validateAndPrepareImages (base64 data)
+ * @returns {Promise<Object>} Result with normalized images and errors
+ */
+export async function normalizePreparedImages(images) {
+  const { images: normalized, failures } = await normalizeImages(
+    images.map(image => ({ ...image, buffer: Buffer.from(image.data, 'base64') }))
+  );
+
+  return {
+    isValid: failures.length === 0,
+    errors: failures.map(failure => `${failure.filename || failure.mimeType}: ${failure.error}`),
+    images: normalized.map(({ buffer, ...image }) => ({
+      ...image,
+      data: buffer.toString('base64')
+    }))
+  };
+}
+
 /**
  * Validate individual image
  * @param {Object} image Image data object
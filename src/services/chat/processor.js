@@ -1,9 +1,11 @@
 import { logger } from '../../utils/logger.js';
 import { recordMetric } from '../../utils/monitoring.js';
-import { getOpenAIClient } from '../openai/client.js';
+import { LlmTask, complete } from '../llm/index.js';
 import { v4 as uuidv4 } from 'uuid';
 import { companyKnowledge } from '../../data/companyKnowledge.js';
 import { calculateTypingDelay } from './utils/typingDelay.js';
+import { languageInstruction } from '../language/index.js';
+import { PromptId, renderPrompt } from '../prompts/index.js';
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
@@ -41,10 +43,10 @@ function updateConversationContext(clientId, role, content, messageId) {
   }
 }
 
-export async function processChat(message, clientId) {
+export async function processChat(message, clientId, { language = null } = {}) {
   try {
     // Process chat message
-    return await processWithRetry(message, clientId);
+    return await processWithRetry(message, clientId, 0, language);
   } catch (error) {
     logger.error('Error in chat processor:', {
       error: error.message,
@@ -57,70 +59,19 @@ export async function processChat(message, clientId) {
   }
 }
 
-async function processWithRetry(message, clientId, retryCount = 0) {
+async function processWithRetry(message, clientId, retryCount = 0, language = null) {
   try {
-    const openai = await getOpenAIClient();
     const context = getConversationContext(clientId);
+    const languageGuide = languageInstruction(language);
 
     // Build messages array for OpenAI
     const messages = [
       {
         role: "system",
-        content: `You are Michelle Thompson, a professional customer service representative for Appraisily, a leading art and antique appraisal firm.
-
-Your role is to:
-- Be friendly and professional
-- Show expertise in art and antiques
-- Guide customers towards appraisal services
-- Never provide specific valuations
-- Keep responses focused and helpful
-- Maintain conversation context
-
-Company Knowledge:
-${JSON.stringify(companyKnowledge, null, 2)}
-
-Guidelines:
-1. Build rapport first
-- Start with warm, friendly greetings
-- Show genuine interest in their items
-- Ask engaging questions about the piece's history
-- Share relevant expertise and insights
-
-2. When analyzing images
-- Acknowledge receipt of images enthusiastically
-- Comment on specific, interesting details
-- Share insights about style/period
-- Show expertise through observations
-- Be encouraging and enthusiastic
-- Avoid immediate sales pitches
-
-3. Lead generation (Priority)
-- After building rapport, naturally ask for contact information
-- Ask questions about their items and collection
-- Guide them to share more details in the chat
-- Keep the conversation in the chat platform
-
-4. Service introduction
-- Only mention services after establishing trust
-- Frame as recommendations, not sales pitches
-- Emphasize value and expertise
-- Be patient, don't rush
-
-5. General communication
-- Be professional but warm
-- Focus on building relationships
-- Show genuine interest
-- Be helpful and informative
-- Keep responses focused
-- Maintain conversation context
-- Handle all inquiries within the chat
-- Never suggest sending emails or moving to email communication
-
-6. Image handling
-- You CAN receive and analyze images directly in the chat
-- Always encourage customers to share images of their items
-- When they do share images, show enthusiasm and expertise
-- Provide detailed observations about shared images`
+        content: renderPrompt(PromptId.CHAT_REPLY, {
+          companyKnowledge: JSON.stringify(companyKnowledge, null, 2),
+          languageGuide
+        }).text
       },
       ...context.map(msg => ({
         role: msg.role === "assistant" ? "assistant" : "user",
@@ -140,23 +91,19 @@ Guidelines:
       }
     ];
 
-    logger.debug('Sending chat request to OpenAI', {
+    logger.debug('Sending chat request to the LLM', {
       clientId,
       messageCount: messages.length,
       hasImages: message.images?.length > 0,
       imageCount: message.images?.length || 0,
+      language: language?.code,
       latestMessage: message.content
     });
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages,
-      temperature: 0.7,
-      max_tokens: 500
-    });
+    const completion = await complete(LlmTask.CHAT_REPLY, { messages });
 
     const responseId = uuidv4();
-    const reply = completion.choices[0].message.content;
+    const reply = completion.content;
 
     // Add human-like typing delay
     const typingDelay = calculateTypingDelay(reply, message.images?.length > 0);
@@ -190,7 +137,7 @@ Guidelines:
       });
 
       await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-      return processWithRetry(message, clientId, retryCount + 1);
+      return processWithRetry(message, clientId, retryCount + 1, language);
     }
 
     logger.error('Chat processing failed after retries', {
@@ -2,6 +2,14 @@ import { logger } from '../../../utils/logger.js';
 import { logChatConversation as logToSheets } from '../../sheets/index.js';
 import { analyzeChatConversation } from '../analyzer.js';
 import { crmPublisher } from '../../pubsub/index.js';
+import {
+  UsageChannel,
+  createInteraction,
+  getInteractionPrompts,
+  getInteractionUsage,
+  runWithInteraction
+} from '../../llm/index.js';
+import { formatPromptVersions } from '../../prompts/index.js';
 
 export async function logChatSession(client, reason = 'disconnect') {
   if (!client.messages?.length) {
@@ -27,6 +35,8 @@ export async function logChatSession(client, reason = 'disconnect') {
       imageCount: client.imageCount || 0,
       hasImages: (client.imageCount || 0) > 0,
       conversation: client.messages,
+      language: client.language?.code,
+      promptVersions: formatPromptVersions(getInteractionPrompts(client.llmUsage)),
       disconnectReason: reason,
       metadata: {
         type: 'CHAT_SESSION',
@@ -35,8 +45,11 @@ export async function logChatSession(client, reason = 'disconnect') {
       }
     });
 
-    // Analyze conversation
-    const analysis = await analyzeChatConversation(client.messages);
+    // Analyze conversation; its cost belongs to the chat like the replies
+    if (!client.llmUsage) {
+      client.llmUsage = createInteraction({ channel: UsageChannel.CHAT, interactionId: client.conversationId });
+    }
+    const analysis = await runWithInteraction(client.llmUsage, () => analyzeChatConversation(client.messages));
 
     // Prepare and publish CRM message
     const crmMessage = {
@@ -57,6 +70,8 @@ export async function logChatSession(client, reason = 'disconnect') {
       metadata: {
         origin: "web-chat",
         agentId: "michelle-bot",
+        llmUsage: getInteractionUsage(client.llmUsage),
+        prompts: getInteractionPrompts(client.llmUsage),
         timestamp: Date.now().toString()
       }
     };
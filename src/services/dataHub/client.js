@@ -1,6 +1,7 @@
 import fetch from 'node-fetch';
 import { logger } from '../../utils/logger.js';
 import { getSecrets } from '../../utils/secretManager.js';
+import { getOfflineApiInfo, isDataHubOffline, queryOfflineDataHub } from './offline.js';
 
 const DATA_HUB_API = 'https://data-hub-856401495068.us-central1.run.app';
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -23,6 +24,10 @@ async function getApiKey() {
 }
 
 async function fetchEndpoints() {
+  if (isDataHubOffline()) {
+    return getOfflineApiInfo();
+  }
+
   try {
     // Use cache if available and not expired
     if (endpointsCache && lastEndpointsFetch && (Date.now() - lastEndpointsFetch < CACHE_TTL)) {
@@ -60,6 +65,10 @@ async function fetchEndpoints() {
 }
 
 async function makeRequest(endpoint, method = 'GET', params = null, body = null) {
+  if (isDataHubOffline()) {
+    return queryOfflineDataHub(endpoint, params);
+  }
+
   try {
     // Only get API key for authenticated endpoints
     const apiKey = endpoint !== '/api/endpoints' ? await getApiKey() : null;
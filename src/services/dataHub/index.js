@@ -1,2 +1,3 @@
 export { dataHubClient } from './client.js';
-export { AppraisalStatus } from './types.js';
\ No newline at end of file
+export { AppraisalStatus } from './types.js';
+export { isDataHubOffline } from './offline.js';
\ No newline at end of file
@@ -0,0 +1,63 @@
+import { logger } from '../../utils/logger.js';
+
+// Same paths and shapes as the live Data Hub, with no records behind them
+const OFFLINE_ENDPOINTS = [
+  {
+    path: '/api/appraisals/pending',
+    method: 'GET',
+    description: 'Pending appraisals for a customer (offline: always empty)'
+  },
+  {
+    path: '/api/appraisals/completed',
+    method: 'GET',
+    description: 'Completed appraisals for a customer (offline: always empty)'
+  },
+  {
+    path: '/api/sales',
+    method: 'GET',
+    description: 'Sales for a customer (offline: always empty)'
+  }
+];
+
+/**
+ * Whether Data Hub calls are answered locally instead of over the network.
+ * DATA_HUB_OFFLINE=true forces it; it is on by default with LLM_PROVIDER=fake
+ * so offline runs need no network at all.
+ * @returns {boolean} Data Hub is offline
+ */
+export function isDataHubOffline() {
+  if (process.env.DATA_HUB_OFFLINE) {
+    return process.env.DATA_HUB_OFFLINE === 'true';
+  }
+  return process.env.LLM_PROVIDER === 'fake';
+}
+
+/**
+ * Endpoint listing as served by /api/endpoints
+ * @returns {Object} API info with the offline endpoints
+ */
+export function getOfflineApiInfo() {
+  return {
+    endpoints: OFFLINE_ENDPOINTS.map(endpoint => ({ ...endpoint })),
+    authentication: { type: 'none' },
+    offline: true
+  };
+}
+
+/**
+ * Answer a Data Hub query without records
+ * @param {string} endpoint Endpoint path
+ * @param {Object} [params] Query parameters
+ * @returns {import('./types.js').AppraisalResponse|import('./types.js').SaleResponse} Empty result
+ */
+export function queryOfflineDataHub(endpoint, params = null) {
+  if (!OFFLINE_ENDPOINTS.some(({ path }) => path === endpoint)) {
+    throw new Error(`Unknown endpoint: ${endpoint}`);
+  }
+
+  logger.info('Offline Data Hub query', { endpoint, params });
+
+  return endpoint.startsWith('/api/sales')
+    ? { sales: [], total: 0 }
+    : { appraisals: [], total: 0 };
+}
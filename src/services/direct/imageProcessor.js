@@ -1,11 +1,8 @@
-import sharp from 'sharp';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../utils/logger.js';
+import { normalizeImage } from '../images/index.js';
 import { ErrorCodes } from './types.js';
 
-const MAX_DIMENSION = 2048;
-const JPEG_QUALITY = 85;
-
 /**
  * Process and optimize images for OpenAI analysis
  * @param {Express.Multer.File[]} files Array of uploaded files
@@ -35,76 +32,29 @@ export async function processImages(files) {
         size: file.buffer.length
       });
 
-      // Process image with sharp
-      const image = sharp(file.buffer);
-      const metadata = await image.metadata();
-
-      logger.debug('Image metadata retrieved', {
-        imageId,
-        format: metadata.format,
-        width: metadata.width,
-        height: metadata.height,
-        space: metadata.space,
-        channels: metadata.channels,
-        depth: metadata.depth,
-        density: metadata.density,
-        hasAlpha: metadata.hasAlpha,
-        orientation: metadata.orientation
+      // Shared pipeline: orientation, metadata stripping, downscaling, JPEG
+      const image = await normalizeImage(file.buffer, {
+        filename: file.originalname,
+        mimeType: file.mimetype
       });
 
-      // Resize if dimensions exceed limit
-      if (metadata.width > MAX_DIMENSION || metadata.height > MAX_DIMENSION) {
-        logger.debug('Resizing image', {
-          imageId,
-          originalWidth: metadata.width,
-          originalHeight: metadata.height,
-          maxDimension: MAX_DIMENSION
-        });
-
-        image.resize(MAX_DIMENSION, MAX_DIMENSION, {
-          fit: 'inside',
-          withoutEnlargement: true
-        });
-      }
-
-      // Convert to optimized format
-      let processedBuffer;
-      if (metadata.format === 'gif') {
-        logger.debug('Keeping GIF format as is', {
-          imageId,
-          originalSize: file.buffer.length
-        });
-        processedBuffer = file.buffer;
-      } else {
-        logger.debug('Converting to optimized JPEG', {
-          imageId,
-          originalFormat: metadata.format,
-          quality: JPEG_QUALITY
-        });
-        
-        processedBuffer = await image
-          .jpeg({ quality: JPEG_QUALITY })
-          .toBuffer();
-      }
-
-      const processedMetadata = await sharp(processedBuffer).metadata();
-
       processedImages.push({
         id: imageId,
-        mimeType: metadata.format === 'gif' ? 'image/gif' : 'image/jpeg',
-        data: processedBuffer,
-        filename: file.originalname
+        mimeType: image.mimeType,
+        data: image.buffer,
+        filename: file.originalname,
+        metadata: image.metadata
       });
 
       logger.debug('Image processing completed', {
         imageId,
         originalSize: file.buffer.length,
-        processedSize: processedBuffer.length,
-        compressionRatio: (processedBuffer.length / file.buffer.length * 100).toFixed(2) + '%',
-        originalFormat: metadata.format,
-        finalFormat: processedMetadata.format,
-        finalWidth: processedMetadata.width,
-        finalHeight: processedMetadata.height
+        processedSize: image.buffer.length,
+        compressionRatio: (image.buffer.length / file.buffer.length * 100).toFixed(2) + '%',
+        originalFormat: image.metadata.originalFormat,
+        finalFormat: image.metadata.format,
+        finalWidth: image.metadata.width,
+        finalHeight: image.metadata.height
       });
     }
 
@@ -136,4 +86,4 @@ export async function processImages(files) {
       details: [error.message]
     };
   }
-}
\ No newline at end of file
+}
@@ -1,10 +1,20 @@
 import { logger } from '../../utils/logger.js';
 import { validateDirectMessage } from './validator.js';
 import { processImages } from './imageProcessor.js';
-import { getOpenAIClient } from '../openai/client.js';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  LlmTask,
+  UsageChannel,
+  complete,
+  getInteractionPrompts,
+  getInteractionUsage,
+  runWithInteraction
+} from '../llm/index.js';
 import { ErrorCodes } from './types.js';
 import { recordMetric } from '../../utils/monitoring.js';
-import { directMessagePrompts } from './prompts.js';
+import { PromptId, renderPrompt } from '../prompts/index.js';
+import { detectLanguage, languageInstruction } from '../language/index.js';
+import { companyKnowledge } from '../../data/companyKnowledge.js';
 
 const startTime = () => process.hrtime();
 const getProcessingTime = (start) => {
@@ -17,7 +27,12 @@ const getProcessingTime = (start) => {
  * @param {DirectMessageRequest} req Express request object
  * @returns {Promise<DirectMessageResponse>} Processing result
  */
-export async function processDirectMessage(req) {
+export function processDirectMessage(req) {
+  // Each request is its own interaction for token and cost accounting
+  return runWithInteraction({ channel: UsageChannel.DIRECT, interactionId: uuidv4() }, () => handleDirectMessage(req));
+}
+
+async function handleDirectMessage(req) {
   const processingStart = startTime();
 
   try {
@@ -61,15 +76,15 @@ export async function processDirectMessage(req) {
       });
     }
 
-    // Get OpenAI client
-    const openai = await getOpenAIClient();
+    // Answer in the language the request was written in
+    const language = await detectLanguage(req.body.text);
 
-    // Build system prompt
-    const systemPrompt = [
-      directMessagePrompts.base(),
-      processedImages.length > 0 ? directMessagePrompts.imageAnalysis() : '',
-      directMessagePrompts.responseFormat()
-    ].filter(Boolean).join('\n\n');
+    // Build system prompt; image instructions only when images were sent
+    const systemPrompt = renderPrompt(PromptId.DIRECT_REPLY, {
+      companyKnowledge: JSON.stringify(companyKnowledge, null, 2),
+      imageGuide: processedImages.length > 0 ? renderPrompt(PromptId.DIRECT_IMAGE_GUIDE).text : '',
+      languageGuide: languageInstruction(language)
+    }).text;
 
     // Build messages array
     const messages = [
@@ -147,8 +162,11 @@ export async function processDirectMessage(req) {
       });
     }
 
+    // Photos need the vision model; text-only requests use the cheaper one
+    const task = processedImages.length > 0 ? LlmTask.DIRECT_VISION_REPLY : LlmTask.DIRECT_REPLY;
+
     logger.info('OpenAI API request payload', {
-      model: processedImages.length > 0 ? "gpt-4o" : "gpt-4o-mini",
+      task,
       messageCount: messages.length,
       hasImages: processedImages.length > 0,
       textLength: req.body.text.length,
@@ -163,22 +181,17 @@ export async function processDirectMessage(req) {
     });
 
     // Generate response
-    const completion = await openai.chat.completions.create({
-      model: processedImages.length > 0 ? "gpt-4o" : "gpt-4o-mini",
-      messages,
-      temperature: 0.7,
-      max_tokens: 500
-    });
+    const completion = await complete(task, { messages });
 
     logger.info('OpenAI API response', {
-      choicesLength: completion.choices.length,
-      firstChoiceLength: completion.choices[0].message.content.length,
+      responseLength: completion.content.length,
       modelUsed: completion.model,
+      provider: completion.provider,
       usage: completion.usage,
       timestamp: new Date().toISOString()
     });
 
-    const response = completion.choices[0].message.content;
+    const response = completion.content;
 
     // Record metrics
     recordMetric('direct_messages_processed', 1);
@@ -190,7 +203,9 @@ export async function processDirectMessage(req) {
       processingTime: getProcessingTime(processingStart),
       imagesProcessed: processedImages.length,
       responseLength: response.length,
-      model: processedImages.length > 0 ? "gpt-4o" : "gpt-4o-mini",
+      model: completion.model,
+      language: language.code,
+      textTranslation: language.translation,
       timestamp: new Date().toISOString()
     });
 
@@ -201,7 +216,11 @@ export async function processDirectMessage(req) {
         metadata: {
           processingTime: getProcessingTime(processingStart),
           imagesProcessed: processedImages.length,
-          model: processedImages.length > 0 ? "gpt-4o" : "gpt-4o-mini"
+          images: processedImages.map(img => ({ id: img.id, filename: img.filename, ...img.metadata })),
+          language: language.code,
+          model: completion.model,
+          llmUsage: getInteractionUsage(),
+          prompts: getInteractionPrompts()
         }
       }
     };
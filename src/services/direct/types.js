@@ -15,6 +15,7 @@
  * @property {string} mimeType - Image MIME type
  * @property {Buffer} data - Processed image data
  * @property {string} [filename] - Original filename
+ * @property {Object} [metadata] - Normalization report (original/final format, dimensions, size)
  */
 
 /**
@@ -26,7 +27,11 @@
  * @property {Object} response.metadata - Processing metadata
  * @property {string} response.metadata.processingTime - Time taken to process
  * @property {number} response.metadata.imagesProcessed - Number of images processed
+ * @property {Object[]} response.metadata.images - Per-image normalization metadata
  * @property {string} response.metadata.model - OpenAI model used
+ * @property {string} response.metadata.language - Language of the request (ISO 639-1), used for the reply
+ * @property {Object} response.metadata.llmUsage - Tokens and estimated cost of the request's model calls
+ * @property {Object} response.metadata.prompts - Prompt version used per prompt ID
  * @property {Object} [error] - Error data if unsuccessful
  * @property {string} error.code - Error code
  * @property {string} error.message - Error message
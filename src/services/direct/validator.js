@@ -1,14 +1,10 @@
 import { logger } from '../../utils/logger.js';
+import { SUPPORTED_INPUT_TYPES } from '../images/index.js';
 import { ErrorCodes } from './types.js';
 
 const MAX_TEXT_LENGTH = 4000;
 const MAX_IMAGES = 5;
-const SUPPORTED_MIME_TYPES = [
-  'image/jpeg',
-  'image/png',
-  'image/webp',
-  'image/gif'
-];
+const SUPPORTED_MIME_TYPES = SUPPORTED_INPUT_TYPES;
 
 export function validateDirectMessage(req) {
   const errors = [];
@@ -0,0 +1,13 @@
+import mammoth from 'mammoth';
+
+/**
+ * Extract the plain text of a Word document (.docx)
+ * @param {Buffer} buffer DOCX file
+ * @returns {Promise<{text: string}>} Document text
+ */
+export async function extractDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return {
+    text: result.value.replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
@@ -0,0 +1,100 @@
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { normalizeImage } from '../images/index.js';
+import { extractDocx } from './docx.js';
+import { extractPdf } from './pdf.js';
+
+const MAX_EXCERPT_LENGTH = 3000;
+
+export const DocumentType = {
+  PDF: 'pdf',
+  DOCX: 'docx'
+};
+
+const MIME_TYPES = {
+  'application/pdf': DocumentType.PDF,
+  'application/x-pdf': DocumentType.PDF,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': DocumentType.DOCX
+};
+
+const EXTENSIONS = {
+  pdf: DocumentType.PDF,
+  docx: DocumentType.DOCX
+};
+
+/**
+ * Work out whether a file is a supported document
+ * @param {string} mimeType Declared MIME type
+ * @param {string} [filename] File name, used when the type is generic
+ * @returns {string|null} Document type or null
+ */
+export function resolveDocumentType(mimeType, filename) {
+  const type = MIME_TYPES[(mimeType || '').toLowerCase()];
+  if (type) {
+    return type;
+  }
+
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return EXTENSIONS[extension] || null;
+}
+
+/**
+ * Extract a bounded text excerpt from a PDF or DOCX file. Scanned PDFs
+ * without a text layer get their first pages rendered as images instead.
+ * @param {Buffer} buffer File content
+ * @param {Object} options File details
+ * @param {string} options.filename File name
+ * @param {string} [options.mimeType] Declared MIME type
+ * @param {number} [options.maxLength] Excerpt length limit in characters
+ * @returns {Promise<Object>} Document with filename, type, excerpt, truncated,
+ *   textLength, pageCount and rendered page images
+ */
+export async function extractDocument(buffer, { filename, mimeType, maxLength = MAX_EXCERPT_LENGTH }) {
+  const type = resolveDocumentType(mimeType, filename);
+  if (!type) {
+    throw new Error(`Unsupported document type: ${mimeType || filename}`);
+  }
+
+  const startTime = Date.now();
+  const extracted = type === DocumentType.PDF ? await extractPdf(buffer) : await extractDocx(buffer);
+
+  const images = [];
+  for (const [index, page] of (extracted.renderedPages || []).entries()) {
+    const image = await normalizeImage(page, {
+      filename: `${path.parse(filename).name}-page-${index + 1}.png`,
+      mimeType: 'image/png'
+    });
+    images.push({ ...image, size: image.buffer.length, source: filename });
+  }
+
+  const text = extracted.text || '';
+  const truncated = text.length > maxLength;
+
+  const document = {
+    filename,
+    type,
+    excerpt: truncated ? truncateExcerpt(text, maxLength) : text,
+    truncated,
+    textLength: text.length,
+    pageCount: extracted.pageCount || null,
+    scanned: images.length > 0,
+    images
+  };
+
+  logger.info('Document text extracted', {
+    filename,
+    type,
+    textLength: text.length,
+    pageCount: document.pageCount,
+    renderedPages: images.length,
+    duration: Date.now() - startTime
+  });
+  recordMetric('documents_extracted', 1);
+
+  return document;
+}
+
+function truncateExcerpt(text, maxLength) {
+  return maxLength > 0 ? `${text.slice(0, maxLength).trimEnd()}…` : '';
+}
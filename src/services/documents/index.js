@@ -0,0 +1 @@
+export { DocumentType, extractDocument, resolveDocumentType } from './extractor.js';
@@ -0,0 +1,78 @@
+import { createCanvas } from '@napi-rs/canvas';
+import { createRequire } from 'module';
+import path from 'path';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { logger } from '../../utils/logger.js';
+
+const MAX_TEXT_PAGES = 20;
+const RENDER_MAX_DIMENSION = 1600;
+
+// Metrics for the 14 standard PDF fonts, needed to lay out text that doesn't embed them
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')),
+  'standard_fonts/'
+);
+
+/**
+ * Extract text from a PDF, page by page
+ * @param {Buffer} buffer PDF file
+ * @param {Object} [options] Extraction options
+ * @param {number} [options.renderPages] Pages to render as images when the PDF has no text layer
+ * @param {number} [options.minTextLength] Below this many characters the PDF counts as scanned
+ * @returns {Promise<{text: string, pageCount: number, pagesRead: number, renderedPages: Array<Buffer>}>}
+ *   Extracted text and, for scanned PDFs, PNG renders of the first pages
+ */
+export async function extractPdf(buffer, { renderPages = 2, minTextLength = 100 } = {}) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pagesRead = Math.min(pdf.numPages, MAX_TEXT_PAGES);
+    const pages = [];
+
+    for (let number = 1; number <= pagesRead; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+      page.cleanup();
+    }
+
+    const text = pages.join('\n\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    const renderedPages = [];
+
+    // Scanned documents have no text layer; let the vision model read them
+    if (text.length < minTextLength) {
+      for (let number = 1; number <= Math.min(pdf.numPages, renderPages); number++) {
+        renderedPages.push(await renderPage(pdf, number));
+      }
+    }
+
+    return { text, pageCount: pdf.numPages, pagesRead, renderedPages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function renderPage(pdf, number) {
+  const page = await pdf.getPage(number);
+  const base = page.getViewport({ scale: 1 });
+  const scale = Math.min(RENDER_MAX_DIMENSION / Math.max(base.width, base.height), 3);
+  const viewport = page.getViewport({ scale });
+
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+
+  logger.debug('PDF page rendered', { page: number, width: canvas.width, height: canvas.height });
+  return canvas.toBuffer('image/png');
+}
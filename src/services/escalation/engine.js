@@ -0,0 +1,107 @@
+import { readFileSync } from 'fs';
+import { logger } from '../../utils/logger.js';
+import { matchesConditions } from '../policy/index.js';
+
+const DEFAULT_RULES_PATH = new URL('./rules.json', import.meta.url);
+
+export const EscalationMethod = {
+  SUMMARY: 'summary',
+  FORWARD: 'forward'
+};
+
+let cachedRules = null;
+
+/**
+ * Staff escalation settings from the environment. Escalation is off until
+ * ESCALATION_EMAIL is set.
+ * @returns {Object} Escalation configuration
+ */
+export function getEscalationConfig() {
+  const method = (process.env.ESCALATION_METHOD || EscalationMethod.SUMMARY).toLowerCase();
+  return {
+    enabled: !!process.env.ESCALATION_EMAIL,
+    recipient: process.env.ESCALATION_EMAIL || null,
+    method: Object.values(EscalationMethod).includes(method) ? method : EscalationMethod.SUMMARY
+  };
+}
+
+/**
+ * Load and validate the escalation rules
+ * @param {string|URL} [path] Config file path, defaults to ESCALATION_RULES_PATH or the bundled rules
+ * @returns {Object} Validated rules config
+ */
+export function loadEscalationRules(path = process.env.ESCALATION_RULES_PATH || DEFAULT_RULES_PATH) {
+  const config = JSON.parse(readFileSync(path, 'utf8'));
+  validateRules(config);
+
+  logger.info('Escalation rules loaded', {
+    version: config.version,
+    ruleCount: config.rules.length
+  });
+
+  return config;
+}
+
+/**
+ * Get the cached escalation rules, loading them on first use
+ * @returns {Object} Rules config
+ */
+export function getEscalationRules() {
+  if (!cachedRules) {
+    cachedRules = loadEscalationRules();
+  }
+  return cachedRules;
+}
+
+/**
+ * Find the escalation rule an email matches, if any
+ * @param {Object} classification Classification result from classifyEmail
+ * @param {Object} [context] Additional facts rules can match on
+ * @param {Object} [config] Rules config, defaults to the loaded rules
+ * @returns {Object|null} Match with ruleId, description and rulesVersion, or null
+ */
+export function matchEscalation(classification, context = {}, config = getEscalationRules()) {
+  const facts = {
+    intent: classification?.intent,
+    urgency: classification?.urgency,
+    sentiment: classification?.sentiment,
+    suggestedResponseType: classification?.suggestedResponseType,
+    requiresReply: classification?.requiresReply,
+    ...context
+  };
+
+  const rule = config.rules.find(candidate => matchesConditions(candidate.when, facts));
+  if (!rule) {
+    return null;
+  }
+
+  logger.info('Escalation rule matched', { ruleId: rule.id, rulesVersion: config.version, facts });
+
+  return {
+    ruleId: rule.id,
+    description: rule.description || '',
+    rulesVersion: config.version
+  };
+}
+
+function validateRules(config) {
+  if (!config.version) {
+    throw new Error('Escalation rules must have a version');
+  }
+
+  if (!Array.isArray(config.rules)) {
+    throw new Error('Escalation rules must be an array');
+  }
+
+  const seenIds = new Set();
+  for (const rule of config.rules) {
+    if (!rule.id || seenIds.has(rule.id)) {
+      throw new Error(`Escalation rule ids must be unique and non-empty: ${rule.id}`);
+    }
+    seenIds.add(rule.id);
+
+    if (!rule.when || typeof rule.when !== 'object') {
+      throw new Error(`Escalation rule ${rule.id} must define "when" conditions`);
+    }
+  }
+}
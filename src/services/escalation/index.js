@@ -0,0 +1,8 @@
+export {
+  EscalationMethod,
+  getEscalationConfig,
+  getEscalationRules,
+  loadEscalationRules,
+  matchEscalation
+} from './engine.js';
+export { EscalationStatus, escalateMessage } from './notifier.js';
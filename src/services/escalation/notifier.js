@@ -0,0 +1,175 @@
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { generateEscalationBrief } from '../openai/index.js';
+import { formatReplyBody } from '../gmail/delivery.js';
+import { LabelName, modifyLabels } from '../gmail/labels.js';
+import { sendEmail } from '../gmail/sender.js';
+import { EscalationMethod, getEscalationConfig } from './engine.js';
+
+const gmail = google.gmail('v1');
+
+const MAX_MESSAGE_CHARS = 4000;
+
+export const EscalationStatus = {
+  NOTIFIED: 'notified',
+  FAILED: 'failed'
+};
+
+/**
+ * Hand an email to staff: write a brief, email it to the escalation address
+ * (as a summary or with the original message attached) and label the
+ * message Escalated. Never throws; the result says whether staff were told.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} params Escalation parameters
+ * @param {Object} params.original Gmail message resource being escalated
+ * @param {Object} params.match Matched rule from matchEscalation
+ * @param {string} params.emailContent Latest customer message
+ * @param {string} params.from Sender
+ * @param {string} params.subject Subject
+ * @param {Object} [params.classification] Classification result
+ * @param {Array<Object>} [params.threadMessages] Earlier thread messages
+ * @param {Object} [params.language] Customer's language with English translation
+ * @param {string} [params.suggestedReply] Generated reply that was not sent
+ * @returns {Promise<Object>} Result with status, method, recipient, messageId, brief and error
+ */
+export async function escalateMessage(auth, {
+  original,
+  match,
+  emailContent,
+  from,
+  subject,
+  classification = null,
+  threadMessages = null,
+  language = null,
+  suggestedReply = null
+}) {
+  const config = getEscalationConfig();
+  const result = {
+    status: EscalationStatus.FAILED,
+    ruleId: match.ruleId,
+    method: config.method,
+    recipient: config.recipient,
+    messageId: null,
+    brief: null,
+    error: null
+  };
+
+  // The label goes on first so the thread is marked even if the notification fails
+  await modifyLabels(auth, original.id, { add: [LabelName.ESCALATED] });
+
+  try {
+    result.brief = await generateEscalationBrief({
+      emailContent,
+      subject,
+      from,
+      classification,
+      threadMessages,
+      translation: language?.translation,
+      reason: match.description || match.ruleId
+    });
+
+    const attachments = config.method === EscalationMethod.FORWARD
+      ? await getOriginalAttachment(auth, original.id)
+      : [];
+
+    const html = buildEscalationHtml({
+      brief: result.brief,
+      match,
+      from,
+      subject,
+      classification,
+      threadId: original.threadId,
+      emailContent,
+      language,
+      suggestedReply
+    });
+
+    const sent = await sendEmail(config.recipient, `[Escalation] ${subject || '(no subject)'}`, html, null, {
+      attachments
+    });
+
+    result.status = EscalationStatus.NOTIFIED;
+    result.messageId = sent.messageId;
+
+    logger.info('Email escalated to staff', {
+      messageId: original.id,
+      threadId: original.threadId,
+      ruleId: match.ruleId,
+      method: config.method,
+      recipient: config.recipient,
+      notificationId: sent.messageId
+    });
+    recordMetric('escalations_sent', 1);
+  } catch (error) {
+    result.error = error.message;
+    logger.error('Error escalating email:', {
+      error: error.message,
+      stack: error.stack,
+      messageId: original.id,
+      threadId: original.threadId,
+      ruleId: match.ruleId
+    });
+    recordMetric('escalation_failures', 1);
+  }
+
+  return result;
+}
+
+async function getOriginalAttachment(auth, messageId) {
+  try {
+    const raw = await gmail.users.messages.get({
+      auth,
+      userId: 'me',
+      id: messageId,
+      format: 'raw'
+    });
+
+    return [{
+      filename: 'original-message.eml',
+      mimeType: 'message/rfc822',
+      content: Buffer.from(raw.data.raw, 'base64url')
+    }];
+  } catch (error) {
+    // The summary still carries the customer's text
+    logger.warn('Could not attach original message to escalation', {
+      error: error.message,
+      messageId
+    });
+    return [];
+  }
+}
+
+function buildEscalationHtml({ brief, match, from, subject, classification, threadId, emailContent, language, suggestedReply }) {
+  const content = emailContent || '';
+  const message = content.length > MAX_MESSAGE_CHARS
+    ? `${content.slice(0, MAX_MESSAGE_CHARS)}\n[message truncated]`
+    : content;
+
+  const details = [
+    ['From', from],
+    ['Subject', subject],
+    ['Classification', `${classification?.intent || 'UNKNOWN'} / urgency ${classification?.urgency || 'unknown'} / sentiment ${classification?.sentiment || 'unknown'}`],
+    ['Language', language?.name || 'English'],
+    ['Escalation rule', `${match.ruleId} (${match.rulesVersion})`],
+    ['Thread', `https://mail.google.com/mail/u/0/#all/${threadId}`]
+  ];
+
+  return [
+    '<h2>Customer email escalated</h2>',
+    '<p>No automatic reply was sent. Please answer the customer from the thread.</p>',
+    '<h3>Brief</h3>',
+    `<p>${formatReplyBody(brief)}</p>`,
+    '<table>',
+    ...details.map(([label, value]) => `<tr><td><b>${label}</b></td><td>${formatReplyBody(value || '')}</td></tr>`),
+    '</table>',
+    '<h3>Customer message</h3>',
+    `<blockquote>${formatReplyBody(message)}</blockquote>`,
+    ...(language?.translation
+      ? ['<h3>English translation</h3>', `<blockquote>${formatReplyBody(language.translation)}</blockquote>`]
+      : []),
+    ...(suggestedReply
+      ? ['<h3>Suggested reply (not sent)</h3>', `<blockquote>${formatReplyBody(suggestedReply)}</blockquote>`]
+      : [])
+  ].join('\n');
+}
@@ -1,42 +1,74 @@
+import crypto from 'crypto';
 import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
+import { extractDocument, resolveDocumentType } from '../documents/index.js';
+import { SUPPORTED_INPUT_TYPES, normalizeImage } from '../images/index.js';
 
 const gmail = google.gmail('v1');
 
-const SUPPORTED_IMAGE_TYPES = [
-  'image/jpeg',
-  'image/png',
-  'image/gif',
-  'image/webp',
-  'image/heic'
-];
+// Some clients label photos as octet-stream; fall back to the file extension
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  avif: 'image/avif',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp'
+};
 
-const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB before normalization
+const MAX_TOTAL_SIZE = 20 * 1024 * 1024; // 20MB sent to the vision model per email
+const MAX_IMAGES = 10;
+const MIN_INLINE_IMAGE_SIZE = 4 * 1024; // smaller inline images are logos and tracking pixels
+const MAX_DEPTH = 10;
 
+const MAX_DOCUMENT_SIZE = 15 * 1024 * 1024;
+const MAX_DOCUMENTS = 3;
+const MAX_DOCUMENT_TEXT = 6000; // characters of document text passed to the model per email
+
+/**
+ * Extract image attachments and inline images from anywhere in the MIME
+ * tree. Images are normalized to JPEG (orientation applied, metadata
+ * stripped, downscaled), identical images are kept once and the total
+ * normalized size is capped.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} message Gmail message resource (format: 'full')
+ * @returns {Promise<Array<Object>>} Images with filename, mimeType, buffer,
+ *   size, inline, contentId and normalization metadata
+ */
 export async function extractImageAttachments(auth, message) {
   const attachments = [];
+  const seenHashes = new Set();
   let totalSize = 0;
+  let skipped = 0;
 
   try {
-    if (!message.payload?.parts) {
-      logger.debug('No message parts found', { messageId: message.id });
+    const parts = collectParts(message.payload, toImagePart);
+
+    if (parts.length === 0) {
+      logger.debug('No image parts found', { messageId: message.id });
       return attachments;
     }
 
-    for (const part of message.payload.parts) {
-      if (!isValidImageAttachment(part)) {
-        continue;
+    for (const part of parts) {
+      if (attachments.length >= MAX_IMAGES) {
+        logger.warn('Image limit reached, ignoring remaining images', {
+          messageId: message.id,
+          maxImages: MAX_IMAGES,
+          remaining: parts.length - parts.indexOf(part)
+        });
+        break;
       }
 
       try {
-        const attachment = await gmail.users.messages.attachments.get({
-          auth,
-          userId: 'me',
-          messageId: message.id,
-          id: part.body.attachmentId
-        });
+        const buffer = await loadPartData(auth, message.id, part);
 
-        if (!attachment.data?.data) {
+        if (!buffer?.length) {
           logger.warn('Empty attachment data', {
             messageId: message.id,
             filename: part.filename,
@@ -45,8 +77,6 @@ export async function extractImageAttachments(auth, message) {
           continue;
         }
 
-        const buffer = Buffer.from(attachment.data.data, 'base64');
-        
         // Check attachment size
         if (buffer.length > MAX_IMAGE_SIZE) {
           logger.warn('Image attachment too large', {
@@ -55,23 +85,64 @@ export async function extractImageAttachments(auth, message) {
             size: buffer.length,
             maxSize: MAX_IMAGE_SIZE
           });
+          skipped++;
           continue;
         }
 
-        totalSize += buffer.length;
+        // The same photo often arrives inline and attached, or twice in a forward
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        if (seenHashes.has(hash)) {
+          logger.debug('Duplicate image skipped', { messageId: message.id, filename: part.filename });
+          continue;
+        }
+
+        seenHashes.add(hash);
+
+        let image;
+        try {
+          image = await normalizeImage(buffer, { filename: part.filename, mimeType: part.mimeType });
+        } catch (error) {
+          logger.warn('Image could not be normalized, skipping it', {
+            messageId: message.id,
+            filename: part.filename,
+            mimeType: part.mimeType,
+            error: error.message
+          });
+          skipped++;
+          continue;
+        }
+
+        if (totalSize + image.buffer.length > MAX_TOTAL_SIZE) {
+          logger.warn('Image payload budget exceeded, skipping image', {
+            messageId: message.id,
+            filename: part.filename,
+            size: image.buffer.length,
+            totalSize,
+            maxTotalSize: MAX_TOTAL_SIZE
+          });
+          skipped++;
+          continue;
+        }
+
+        totalSize += image.buffer.length;
 
         attachments.push({
-          filename: part.filename,
-          mimeType: part.mimeType,
-          buffer,
-          size: buffer.length
+          filename: image.filename,
+          mimeType: image.mimeType,
+          buffer: image.buffer,
+          size: image.buffer.length,
+          inline: part.inline,
+          contentId: part.contentId,
+          metadata: image.metadata
         });
 
         logger.debug('Image attachment processed', {
           messageId: message.id,
           filename: part.filename,
           mimeType: part.mimeType,
-          size: buffer.length
+          inline: part.inline,
+          originalSize: buffer.length,
+          size: image.buffer.length
         });
       } catch (error) {
         logger.error('Error processing attachment', {
@@ -86,6 +157,8 @@ export async function extractImageAttachments(auth, message) {
     logger.info('Image attachments extracted', {
       messageId: message.id,
       count: attachments.length,
+      inlineCount: attachments.filter(a => a.inline).length,
+      skipped,
       totalSize,
       filenames: attachments.map(a => a.filename)
     });
@@ -101,18 +174,229 @@ export async function extractImageAttachments(auth, message) {
   }
 }
 
-function isValidImageAttachment(part) {
-  if (!part.mimeType || !SUPPORTED_IMAGE_TYPES.includes(part.mimeType)) {
-    return false;
+/**
+ * Combine photos with the rendered pages of scanned documents for the vision
+ * model. Pages count against the same image count and size limits as photos;
+ * pages that don't fit are removed from their document and counted in its
+ * omittedPages so the prompt can say they are missing.
+ * @param {Array<Object>} images Images from extractImageAttachments
+ * @param {Array<Object>} documents Documents from extractDocumentAttachments
+ * @returns {Array<Object>} Images to send to the vision model
+ */
+export function combineVisionImages(images, documents) {
+  const combined = [...images];
+  let totalSize = images.reduce((total, image) => total + image.size, 0);
+
+  for (const document of documents) {
+    const included = [];
+
+    for (const page of document.images) {
+      if (combined.length >= MAX_IMAGES || totalSize + page.size > MAX_TOTAL_SIZE) {
+        continue;
+      }
+      totalSize += page.size;
+      included.push(page);
+      combined.push(page);
+    }
+
+    if (included.length < document.images.length) {
+      logger.warn('Image limits reached, leaving out scanned document pages', {
+        filename: document.filename,
+        renderedPages: document.images.length,
+        includedPages: included.length,
+        maxImages: MAX_IMAGES,
+        maxTotalSize: MAX_TOTAL_SIZE
+      });
+      document.omittedPages = document.images.length - included.length;
+      document.images = included;
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Extract text from PDF and Word attachments so the customer's documents
+ * (appraisals, invoices, certificates) can be used as context. Each excerpt
+ * is bounded and the combined text is capped; scanned PDFs come back with
+ * rendered page images for the vision model instead of text.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} message Gmail message resource (format: 'full')
+ * @returns {Promise<Array<Object>>} Documents with filename, type, excerpt,
+ *   truncated, textLength, pageCount, scanned and rendered page images
+ */
+export async function extractDocumentAttachments(auth, message) {
+  const documents = [];
+  let remainingText = MAX_DOCUMENT_TEXT;
+
+  try {
+    const parts = collectParts(message.payload, toDocumentPart);
+
+    if (parts.length === 0) {
+      return documents;
+    }
+
+    for (const part of parts.slice(0, MAX_DOCUMENTS)) {
+      if (part.size && part.size > MAX_DOCUMENT_SIZE) {
+        logger.warn('Document attachment too large', {
+          messageId: message.id,
+          filename: part.filename,
+          size: part.size,
+          maxSize: MAX_DOCUMENT_SIZE
+        });
+        continue;
+      }
+
+      try {
+        const buffer = await loadPartData(auth, message.id, part);
+
+        if (!buffer?.length) {
+          continue;
+        }
+
+        const document = await extractDocument(buffer, {
+          filename: part.filename,
+          mimeType: part.mimeType,
+          maxLength: Math.max(remainingText, 0)
+        });
+
+        remainingText -= document.excerpt.length;
+        documents.push(document);
+      } catch (error) {
+        // Encrypted or corrupt files are common; the email is still answerable without them
+        logger.warn('Document could not be read, skipping it', {
+          messageId: message.id,
+          filename: part.filename,
+          mimeType: part.mimeType,
+          error: error.message
+        });
+      }
+    }
+
+    if (parts.length > MAX_DOCUMENTS) {
+      logger.warn('Document limit reached, ignoring remaining documents', {
+        messageId: message.id,
+        maxDocuments: MAX_DOCUMENTS,
+        remaining: parts.length - MAX_DOCUMENTS
+      });
+    }
+
+    logger.info('Document attachments extracted', {
+      messageId: message.id,
+      count: documents.length,
+      scannedCount: documents.filter(d => d.scanned).length,
+      filenames: documents.map(d => d.filename)
+    });
+
+    return documents;
+  } catch (error) {
+    logger.error('Error extracting document attachments:', {
+      error: error.message,
+      messageId: message.id,
+      stack: error.stack
+    });
+    return documents;
+  }
+}
+
+/**
+ * Walk the MIME tree depth-first collecting the parts a mapper accepts, in
+ * message order
+ */
+function collectParts(part, toPart, depth = 0, results = []) {
+  if (!part || depth > MAX_DEPTH) {
+    return results;
   }
 
-  if (!part.body?.attachmentId) {
-    return false;
+  const match = toPart(part, results.length);
+  if (match) {
+    results.push(match);
   }
 
-  if (!part.filename) {
-    return false;
+  for (const child of part.parts || []) {
+    collectParts(child, toPart, depth + 1, results);
   }
 
-  return true;
-}
\ No newline at end of file
+  return results;
+}
+
+function toImagePart(part, index) {
+  const mimeType = resolveImageType(part);
+  if (!mimeType) {
+    return null;
+  }
+
+  if (!part.body?.attachmentId && !part.body?.data) {
+    return null;
+  }
+
+  const contentId = getHeader(part, 'content-id')?.replace(/[<>]/g, '') || null;
+  const disposition = (getHeader(part, 'content-disposition') || '').toLowerCase();
+  const inline = disposition.startsWith('inline') || (!!contentId && !disposition.startsWith('attachment'));
+
+  if (inline && part.body.size && part.body.size < MIN_INLINE_IMAGE_SIZE) {
+    return null;
+  }
+
+  return {
+    filename: part.filename || `${contentId?.split('@')[0] || `image-${index + 1}`}.${mimeType.split('/')[1]}`,
+    mimeType,
+    attachmentId: part.body.attachmentId || null,
+    data: part.body.data || null,
+    inline,
+    contentId
+  };
+}
+
+function toDocumentPart(part, index) {
+  if (!part.body?.attachmentId && !part.body?.data) {
+    return null;
+  }
+
+  const type = resolveDocumentType(part.mimeType, part.filename);
+  if (!type) {
+    return null;
+  }
+
+  return {
+    filename: part.filename || `document-${index + 1}.${type}`,
+    mimeType: part.mimeType,
+    attachmentId: part.body.attachmentId || null,
+    data: part.body.data || null,
+    size: part.body.size || 0
+  };
+}
+
+function resolveImageType(part) {
+  const mimeType = (part.mimeType || '').toLowerCase().replace('image/jpg', 'image/jpeg');
+  if (SUPPORTED_INPUT_TYPES.includes(mimeType)) {
+    return mimeType;
+  }
+
+  if (mimeType === 'application/octet-stream' && part.filename) {
+    const extension = part.filename.split('.').pop().toLowerCase();
+    return EXTENSION_TYPES[extension] || null;
+  }
+
+  return null;
+}
+
+async function loadPartData(auth, messageId, part) {
+  // Small parts come embedded in the payload
+  if (part.data) {
+    return Buffer.from(part.data, 'base64');
+  }
+
+  const attachment = await gmail.users.messages.attachments.get({
+    auth,
+    userId: 'me',
+    messageId,
+    id: part.attachmentId
+  });
+
+  return attachment.data?.data ? Buffer.from(attachment.data.data, 'base64') : null;
+}
+
+function getHeader(part, name) {
+  return part.headers?.find(h => h.name.toLowerCase() === name)?.value || null;
+}
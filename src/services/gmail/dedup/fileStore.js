@@ -0,0 +1,86 @@
+import { logger } from '../../../utils/logger.js';
+import { getStateStore } from '../../../utils/stateStore.js';
+
+const PROCESSED_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_PROCESSED_ENTRIES = 20000;
+
+/**
+ * Dedup store persisted as a JSON file under STATE_DIR. Suitable for local
+ * development only: every write rewrites the whole file and leases only
+ * coordinate processes that share the same disk.
+ * @implements {import('./types.js').DedupStore}
+ */
+export class FileDedupStore {
+  constructor(name = 'gmail-dedup') {
+    this.store = getStateStore(name);
+  }
+
+  async isProcessed(messageId) {
+    const state = await this.store.read();
+    return !!state.processed?.[messageId];
+  }
+
+  async markProcessed(messageId, record) {
+    await this.store.update(state => ({
+      ...state,
+      processed: pruneProcessed({
+        ...state.processed,
+        [messageId]: {
+          ...record,
+          processedAt: record.processedAt || new Date().toISOString()
+        }
+      })
+    }));
+  }
+
+  async acquireLease(threadId, owner, ttlMs) {
+    let acquired = false;
+
+    await this.store.update(state => {
+      const now = Date.now();
+      const leases = { ...state.leases };
+      const current = leases[threadId];
+
+      if (!current || current.expiresAt <= now || current.owner === owner) {
+        leases[threadId] = { owner, expiresAt: now + ttlMs };
+        acquired = true;
+      }
+
+      return { ...state, leases: pruneLeases(leases, now) };
+    });
+
+    return acquired;
+  }
+
+  async releaseLease(threadId, owner) {
+    await this.store.update(state => {
+      const leases = { ...state.leases };
+      if (leases[threadId]?.owner === owner) {
+        delete leases[threadId];
+      }
+      return { ...state, leases };
+    });
+  }
+}
+
+function pruneProcessed(processed) {
+  const cutoff = Date.now() - PROCESSED_RETENTION;
+  const entries = Object.entries(processed)
+    .filter(([, record]) => new Date(record.processedAt).getTime() > cutoff)
+    .sort(([, a], [, b]) => new Date(b.processedAt) - new Date(a.processedAt));
+
+  if (entries.length > MAX_PROCESSED_ENTRIES) {
+    logger.debug('Pruning dedup store', {
+      entries: entries.length,
+      maxEntries: MAX_PROCESSED_ENTRIES
+    });
+  }
+
+  return Object.fromEntries(entries.slice(0, MAX_PROCESSED_ENTRIES));
+}
+
+function pruneLeases(leases, now) {
+  return Object.fromEntries(
+    Object.entries(leases).filter(([, lease]) => lease.expiresAt > now)
+  );
+}
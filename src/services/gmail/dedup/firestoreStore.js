@@ -0,0 +1,65 @@
+import { Timestamp } from '@google-cloud/firestore';
+import { getCollection, getFirestore } from '../../../utils/firestore.js';
+
+const PROCESSED_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Dedup store in Firestore, shared by every instance. One document per
+ * processed message and one per held thread lease, so writes never touch
+ * more than the record they change. Enable a TTL policy on the expireAt
+ * field of both collections to drop old records.
+ * @implements {import('./types.js').DedupStore}
+ */
+export class FirestoreDedupStore {
+  constructor({ processedCollection = 'gmail-processed', leaseCollection = 'gmail-leases' } = {}) {
+    this.processed = getCollection(processedCollection);
+    this.leases = getCollection(leaseCollection);
+  }
+
+  async isProcessed(messageId) {
+    const snapshot = await this.processed.doc(messageId).get();
+    return snapshot.exists;
+  }
+
+  async markProcessed(messageId, record) {
+    const processedAt = record.processedAt || new Date().toISOString();
+
+    await this.processed.doc(messageId).set({
+      ...record,
+      processedAt,
+      expireAt: Timestamp.fromMillis(new Date(processedAt).getTime() + PROCESSED_RETENTION)
+    });
+  }
+
+  async acquireLease(threadId, owner, ttlMs) {
+    const ref = this.leases.doc(threadId);
+
+    return getFirestore().runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      const current = snapshot.data();
+      const now = Date.now();
+
+      if (current && current.expiresAt > now && current.owner !== owner) {
+        return false;
+      }
+
+      transaction.set(ref, {
+        owner,
+        expiresAt: now + ttlMs,
+        expireAt: Timestamp.fromMillis(now + ttlMs)
+      });
+      return true;
+    });
+  }
+
+  async releaseLease(threadId, owner) {
+    const ref = this.leases.doc(threadId);
+
+    await getFirestore().runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      if (snapshot.data()?.owner === owner) {
+        transaction.delete(ref);
+      }
+    });
+  }
+}
@@ -0,0 +1,127 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../../../utils/logger.js';
+import { recordMetric } from '../../../utils/monitoring.js';
+import { FileDedupStore } from './fileStore.js';
+import { FirestoreDedupStore } from './firestoreStore.js';
+import { MemoryDedupStore } from './memoryStore.js';
+import { DedupBackend } from './types.js';
+
+const LEASE_TTL = 5 * 60 * 1000; // 5 minutes, renewed while the work runs
+const LEASE_MAX_ATTEMPTS = 5;
+const LEASE_RETRY_DELAY = 3000; // 3 seconds
+
+// Unique per process so two Cloud Run instances never share a lease owner
+export const LEASE_OWNER = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+
+const backends = new Map([
+  [DedupBackend.FIRESTORE, () => new FirestoreDedupStore()],
+  [DedupBackend.FILE, () => new FileDedupStore()],
+  [DedupBackend.MEMORY, () => new MemoryDedupStore()]
+]);
+
+let dedupStore = null;
+
+/**
+ * Register a dedup backend factory, e.g. for a hosted store
+ * @param {string} name Backend name selected through DEDUP_BACKEND
+ * @param {function(): import('./types.js').DedupStore} factory Store factory
+ */
+export function registerDedupBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+/**
+ * Get the configured dedup store. Production defaults to Firestore so all
+ * instances share processed messages and thread leases; elsewhere the file
+ * store keeps local runs free of cloud dependencies.
+ * @returns {import('./types.js').DedupStore} Dedup store
+ */
+export function getDedupStore() {
+  if (!dedupStore) {
+    const backend = process.env.DEDUP_BACKEND
+      || (process.env.NODE_ENV === 'production' ? DedupBackend.FIRESTORE : DedupBackend.FILE);
+    const factory = backends.get(backend);
+
+    if (!factory) {
+      throw new Error(`Unknown dedup backend: ${backend}`);
+    }
+
+    dedupStore = factory();
+    logger.info('Dedup store initialized', { backend, leaseOwner: LEASE_OWNER });
+  }
+  return dedupStore;
+}
+
+/**
+ * Replace the active dedup store (tests and custom wiring)
+ * @param {import('./types.js').DedupStore} store Dedup store
+ */
+export function setDedupStore(store) {
+  dedupStore = store;
+}
+
+/**
+ * Run a function while holding the processing lease for a thread. The lease
+ * is renewed every third of its TTL while the function runs, so a slow run
+ * (vision, several DataHub lookups, repair retries) keeps the thread and a
+ * crashed instance still frees it within one TTL.
+ * @param {string} threadId Gmail thread ID
+ * @param {Function} fn Work to run under the lease
+ * @param {Object} [options] Lease options
+ * @param {number} [options.ttlMs] Lease TTL
+ * @returns {Promise<{acquired: boolean, result: *}>} Whether the lease was
+ *   acquired and the function result
+ */
+export async function withThreadLease(threadId, fn, { ttlMs = LEASE_TTL } = {}) {
+  const store = getDedupStore();
+
+  for (let attempt = 1; attempt <= LEASE_MAX_ATTEMPTS; attempt++) {
+    if (await store.acquireLease(threadId, LEASE_OWNER, ttlMs)) {
+      const stopRenewing = renewLease(store, threadId, ttlMs);
+      try {
+        return { acquired: true, result: await fn() };
+      } finally {
+        await stopRenewing();
+        await store.releaseLease(threadId, LEASE_OWNER);
+      }
+    }
+
+    logger.info('Thread lease held by another worker, waiting', {
+      threadId,
+      attempt,
+      maxAttempts: LEASE_MAX_ATTEMPTS
+    });
+    await new Promise(resolve => setTimeout(resolve, LEASE_RETRY_DELAY));
+  }
+
+  return { acquired: false, result: null };
+}
+
+// Re-acquiring as the same owner extends the lease in every store
+function renewLease(store, threadId, ttlMs) {
+  let renewal = Promise.resolve();
+
+  const timer = setInterval(() => {
+    renewal = renewal.then(async () => {
+      if (!(await store.acquireLease(threadId, LEASE_OWNER, ttlMs))) {
+        logger.error('Thread lease lost while processing', { threadId, leaseOwner: LEASE_OWNER });
+        recordMetric('thread_leases_lost', 1);
+      }
+    }).catch(error => {
+      logger.error('Thread lease renewal failed:', {
+        error: error.message,
+        stack: error.stack,
+        threadId
+      });
+    });
+  }, ttlMs / 3);
+  timer.unref?.();
+
+  return async () => {
+    clearInterval(timer);
+    await renewal;
+  };
+}
+
+export { DedupBackend, FileDedupStore, FirestoreDedupStore, MemoryDedupStore };
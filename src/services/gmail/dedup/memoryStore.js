@@ -0,0 +1,40 @@
+/**
+ * In-memory dedup store. Loses its state on restart, so it is only meant for
+ * tests and as a reference for hosted backend implementations.
+ * @implements {import('./types.js').DedupStore}
+ */
+export class MemoryDedupStore {
+  constructor() {
+    this.processed = new Map();
+    this.leases = new Map();
+  }
+
+  async isProcessed(messageId) {
+    return this.processed.has(messageId);
+  }
+
+  async markProcessed(messageId, record) {
+    this.processed.set(messageId, {
+      ...record,
+      processedAt: record.processedAt || new Date().toISOString()
+    });
+  }
+
+  async acquireLease(threadId, owner, ttlMs) {
+    const now = Date.now();
+    const current = this.leases.get(threadId);
+
+    if (current && current.expiresAt > now && current.owner !== owner) {
+      return false;
+    }
+
+    this.leases.set(threadId, { owner, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async releaseLease(threadId, owner) {
+    if (this.leases.get(threadId)?.owner === owner) {
+      this.leases.delete(threadId);
+    }
+  }
+}
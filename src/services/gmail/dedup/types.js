@@ -0,0 +1,35 @@
+/**
+ * Interface every dedup backend implements. Other hosted stores (Redis,
+ * Cloud SQL) register a factory returning an object with these methods via
+ * registerDedupBackend in ./index.js.
+ *
+ * @typedef {Object} DedupStore
+ * @property {function(string): Promise<boolean>} isProcessed
+ *   Whether a Gmail message ID has already been handled
+ * @property {function(string, ProcessedRecord): Promise<void>} markProcessed
+ *   Record a Gmail message ID as handled
+ * @property {function(string, string, number): Promise<boolean>} acquireLease
+ *   Try to take the processing lease for a thread (threadId, owner, ttlMs).
+ *   Resolves true when the caller now holds the lease.
+ * @property {function(string, string): Promise<void>} releaseLease
+ *   Release a thread lease if it is still held by the owner (threadId, owner)
+ */
+
+/**
+ * @typedef {Object} ProcessedRecord
+ * @property {string} threadId Gmail thread ID
+ * @property {string} status Outcome of processing (e.g. sent, drafted, held, skipped)
+ * @property {string} [processedAt] ISO timestamp, filled in by the store when missing
+ */
+
+/**
+ * @typedef {Object} Lease
+ * @property {string} owner Instance that holds the lease
+ * @property {number} expiresAt Epoch milliseconds when the lease lapses
+ */
+
+export const DedupBackend = {
+  FIRESTORE: 'firestore',
+  FILE: 'file',
+  MEMORY: 'memory'
+};
@@ -0,0 +1,226 @@
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { PolicyAction } from '../policy/index.js';
+import { createDraft } from './drafts.js';
+import { composeReply } from './replyComposer.js';
+import { sendEmail } from './sender.js';
+import {
+  getScheduledSendTime,
+  getSendWindowConfig,
+  isWithinSendWindow,
+  resolveRecipientTimezone,
+  scheduleReply
+} from './schedule/index.js';
+
+export const DeliveryMode = {
+  DRAFT: 'draft',
+  SEND: 'send',
+  HOLD: 'hold',
+  OFF: 'off'
+};
+
+export const DeliveryStatus = {
+  DRAFTED: 'drafted',
+  SENT: 'sent',
+  SCHEDULED: 'scheduled',
+  HELD: 'held',
+  NOT_REQUIRED: 'not_required',
+  DISABLED: 'disabled',
+  FAILED: 'failed'
+};
+
+const ACTION_MODES = {
+  [PolicyAction.AUTO_SEND]: DeliveryMode.SEND,
+  [PolicyAction.DRAFT]: DeliveryMode.DRAFT,
+  [PolicyAction.HOLD]: DeliveryMode.HOLD
+};
+
+/**
+ * Resolve the configured delivery mode, defaulting to drafts so staff can
+ * review replies unless sending is explicitly enabled
+ * @returns {string} Delivery mode
+ */
+export function getDeliveryMode() {
+  const mode = (process.env.REPLY_DELIVERY_MODE || DeliveryMode.DRAFT).toLowerCase();
+  return Object.values(DeliveryMode).includes(mode) ? mode : DeliveryMode.DRAFT;
+}
+
+/**
+ * Map a policy action to a delivery mode. REPLY_DELIVERY_MODE is the upper
+ * bound: "draft" turns auto-send decisions into drafts and "off" disables delivery.
+ * @param {string} action Policy action
+ * @param {Object} [options] Resolution options
+ * @param {boolean} [options.pauseAutoSend] Draft replies that would be sent,
+ *   e.g. while the LLM spend budget is exceeded
+ * @returns {string} Delivery mode
+ */
+export function resolveDeliveryMode(action, { pauseAutoSend = false } = {}) {
+  const ceiling = getDeliveryMode();
+  const mode = ACTION_MODES[action] || DeliveryMode.DRAFT;
+
+  if (ceiling === DeliveryMode.OFF) {
+    return DeliveryMode.OFF;
+  }
+
+  if (mode === DeliveryMode.SEND && ceiling !== DeliveryMode.SEND) {
+    return DeliveryMode.DRAFT;
+  }
+
+  if (mode === DeliveryMode.SEND && pauseAutoSend) {
+    logger.warn('Automatic sending paused, drafting reply instead', { action });
+    recordMetric('auto_send_paused', 1);
+    return DeliveryMode.DRAFT;
+  }
+
+  return mode;
+}
+
+/**
+ * Turn a generated reply into a Gmail draft or sent message in the original
+ * thread, with In-Reply-To and References set. Drafts go reply-all for staff
+ * to trim; replies sent without review go to the sender only, since they can
+ * carry the sender's DataHub records and must not reach Cc'd parties. Outside
+ * the send window, replies that would be sent are scheduled for when it
+ * opens.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} params Delivery parameters
+ * @param {Object} params.original Gmail message resource being answered
+ * @param {string} params.reply Generated reply text
+ * @param {string} [params.mode] Delivery mode override
+ * @returns {Promise<Object>} Delivery result with status, draftId, messageId
+ *   and scheduledFor
+ */
+export async function deliverReply(auth, { original, reply, mode = getDeliveryMode() }) {
+  const { to, cc, subject, threadId, inReplyTo, references } = composeReply(original, {
+    replyAll: mode !== DeliveryMode.SEND
+  });
+
+  if (!reply) {
+    return { status: DeliveryStatus.NOT_REQUIRED, mode, draftId: null, messageId: null, error: null };
+  }
+
+  if (mode === DeliveryMode.OFF) {
+    logger.info('Reply delivery disabled, keeping generated reply only', { to, threadId });
+    return { status: DeliveryStatus.DISABLED, mode, draftId: null, messageId: null, error: null };
+  }
+
+  if (mode === DeliveryMode.HOLD) {
+    logger.info('Reply held by policy', { to, threadId });
+    recordMetric('replies_held', 1);
+    return { status: DeliveryStatus.HELD, mode, draftId: null, messageId: null, error: null };
+  }
+
+  const body = formatReplyBody(reply);
+
+  try {
+    let sendNow = mode === DeliveryMode.SEND;
+
+    if (sendNow) {
+      const window = getSendWindowConfig();
+      if (window.enabled) {
+        const { timezone } = resolveRecipientTimezone(original, window);
+        const now = new Date();
+        const sendAt = getScheduledSendTime(now, window, timezone);
+
+        if (sendAt) {
+          const entry = await scheduleReply({
+            originalMessageId: original.id,
+            threadId,
+            envelope: { to, cc, subject, inReplyTo, references },
+            reply,
+            body,
+            sendAt,
+            timezone
+          });
+
+          return {
+            status: DeliveryStatus.SCHEDULED,
+            mode,
+            draftId: null,
+            messageId: null,
+            scheduledSendId: entry.id,
+            scheduledFor: entry.sendAt,
+            error: null
+          };
+        }
+
+        // No send days configured: never send outside the window, leave a
+        // draft for staff instead
+        if (!isWithinSendWindow(now, window, timezone)) {
+          logger.warn('Send window never opens, drafting reply instead', { to, threadId, timezone });
+          recordMetric('replies_unschedulable', 1);
+          sendNow = false;
+        }
+      }
+    }
+
+    if (sendNow) {
+      const result = await sendEmail(to, subject, body, threadId, {
+        cc,
+        inReplyTo,
+        references,
+        text: reply
+      });
+
+      recordMetric('replies_sent', 1);
+      return {
+        status: DeliveryStatus.SENT,
+        mode,
+        draftId: null,
+        messageId: result.messageId,
+        error: null
+      };
+    }
+
+    const draft = await createDraft(auth, {
+      to,
+      cc,
+      subject,
+      body,
+      threadId,
+      inReplyTo,
+      references,
+      text: reply
+    });
+
+    recordMetric('replies_drafted', 1);
+    return {
+      status: DeliveryStatus.DRAFTED,
+      mode,
+      draftId: draft.id,
+      messageId: draft.message?.id || null,
+      error: null
+    };
+  } catch (error) {
+    logger.error('Reply delivery failed:', {
+      error: error.message,
+      stack: error.stack,
+      mode,
+      to,
+      threadId
+    });
+    recordMetric('reply_delivery_failures', 1);
+
+    return {
+      status: DeliveryStatus.FAILED,
+      mode,
+      draftId: null,
+      messageId: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Render a plain text reply as the HTML body used for outgoing mail
+ * @param {string} reply Reply text
+ * @returns {string} HTML body
+ */
+export function formatReplyBody(reply) {
+  return reply
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n/g, '<br>\n');
+}
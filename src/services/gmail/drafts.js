@@ -1,26 +1,50 @@
 import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
+import { buildRawMessage } from './mime/index.js';
 
 const gmail = google.gmail('v1');
 
-export async function createDraft(auth, { to, subject, body, threadId }) {
+/**
+ * Create a Gmail draft, threaded onto an existing conversation when threadId
+ * and the reply headers are given
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} params Draft parameters
+ * @param {string} params.to Recipient(s)
+ * @param {string} [params.cc] Cc recipient(s)
+ * @param {string} params.subject Subject line
+ * @param {string} params.body HTML body
+ * @param {string} [params.threadId] Gmail thread ID
+ * @param {string} [params.inReplyTo] Message-ID being replied to
+ * @param {string} [params.references] Message-ID chain for the References header
+ * @param {string} [params.text] Plain text alternative, derived from the HTML when omitted
+ * @param {Array<Object>} [params.attachments] File attachments ({filename, mimeType, content})
+ * @param {Array<Object>} [params.inlineImages] Inline images referenced by cid:
+ * @returns {Promise<Object>} Created draft
+ */
+export async function createDraft(auth, {
+  to,
+  cc,
+  subject,
+  body,
+  threadId,
+  inReplyTo,
+  references,
+  text,
+  attachments = [],
+  inlineImages = []
+}) {
   try {
-    // Create email content with proper MIME structure
-    const email = [
-      'Content-Type: text/html; charset=utf-8',
-      'MIME-Version: 1.0',
-      `To: ${to}`,
-      'From: Michelle Thompson <info@appraisily.com>',
-      `Subject: ${subject}`,
-      '',
-      body
-    ].join('\r\n');
-
-    const encodedEmail = Buffer.from(email)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+    const encodedEmail = buildRawMessage({
+      to,
+      cc,
+      subject,
+      html: body,
+      text,
+      inReplyTo,
+      references,
+      attachments,
+      inlineImages
+    });
 
     const draft = await gmail.users.drafts.create({
       auth,
@@ -37,6 +61,7 @@ export async function createDraft(auth, { to, subject, body, threadId }) {
       to,
       subject,
       threadId,
+      threaded: !!inReplyTo,
       draftId: draft.data.id,
       timestamp: new Date().toISOString()
     });
@@ -52,4 +77,130 @@ export async function createDraft(auth, { to, subject, body, threadId }) {
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+/**
+ * Fetch a draft with its full message
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Draft ID
+ * @returns {Promise<Object|null>} Draft, or null if it no longer exists
+ */
+export async function getDraft(auth, draftId) {
+  try {
+    const draft = await gmail.users.drafts.get({
+      auth,
+      userId: 'me',
+      id: draftId,
+      format: 'full'
+    });
+    return draft.data;
+  } catch (error) {
+    if (error.code === 404) {
+      return null;
+    }
+    logger.error('Failed to fetch draft:', {
+      error: error.message,
+      stack: error.stack,
+      draftId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Replace the content of an existing draft
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Draft ID
+ * @param {Object} params Same message parameters as createDraft
+ * @returns {Promise<Object>} Updated draft
+ */
+export async function updateDraft(auth, draftId, { to, cc, subject, body, threadId, inReplyTo, references, text }) {
+  try {
+    const draft = await gmail.users.drafts.update({
+      auth,
+      userId: 'me',
+      id: draftId,
+      requestBody: {
+        id: draftId,
+        message: {
+          raw: buildRawMessage({ to, cc, subject, html: body, text, inReplyTo, references }),
+          ...(threadId && { threadId })
+        }
+      }
+    });
+
+    logger.info('Draft updated successfully', {
+      draftId,
+      threadId,
+      messageId: draft.data.message?.id
+    });
+
+    return draft.data;
+  } catch (error) {
+    logger.error('Failed to update draft:', {
+      error: error.message,
+      stack: error.stack,
+      draftId,
+      threadId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send an existing draft as is
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Draft ID
+ * @returns {Promise<Object>} Sent message
+ */
+export async function sendDraft(auth, draftId) {
+  try {
+    const result = await gmail.users.drafts.send({
+      auth,
+      userId: 'me',
+      requestBody: { id: draftId }
+    });
+
+    logger.info('Draft sent successfully', {
+      draftId,
+      messageId: result.data.id,
+      threadId: result.data.threadId
+    });
+
+    return result.data;
+  } catch (error) {
+    logger.error('Failed to send draft:', {
+      error: error.message,
+      stack: error.stack,
+      draftId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete a draft
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Draft ID
+ */
+export async function deleteDraft(auth, draftId) {
+  try {
+    await gmail.users.drafts.delete({
+      auth,
+      userId: 'me',
+      id: draftId
+    });
+
+    logger.info('Draft deleted', { draftId });
+  } catch (error) {
+    if (error.code === 404) {
+      logger.info('Draft already gone', { draftId });
+      return;
+    }
+    logger.error('Failed to delete draft:', {
+      error: error.message,
+      stack: error.stack,
+      draftId
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,300 @@
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { getStateStore } from '../../utils/stateStore.js';
+import { processMessageQueued } from './queue.js';
+
+const gmail = google.gmail('v1');
+const historyState = getStateStore('gmail-history');
+
+const HISTORY_PAGE_SIZE = 100;
+const MAX_RESYNC_MESSAGES = 50;
+const INITIAL_RESYNC_WINDOW = 10 * 60 * 1000; // 10 minutes
+const SKIPPED_LABELS = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
+const MAX_RETRY_SYNCS = 5;
+const HISTORY_ID_PATTERN = /^\d+$/;
+
+// Notifications can overlap; run one sync at a time so each message is handed
+// to the message queue exactly once
+let syncChain = Promise.resolve();
+
+/**
+ * Process every message added since the last persisted historyId
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string|null} [notificationHistoryId] historyId from the Pub/Sub
+ *   notification; null catches up from the stored historyId, e.g. after a
+ *   restart lost queued work
+ * @returns {Promise<Object>} Sync summary
+ */
+export function syncHistory(auth, notificationHistoryId = null) {
+  if (notificationHistoryId !== null && !isValidHistoryId(notificationHistoryId)) {
+    return Promise.reject(new Error(`Invalid historyId: ${notificationHistoryId}`));
+  }
+
+  const run = syncChain.then(() => runSync(auth, notificationHistoryId));
+  syncChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a value is a Gmail history ID (a decimal string)
+ * @param {*} historyId Value to check
+ * @returns {boolean} Valid history ID
+ */
+export function isValidHistoryId(historyId) {
+  return HISTORY_ID_PATTERN.test(String(historyId ?? ''));
+}
+
+/**
+ * Get the persisted sync state
+ * @returns {Promise<Object>} State with historyId, lastSyncedAt and the
+ *   messages waiting to be retried
+ */
+export async function getHistoryState() {
+  return historyState.read();
+}
+
+/**
+ * Persist a historyId as the sync starting point, never moving backwards.
+ * Messages that failed before that point are stored in the same write so
+ * the next sync retries them.
+ * @param {string} historyId Gmail history ID
+ * @param {Object} [options] Save options
+ * @param {Array<Object>} [options.failed] Message references ({id, threadId}) to retry
+ */
+export async function saveHistoryId(historyId, { failed = [] } = {}) {
+  if (!historyId && !failed.length) {
+    return;
+  }
+
+  await historyState.update(state => ({
+    ...state,
+    historyId: historyId ? maxHistoryId(state.historyId, historyId) : state.historyId,
+    lastSyncedAt: new Date().toISOString(),
+    retryMessages: addRetryMessages(state.retryMessages || [], failed)
+  }));
+}
+
+async function runSync(auth, notificationHistoryId) {
+  // Messages that failed in an earlier sync go first so they keep their order
+  await retryFailedMessages(auth);
+
+  const state = await historyState.read();
+
+  if (!state.historyId) {
+    logger.info('No stored historyId, running full resync', { notificationHistoryId });
+    return fullResync(auth, state);
+  }
+
+  if (notificationHistoryId && BigInt(notificationHistoryId) <= BigInt(state.historyId)) {
+    logger.info('Notification already covered by stored historyId', {
+      notificationHistoryId,
+      storedHistoryId: state.historyId
+    });
+    return { mode: 'incremental', processed: 0, failed: 0, historyId: state.historyId };
+  }
+
+  try {
+    return await incrementalSync(auth, state.historyId);
+  } catch (error) {
+    if (error.code === 404) {
+      logger.warn('Stored historyId is too old, running full resync', {
+        storedHistoryId: state.historyId,
+        notificationHistoryId
+      });
+      recordMetric('gmail_history_full_resyncs', 1);
+      return fullResync(auth, state);
+    }
+    throw error;
+  }
+}
+
+async function incrementalSync(auth, startHistoryId) {
+  const summary = { mode: 'incremental', processed: 0, failed: 0, historyId: startHistoryId };
+  const seen = new Set();
+  let pageToken;
+
+  do {
+    const response = await gmail.users.history.list({
+      auth,
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded'],
+      labelId: 'INBOX',
+      maxResults: HISTORY_PAGE_SIZE,
+      pageToken
+    });
+
+    const records = response.data.history || [];
+    const messages = [];
+
+    for (const record of records) {
+      for (const { message } of record.messagesAdded || []) {
+        if (seen.has(message.id) || !isProcessable(message)) {
+          continue;
+        }
+        seen.add(message.id);
+        messages.push(message);
+      }
+    }
+
+    // The page's messages run in parallel across threads; persist only once
+    // they settle, together with any failures, so the cursor never moves past
+    // a message that is neither handled nor queued for retry
+    const failed = await processAndCount(auth, messages, summary);
+    const lastRecordId = records.length ? records[records.length - 1].id : null;
+    const pageHistoryId = response.data.nextPageToken
+      ? lastRecordId
+      : maxHistoryId(lastRecordId, response.data.historyId);
+
+    await saveHistoryId(pageHistoryId, { failed });
+    summary.historyId = maxHistoryId(summary.historyId, pageHistoryId);
+
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  logger.info('Incremental history sync completed', summary);
+  return summary;
+}
+
+async function fullResync(auth, state) {
+  const summary = { mode: 'full', processed: 0, failed: 0, historyId: null };
+
+  // Capture the mailbox position first so changes during the resync are picked up next time
+  const profile = await gmail.users.getProfile({ auth, userId: 'me' });
+
+  const since = state.lastSyncedAt
+    ? new Date(state.lastSyncedAt).getTime()
+    : Date.now() - INITIAL_RESYNC_WINDOW;
+
+  const messages = [];
+  let pageToken;
+
+  do {
+    const response = await gmail.users.messages.list({
+      auth,
+      userId: 'me',
+      labelIds: ['INBOX'],
+      q: `after:${Math.floor(since / 1000)}`,
+      maxResults: HISTORY_PAGE_SIZE,
+      pageToken
+    });
+
+    messages.push(...(response.data.messages || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && messages.length < MAX_RESYNC_MESSAGES);
+
+  // messages.list returns newest first; answer in the order customers wrote
+  const toProcess = messages.slice(0, MAX_RESYNC_MESSAGES).reverse();
+
+  if (messages.length > MAX_RESYNC_MESSAGES) {
+    logger.warn('Full resync truncated', {
+      found: messages.length,
+      maxMessages: MAX_RESYNC_MESSAGES
+    });
+  }
+
+  const failed = await processAndCount(auth, toProcess, summary);
+
+  await saveHistoryId(profile.data.historyId, { failed });
+  summary.historyId = profile.data.historyId;
+
+  logger.info('Full resync completed', {
+    ...summary,
+    since: new Date(since).toISOString()
+  });
+  return summary;
+}
+
+// Failures go on the retry list, so by default none is reported yet; the
+// retry pass reports a message once, on the sync that gives up on it
+async function processAndCount(auth, messages, summary, { isLastTry = () => false } = {}) {
+  const results = await Promise.all(messages.map(message => {
+    logger.info('Queueing message from history', {
+      messageId: message.id,
+      threadId: message.threadId
+    });
+    return processMessageQueued(auth, message, { reportFailure: isLastTry(message) });
+  }));
+
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.success) {
+      summary.processed++;
+    } else {
+      summary.failed++;
+      failed.push({ id: messages[index].id, threadId: messages[index].threadId });
+    }
+  });
+  return failed;
+}
+
+async function retryFailedMessages(auth) {
+  const { retryMessages = [] } = await historyState.read();
+  if (!retryMessages.length) {
+    return;
+  }
+
+  logger.info('Retrying messages that failed in earlier syncs', { count: retryMessages.length });
+
+  const summary = { processed: 0, failed: 0 };
+  const failed = await processAndCount(auth, retryMessages, summary, {
+    isLastTry: message => (message.syncs || 1) >= MAX_RETRY_SYNCS
+  });
+  const stillFailing = new Set(failed.map(message => message.id));
+  const retried = new Set(retryMessages.map(message => message.id));
+
+  await historyState.update(state => ({
+    ...state,
+    retryMessages: (state.retryMessages || []).flatMap(message => {
+      if (!retried.has(message.id)) {
+        return [message];
+      }
+      if (!stillFailing.has(message.id)) {
+        return [];
+      }
+
+      const syncs = (message.syncs || 1) + 1;
+      if (syncs > MAX_RETRY_SYNCS) {
+        // Its final attempt was reported to Sheets, the CRM and the Needs-human label
+        logger.error('Giving up on message after repeated sync failures', {
+          messageId: message.id,
+          threadId: message.threadId,
+          syncs: message.syncs,
+          firstFailedAt: message.firstFailedAt
+        });
+        recordMetric('gmail_history_retries_abandoned', 1);
+        return [];
+      }
+      return [{ ...message, syncs }];
+    })
+  }));
+
+  logger.info('Retried failed messages', summary);
+}
+
+function addRetryMessages(retryMessages, failed) {
+  const known = new Set(retryMessages.map(message => message.id));
+  const added = failed
+    .filter(message => !known.has(message.id))
+    .map(message => ({ ...message, syncs: 1, firstFailedAt: new Date().toISOString() }));
+
+  if (added.length) {
+    logger.warn('Messages queued for retry on the next sync', {
+      messageIds: added.map(message => message.id)
+    });
+    recordMetric('gmail_history_retries_queued', added.length);
+  }
+  return [...retryMessages, ...added];
+}
+
+function isProcessable(message) {
+  const labels = message.labelIds || [];
+  return !labels.some(label => SKIPPED_LABELS.includes(label));
+}
+
+function maxHistoryId(a, b) {
+  if (!a) return b?.toString();
+  if (!b) return a.toString();
+  return BigInt(a) >= BigInt(b) ? a.toString() : b.toString();
+}
@@ -1,9 +1,16 @@
 import { handleWebhook } from './webhook.js';
 import { sendEmail, processMessage } from './sender.js';
 import { setupGmailWatch, renewWatch } from './watch.js';
+import { syncHistory } from './history.js';
+import { getQueueStatus } from './queue.js';
+import { cancelScheduledReplies, listScheduledReplies } from './schedule/index.js';
 
 export {
   handleWebhook,
+  syncHistory,
+  getQueueStatus,
+  listScheduledReplies,
+  cancelScheduledReplies,
   sendEmail,
   processMessage,
   setupGmailWatch,
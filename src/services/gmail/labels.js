@@ -0,0 +1,216 @@
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { DeliveryStatus } from './delivery.js';
+
+const gmail = google.gmail('v1');
+
+export const LABEL_ROOT = 'Michelle';
+
+export const LabelName = {
+  PROCESSED: `${LABEL_ROOT}/Processed`,
+  URGENT: `${LABEL_ROOT}/Urgent`,
+  AUTO_REPLIED: `${LABEL_ROOT}/Auto-replied`,
+  SCHEDULED: `${LABEL_ROOT}/Scheduled`,
+  DRAFT_READY: `${LABEL_ROOT}/Draft-ready`,
+  REPLIED: `${LABEL_ROOT}/Replied`,
+  NEEDS_HUMAN: `${LABEL_ROOT}/Needs-human`,
+  ESCALATED: `${LABEL_ROOT}/Escalated`
+};
+
+// Label name -> ID; labels are only ever created, so entries never go stale
+const labelIds = new Map();
+let labelsLoaded = null;
+
+/**
+ * Whether the pipeline should label messages (GMAIL_LABELS_ENABLED, default on)
+ * @returns {boolean} Labels enabled
+ */
+export function labelsEnabled() {
+  return process.env.GMAIL_LABELS_ENABLED !== 'false';
+}
+
+/**
+ * Label name for a classification intent, e.g. Michelle/APPRAISAL_LEAD
+ * @param {string} intent Classification intent
+ * @returns {string} Label name
+ */
+export function intentLabel(intent) {
+  return `${LABEL_ROOT}/${(intent || 'UNKNOWN').replace(/[^\w-]/g, '_')}`;
+}
+
+/**
+ * Resolve label names to IDs, creating any label that does not exist yet
+ * (parents first, so Gmail shows them nested under Michelle)
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Array<string>} names Label names
+ * @returns {Promise<Array<string>>} Label IDs in the same order
+ */
+export async function ensureLabels(auth, names) {
+  await loadLabels(auth);
+
+  const ids = [];
+  for (const name of names) {
+    const parts = name.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+      await ensureLabel(auth, parts.slice(0, i).join('/'));
+    }
+    ids.push(labelIds.get(name));
+  }
+  return ids;
+}
+
+/**
+ * Whether a message already carries the Processed label
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} message Gmail message resource
+ * @returns {Promise<boolean>} Already handled
+ */
+export async function hasProcessedLabel(auth, message) {
+  if (!labelsEnabled() || !message.labelIds?.length) {
+    return false;
+  }
+
+  try {
+    await loadLabels(auth);
+    const processedId = labelIds.get(LabelName.PROCESSED);
+    return !!processedId && message.labelIds.includes(processedId);
+  } catch (error) {
+    logger.warn('Could not check processed label', { error: error.message, messageId: message.id });
+    return false;
+  }
+}
+
+/**
+ * Label a message with the outcome of processing: intent, urgency, what
+ * happened to the reply, and the Processed marker
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} messageId Gmail message ID
+ * @param {Object} outcome Processing outcome
+ * @param {Object} [outcome.classification] Classification result
+ * @param {string} [outcome.deliveryStatus] Reply delivery status
+ * @param {boolean} [outcome.needsHuman] Force the Needs-human label
+ */
+export async function applyProcessingLabels(auth, messageId, { classification = null, deliveryStatus = null, needsHuman = false }) {
+  const names = [LabelName.PROCESSED];
+
+  if (classification?.intent) {
+    names.push(intentLabel(classification.intent));
+  }
+  if (classification?.urgency === 'high') {
+    names.push(LabelName.URGENT);
+  }
+  const deliveryLabel = getDeliveryLabel(deliveryStatus);
+  if (deliveryLabel) {
+    names.push(deliveryLabel);
+  }
+  if (needsHuman) {
+    names.push(LabelName.NEEDS_HUMAN);
+  }
+
+  await modifyLabels(auth, messageId, { add: [...new Set(names)] });
+}
+
+/**
+ * Add and remove labels on a message. Failures are logged, never thrown,
+ * so labelling can't break the email pipeline.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} messageId Gmail message ID
+ * @param {Object} changes Label names to change
+ * @param {Array<string>} [changes.add] Labels to add
+ * @param {Array<string>} [changes.remove] Labels to remove
+ */
+export async function modifyLabels(auth, messageId, { add = [], remove = [] }) {
+  if (!labelsEnabled()) {
+    return;
+  }
+
+  try {
+    const addLabelIds = await ensureLabels(auth, add);
+    const removeLabelIds = await ensureLabels(auth, remove);
+
+    await gmail.users.messages.modify({
+      auth,
+      userId: 'me',
+      id: messageId,
+      requestBody: { addLabelIds, removeLabelIds }
+    });
+
+    logger.info('Message labels updated', { messageId, added: add, removed: remove });
+    recordMetric('labels_applied', add.length);
+  } catch (error) {
+    logger.error('Error updating message labels:', {
+      error: error.message,
+      stack: error.stack,
+      messageId,
+      add,
+      remove
+    });
+    recordMetric('label_failures', 1);
+  }
+}
+
+// Resolved at call time: delivery.js imports the sender, which imports this module
+function getDeliveryLabel(status) {
+  switch (status) {
+    case DeliveryStatus.SENT:
+      return LabelName.AUTO_REPLIED;
+    case DeliveryStatus.SCHEDULED:
+      return LabelName.SCHEDULED;
+    case DeliveryStatus.DRAFTED:
+      return LabelName.DRAFT_READY;
+    case DeliveryStatus.HELD:
+    case DeliveryStatus.FAILED:
+      return LabelName.NEEDS_HUMAN;
+    default:
+      return null;
+  }
+}
+
+async function loadLabels(auth) {
+  if (!labelsLoaded) {
+    labelsLoaded = gmail.users.labels.list({ auth, userId: 'me' })
+      .then(response => {
+        for (const label of response.data.labels || []) {
+          labelIds.set(label.name, label.id);
+        }
+      })
+      .catch(error => {
+        // Allow the next call to retry
+        labelsLoaded = null;
+        throw error;
+      });
+  }
+  return labelsLoaded;
+}
+
+async function ensureLabel(auth, name) {
+  if (labelIds.has(name)) {
+    return;
+  }
+
+  try {
+    const label = await gmail.users.labels.create({
+      auth,
+      userId: 'me',
+      requestBody: {
+        name,
+        labelListVisibility: 'labelShow',
+        messageListVisibility: 'show'
+      }
+    });
+
+    labelIds.set(name, label.data.id);
+    logger.info('Gmail label created', { name, labelId: label.data.id });
+  } catch (error) {
+    // Another instance created it first; reload to pick up its ID
+    if (error.code === 409) {
+      labelsLoaded = null;
+      await loadLabels(auth);
+      if (labelIds.has(name)) {
+        return;
+      }
+    }
+    throw error;
+  }
+}
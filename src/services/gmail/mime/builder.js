@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { htmlToText } from '../utils/bodyParser.js';
+import {
+  assertSafeHeader,
+  encodeAddressList,
+  encodeFilenameParam,
+  encodeHeaderValue,
+  toBase64Lines,
+  toBase64Url
+} from './encoding.js';
+import { MessageValidationError } from './errors.js';
+
+export const DEFAULT_FROM = 'Michelle Thompson <info@appraisily.com>';
+
+// Gmail rejects messages above 25MB once encoded
+export const MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * @typedef {Object} MimeAttachment
+ * @property {string} filename File name shown to the recipient
+ * @property {string} [mimeType] Content type, defaults to application/octet-stream
+ * @property {Buffer|string} content File content as a Buffer or base64 string
+ * @property {string} [contentId] Content-ID for inline images referenced as cid: in the HTML
+ */
+
+/**
+ * Build an RFC 2822 message. The body is multipart/alternative (plain text
+ * derived from the HTML when not given), wrapped in multipart/related for
+ * inline images and multipart/mixed for attachments as needed.
+ * @param {Object} params Message parameters
+ * @param {string} params.to Recipient(s)
+ * @param {string} [params.cc] Cc recipient(s)
+ * @param {string} [params.from] Sender, defaults to the support mailbox
+ * @param {string} params.subject Subject line
+ * @param {string} params.html HTML body
+ * @param {string} [params.text] Plain text body
+ * @param {string} [params.inReplyTo] Message-ID being replied to
+ * @param {string} [params.references] Message-ID chain for the References header
+ * @param {Array<MimeAttachment>} [params.inlineImages] Images referenced from the HTML
+ * @param {Array<MimeAttachment>} [params.attachments] File attachments
+ * @returns {string} Raw message
+ */
+export function buildMimeMessage({
+  to,
+  cc,
+  from = DEFAULT_FROM,
+  subject,
+  html,
+  text,
+  inReplyTo,
+  references,
+  inlineImages = [],
+  attachments = []
+}) {
+  if (!to) {
+    throw new MessageValidationError('Message has no recipient');
+  }
+
+  const headers = [
+    'MIME-Version: 1.0',
+    `From: ${encodeAddressList('From', from)}`,
+    `To: ${encodeAddressList('To', to)}`,
+    ...(cc ? [`Cc: ${encodeAddressList('Cc', cc)}`] : []),
+    `Subject: ${encodeHeaderValue('Subject', subject)}`,
+    ...(inReplyTo ? [`In-Reply-To: ${assertSafeHeader('In-Reply-To', inReplyTo)}`] : []),
+    ...(references ? [`References: ${assertSafeHeader('References', references)}`] : [])
+  ];
+
+  let body = buildAlternative(html || '', text ?? htmlToText(html || '').trim());
+
+  if (inlineImages.length) {
+    body = buildMultipart('related', [body, ...inlineImages.map(image => buildAttachmentPart(image, true))]);
+  }
+
+  if (attachments.length) {
+    body = buildMultipart('mixed', [body, ...attachments.map(file => buildAttachmentPart(file, false))]);
+  }
+
+  const message = [...headers, ...body.headers, '', body.content].join('\r\n');
+
+  if (Buffer.byteLength(message) > MAX_MESSAGE_BYTES) {
+    throw new MessageValidationError(`Message exceeds the ${MAX_MESSAGE_BYTES / 1024 / 1024}MB size limit`);
+  }
+
+  return message;
+}
+
+/**
+ * Build and encode a message for the Gmail API raw field
+ * @param {Object} params Parameters for buildMimeMessage
+ * @returns {string} base64url encoded message
+ */
+export function buildRawMessage(params) {
+  return toBase64Url(buildMimeMessage(params));
+}
+
+function buildAlternative(html, text) {
+  return buildMultipart('alternative', [
+    buildTextPart('text/plain', text),
+    buildTextPart('text/html', html)
+  ]);
+}
+
+function buildTextPart(mimeType, content) {
+  return {
+    headers: [
+      `Content-Type: ${mimeType}; charset=UTF-8`,
+      'Content-Transfer-Encoding: base64'
+    ],
+    content: toBase64Lines(content)
+  };
+}
+
+function buildAttachmentPart({ filename, mimeType = 'application/octet-stream', content, contentId }, inline) {
+  if (!filename || !content) {
+    throw new MessageValidationError('Attachments need a filename and content');
+  }
+  if (inline && !contentId) {
+    throw new MessageValidationError(`Inline image ${filename} has no contentId`);
+  }
+
+  const type = assertSafeHeader('Content-Type', mimeType);
+  if (!/^[\w.+-]+\/[\w.+-]+$/.test(type)) {
+    throw new MessageValidationError(`Invalid attachment content type: ${type}`);
+  }
+
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64');
+
+  return {
+    headers: [
+      `Content-Type: ${type}; ${encodeFilenameParam('name', filename)}`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: ${inline ? 'inline' : 'attachment'}; ${encodeFilenameParam('filename', filename)}`,
+      ...(inline ? [`Content-ID: <${assertSafeHeader('Content-ID', contentId).replace(/[<>]/g, '')}>`] : [])
+    ],
+    content: toBase64Lines(data)
+  };
+}
+
+function buildMultipart(subtype, parts) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+  const content = parts
+    .map(part => `--${boundary}\r\n${part.headers.join('\r\n')}\r\n\r\n${part.content}`)
+    .join('\r\n');
+
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"`],
+    content: `${content}\r\n--${boundary}--`
+  };
+}
@@ -0,0 +1,114 @@
+import { formatAddress, parseAddressList } from '../utils/addresses.js';
+import { MessageValidationError } from './errors.js';
+
+const ENCODED_WORD_MAX_BYTES = 45; // base64 of 45 bytes stays within the 75 char limit
+const LINE_LENGTH = 76;
+
+/**
+ * Reject header values that could inject extra headers or body content
+ * @param {string} name Header name, used in the error message
+ * @param {string} value Header value
+ * @returns {string} The value, unchanged
+ */
+export function assertSafeHeader(name, value) {
+  if (/[\r\n\0]/.test(value)) {
+    throw new MessageValidationError(`Invalid ${name} header: line breaks are not allowed`);
+  }
+  return value;
+}
+
+/**
+ * Encode a free-text header value (e.g. Subject) with RFC 2047 encoded-words
+ * when it contains non-ASCII characters
+ * @param {string} name Header name
+ * @param {string} value Header value
+ * @returns {string} Header-safe value
+ */
+export function encodeHeaderValue(name, value) {
+  const text = assertSafeHeader(name, String(value ?? ''));
+
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return text;
+  }
+
+  // Split on character boundaries so multi-byte characters are never cut
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > ENCODED_WORD_MAX_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+    .join('\r\n ');
+}
+
+/**
+ * Encode an address list header, encoding display names and validating addresses
+ * @param {string} name Header name
+ * @param {string|Array<string>} value Address list
+ * @returns {string} Header-safe address list
+ */
+export function encodeAddressList(name, value) {
+  const list = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+  const addresses = parseAddressList(assertSafeHeader(name, list));
+
+  return addresses
+    .map(address => {
+      if (!/^[^\s<>()",;@]+@[^\s<>()",;@]+$/.test(address.email)) {
+        throw new MessageValidationError(`Invalid ${name} address: ${address.email}`);
+      }
+
+      if (address.name && !/^[\x20-\x7e]*$/.test(address.name)) {
+        return `${encodeHeaderValue(name, address.name)} <${address.email}>`;
+      }
+      return formatAddress(address);
+    })
+    .join(', ');
+}
+
+/**
+ * Build Content-Type/Content-Disposition filename parameters, using
+ * RFC 2231 for non-ASCII names with a plain fallback for older clients
+ * @param {string} param Parameter name (name or filename)
+ * @param {string} filename File name
+ * @returns {string} Header parameter text
+ */
+export function encodeFilenameParam(param, filename) {
+  const safe = assertSafeHeader('filename', filename).replace(/[\\"]/g, '_');
+
+  if (/^[\x20-\x7e]*$/.test(safe)) {
+    return `${param}="${safe}"`;
+  }
+
+  const fallback = safe.replace(/[^\x20-\x7e]/g, '_');
+  return `${param}="${fallback}"; ${param}*=UTF-8''${encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+}
+
+/**
+ * Base64 encode content wrapped at 76 characters per line (RFC 2045)
+ * @param {Buffer|string} content Content to encode
+ * @returns {string} Wrapped base64
+ */
+export function toBase64Lines(content) {
+  const base64 = Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(content).toString('base64');
+  return base64.match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g'))?.join('\r\n') || '';
+}
+
+/**
+ * Encode a raw RFC 2822 message for the Gmail API raw field
+ * @param {string} message Raw message
+ * @returns {string} base64url encoded message
+ */
+export function toBase64Url(message) {
+  return Buffer.from(message)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
@@ -0,0 +1,11 @@
+/**
+ * A message that can't be built from the caller's input (bad address,
+ * unsafe header, oversized or malformed attachment). Callers can report it
+ * as a client error rather than a failure of the service.
+ */
+export class MessageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MessageValidationError';
+  }
+}
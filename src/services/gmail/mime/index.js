@@ -0,0 +1,3 @@
+export { buildMimeMessage, buildRawMessage, DEFAULT_FROM, MAX_MESSAGE_BYTES } from './builder.js';
+export { assertSafeHeader, encodeAddressList, encodeHeaderValue } from './encoding.js';
+export { MessageValidationError } from './errors.js';
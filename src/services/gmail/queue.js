@@ -0,0 +1,70 @@
+import { logger } from '../../utils/logger.js';
+import { JobQueue } from '../../utils/jobQueue.js';
+import { processMessage } from './sender.js';
+
+// Notifications only trigger a history sync, which must run one at a time
+export const notificationQueue = new JobQueue('gmail-notifications', {
+  concurrency: 1,
+  maxQueued: 10,
+  maxAttempts: 5,
+  retryDelay: 10000
+});
+
+// Messages from different threads are answered in parallel, each thread in order
+export const messageQueue = new JobQueue('gmail-messages', {
+  concurrency: parseInt(process.env.GMAIL_QUEUE_CONCURRENCY || '3', 10),
+  maxQueued: 1000,
+  maxAttempts: parseInt(process.env.GMAIL_QUEUE_MAX_ATTEMPTS || '3', 10),
+  retryDelay: 5000
+});
+
+/**
+ * Process a message through the message queue, serialized with other
+ * messages of its thread. Failures are retried; only the final failed
+ * attempt is reported to Sheets, the CRM and the Needs-human label, and only
+ * when the caller will not try the message again itself.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} message Message reference with id and threadId
+ * @param {Object} [options] Processing options
+ * @param {boolean} [options.reportFailure] Report the final failed attempt
+ * @returns {Promise<Object>} Result with success flag once the job settles
+ */
+export function processMessageQueued(auth, message, { reportFailure = true } = {}) {
+  const job = messageQueue.enqueue({
+    key: message.threadId || message.id,
+    type: 'process-message',
+    data: { messageId: message.id, threadId: message.threadId },
+    run: async ({ finalAttempt }) => {
+      const success = await processMessage(auth, message.id, { reportFailure: reportFailure && finalAttempt });
+      if (!success) {
+        throw new Error(`Processing failed for message ${message.id}`);
+      }
+      return success;
+    }
+  });
+
+  if (!job) {
+    return Promise.resolve({
+      success: false,
+      error: { code: 'QUEUE_FULL', message: 'Message queue is full' }
+    });
+  }
+
+  return job.done;
+}
+
+/**
+ * Queued, running and failed jobs for both Gmail queues
+ * @returns {Object} Queue inspection data
+ */
+export function getQueueStatus() {
+  return {
+    notifications: notificationQueue.inspect(),
+    messages: messageQueue.inspect()
+  };
+}
+
+logger.debug('Gmail job queues initialized', {
+  messageConcurrency: messageQueue.concurrency,
+  messageMaxAttempts: messageQueue.maxAttempts
+});
@@ -0,0 +1,117 @@
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+import { formatAddress, isSameAddress, parseAddressList } from './utils/addresses.js';
+
+const gmail = google.gmail('v1');
+
+// Keep References bounded; long threads only need the most recent ancestors
+const MAX_REFERENCES = 20;
+
+const REPLY_PREFIX = /^((re|aw|sv|antw|vs|odp|r)(\[\d+\])?\s*:\s*)+/i;
+
+/**
+ * Build the recipients, subject and threading headers for a reply
+ * @param {Object} original Gmail message resource being answered
+ * @param {Object} [options] Composer options
+ * @param {boolean} [options.replyAll] Copy the other original recipients on Cc
+ * @param {string} [options.ourEmail] Our mailbox address, excluded from recipients
+ * @returns {Object} Reply envelope: to, cc, subject, threadId, inReplyTo, references
+ */
+export function composeReply(original, {
+  replyAll = true,
+  ourEmail = process.env.GMAIL_USER_EMAIL
+} = {}) {
+  const headers = original.payload?.headers || [];
+  const header = name => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+
+  const replyTo = parseAddressList(header('reply-to'));
+  const from = parseAddressList(header('from'));
+  const primary = (replyTo.length ? replyTo : from).filter(a => !isSameAddress(a.email, ourEmail));
+
+  const seen = new Set(primary.map(a => a.email.toLowerCase()));
+  const cc = [];
+
+  if (replyAll) {
+    for (const address of [...parseAddressList(header('to')), ...parseAddressList(header('cc'))]) {
+      const key = address.email.toLowerCase();
+      if (seen.has(key) || isSameAddress(address.email, ourEmail)) {
+        continue;
+      }
+      seen.add(key);
+      cc.push(address);
+    }
+  }
+
+  const messageId = header('message-id');
+  const references = buildReferences(header('references'), header('in-reply-to'), messageId);
+
+  const envelope = {
+    to: primary.map(formatAddress).join(', '),
+    cc: cc.map(formatAddress).join(', '),
+    subject: normalizeReplySubject(header('subject')),
+    threadId: original.threadId,
+    inReplyTo: messageId || null,
+    references: references || null
+  };
+
+  logger.debug('Reply envelope composed', {
+    threadId: envelope.threadId,
+    to: envelope.to,
+    ccCount: cc.length,
+    hasMessageId: !!messageId,
+    referenceCount: references ? references.split(' ').length : 0
+  });
+
+  return envelope;
+}
+
+/**
+ * Prefix a subject with a single "Re:", collapsing existing reply prefixes
+ * @param {string} subject Original subject
+ * @returns {string} Reply subject
+ */
+export function normalizeReplySubject(subject) {
+  const base = (subject || '').replace(REPLY_PREFIX, '').trim();
+  return base ? `Re: ${base}` : 'Re:';
+}
+
+/**
+ * Look up threading headers for the latest message in a thread, for callers
+ * that only know the threadId
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} threadId Gmail thread ID
+ * @returns {Promise<{inReplyTo: string|null, references: string|null}>} Threading headers
+ */
+export async function getThreadingHeaders(auth, threadId) {
+  try {
+    const thread = await gmail.users.threads.get({
+      auth,
+      userId: 'me',
+      id: threadId,
+      format: 'metadata',
+      metadataHeaders: ['Message-ID', 'References', 'In-Reply-To']
+    });
+
+    const latest = thread.data.messages?.[thread.data.messages.length - 1];
+    const headers = latest?.payload?.headers || [];
+    const header = name => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+    const messageId = header('message-id');
+
+    return {
+      inReplyTo: messageId || null,
+      references: buildReferences(header('references'), header('in-reply-to'), messageId) || null
+    };
+  } catch (error) {
+    logger.warn('Could not load threading headers, sending without them', {
+      error: error.message,
+      threadId
+    });
+    return { inReplyTo: null, references: null };
+  }
+}
+
+function buildReferences(references, inReplyTo, messageId) {
+  const ids = `${references || inReplyTo || ''} ${messageId || ''}`.match(/<[^<>\s]+>/g) || [];
+  const unique = [...new Set(ids)];
+  return unique.slice(-MAX_REFERENCES).join(' ');
+}
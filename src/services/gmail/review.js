@@ -0,0 +1,399 @@
+import { google } from 'googleapis';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { regenerateReply } from '../openai/index.js';
+import { UsageChannel, runWithInteraction } from '../llm/index.js';
+import { combineVisionImages, extractDocumentAttachments, extractImageAttachments } from './attachments.js';
+import { formatReplyBody } from './delivery.js';
+import { deleteDraft, getDraft, sendDraft, updateDraft } from './drafts.js';
+import { LabelName, modifyLabels } from './labels.js';
+import { composeReply } from './replyComposer.js';
+import { getReviewStore } from './reviewStore.js';
+import { getThreadMessages } from './thread.js';
+import { extractEmailBody } from './utils/bodyParser.js';
+
+const gmail = google.gmail('v1');
+
+const CLAIM_TTL = 5 * 60 * 1000; // 5 minutes
+
+export const ReviewStatus = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  DISCARDED: 'discarded',
+  STALE: 'stale'
+};
+
+export const ReviewDecision = {
+  APPROVED: 'approved',
+  EDITED: 'edited',
+  DISCARDED: 'discarded'
+};
+
+export const ReviewErrorCode = {
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_PENDING: 'NOT_PENDING',
+  DRAFT_MISSING: 'DRAFT_MISSING'
+};
+
+/**
+ * Remember an AI-written draft so staff can review it
+ * @param {Object} params Draft details
+ * @param {string} params.draftId Gmail draft ID
+ * @param {string} params.originalMessageId Customer message being answered
+ * @param {string} params.threadId Gmail thread ID
+ * @param {string} params.from Customer From header
+ * @param {string} params.subject Original subject
+ * @param {string} params.emailContent Customer's new text
+ * @param {Object} params.classification Classification result
+ * @param {Object} params.customerData Customer data used for the reply
+ * @param {Object} params.policy Policy decision (action, ruleId, version)
+ * @param {Object} [params.language] Customer's language, reused when regenerating
+ * @param {string} params.reply Generated reply text
+ */
+export async function recordDraftForReview({
+  draftId,
+  originalMessageId,
+  threadId,
+  from,
+  subject,
+  emailContent,
+  classification,
+  customerData,
+  policy,
+  language = null,
+  reply
+}) {
+  try {
+    await getReviewStore().create({
+      draftId,
+      originalMessageId,
+      threadId,
+      from,
+      subject,
+      emailContent,
+      classification,
+      customerData,
+      policy,
+      language,
+      generatedReply: reply,
+      currentReply: reply,
+      regenerations: [],
+      status: ReviewStatus.PENDING,
+      createdAt: new Date().toISOString()
+    });
+
+    recordMetric('drafts_pending_review', 1);
+  } catch (error) {
+    // A missing review record must never fail the email pipeline
+    logger.error('Error recording draft for review:', {
+      error: error.message,
+      stack: error.stack,
+      draftId,
+      threadId
+    });
+    recordMetric('draft_reviews_unrecorded', 1);
+  }
+}
+
+/**
+ * Get the review record for a draft
+ * @param {string} draftId Gmail draft ID
+ * @returns {Promise<Object|null>} Review record
+ */
+export async function getReview(draftId) {
+  return getReviewStore().get(draftId);
+}
+
+/**
+ * List drafts still waiting for review, newest first, with the current draft
+ * text and thread context. Drafts sent or deleted directly in Gmail are
+ * marked stale and left out.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {Object} [options] List options
+ * @param {number} [options.limit] Maximum number of drafts
+ * @returns {Promise<Array<Object>>} Pending drafts
+ */
+export async function listPendingReviews(auth, { limit = 20 } = {}) {
+  const open = await getReviewStore().list({ statuses: [ReviewStatus.PENDING, ReviewStatus.PROCESSING] });
+  const pending = open
+    .filter(isPending)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+
+  const results = await Promise.all(pending.map(async review => {
+    const draft = await getDraft(auth, review.draftId);
+
+    if (!draft) {
+      await markStale(review.draftId);
+      return null;
+    }
+
+    const threadMessages = await getThreadMessages(auth, review.threadId, review.originalMessageId);
+
+    return {
+      draftId: review.draftId,
+      threadId: review.threadId,
+      originalMessageId: review.originalMessageId,
+      from: review.from,
+      subject: review.subject,
+      createdAt: review.createdAt,
+      emailContent: review.emailContent,
+      classification: review.classification,
+      policy: review.policy,
+      reply: review.currentReply,
+      draftContent: extractEmailBody(draft.message.payload).text,
+      regenerationCount: review.regenerations.length,
+      thread: threadMessages || []
+    };
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Send a draft as it currently stands in Gmail. Changes made directly in
+ * Gmail are detected and recorded as an edit.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Gmail draft ID
+ * @param {Object} params Review parameters
+ * @param {string} [params.reviewer] Reviewer name or email
+ * @returns {Promise<Object>} Result with success flag and review or error
+ */
+export async function approveDraft(auth, draftId, { reviewer = null } = {}) {
+  return withClaim(draftId, async review => {
+    const draft = await getDraft(auth, draftId);
+    if (!draft) {
+      await markStale(draftId);
+      return failure(ReviewErrorCode.DRAFT_MISSING, 'Draft no longer exists in Gmail');
+    }
+
+    const draftText = extractEmailBody(draft.message.payload).text;
+    const editedInGmail = !sameText(draftText, review.currentReply);
+    const sent = await sendDraft(auth, draftId);
+    await markReplied(auth, review);
+
+    return complete(draftId, {
+      status: ReviewStatus.SENT,
+      decision: editedInGmail ? ReviewDecision.EDITED : ReviewDecision.APPROVED,
+      finalReply: draftText,
+      sentMessageId: sent.id,
+      reviewer
+    });
+  });
+}
+
+/**
+ * Replace the draft text with the reviewer's version and send it
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Gmail draft ID
+ * @param {Object} params Review parameters
+ * @param {string} params.reply Edited reply text
+ * @param {string} [params.reviewer] Reviewer name or email
+ * @returns {Promise<Object>} Result with success flag and review or error
+ */
+export async function editAndSendDraft(auth, draftId, { reply, reviewer = null }) {
+  return withClaim(draftId, async review => {
+    const original = await getOriginalMessage(auth, review.originalMessageId);
+    await updateDraft(auth, draftId, buildDraftMessage(original, reply));
+    const sent = await sendDraft(auth, draftId);
+    await markReplied(auth, review);
+
+    return complete(draftId, {
+      status: ReviewStatus.SENT,
+      decision: sameText(reply, review.currentReply) ? ReviewDecision.APPROVED : ReviewDecision.EDITED,
+      finalReply: reply,
+      sentMessageId: sent.id,
+      reviewer
+    });
+  });
+}
+
+/**
+ * Generate a new reply following reviewer instructions and put it in the
+ * draft. The draft stays pending for another review.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Gmail draft ID
+ * @param {Object} params Review parameters
+ * @param {string} params.instructions What to change
+ * @param {string} [params.reviewer] Reviewer name or email
+ * @returns {Promise<Object>} Result with success flag and review or error
+ */
+export async function regenerateDraft(auth, draftId, { instructions, reviewer = null }) {
+  return withClaim(draftId, async review => {
+    const original = await getOriginalMessage(auth, review.originalMessageId);
+    const imageAttachments = await extractImageAttachments(auth, original);
+    const documents = await extractDocumentAttachments(auth, original);
+    const threadMessages = await getThreadMessages(auth, review.threadId, review.originalMessageId);
+
+    const reply = await runWithInteraction({ channel: UsageChannel.REVIEW, interactionId: draftId, assignmentKey: review.threadId }, () => regenerateReply({
+      emailContent: review.emailContent,
+      classification: review.classification,
+      customerData: review.customerData,
+      threadMessages,
+      imageAttachments: combineVisionImages(imageAttachments, documents),
+      threadId: review.threadId,
+      documents,
+      language: review.language,
+      senderEmail: review.from?.match(/<([^>]+)>/)?.[1] || review.from,
+      instructions,
+      previousDraft: review.currentReply
+    }));
+
+    await updateDraft(auth, draftId, buildDraftMessage(original, reply));
+    recordMetric('drafts_regenerated', 1);
+
+    return complete(draftId, {
+      status: ReviewStatus.PENDING,
+      currentReply: reply,
+      regenerations: [
+        ...review.regenerations,
+        { instructions, reviewer, regeneratedAt: new Date().toISOString() }
+      ]
+    });
+  });
+}
+
+/**
+ * Delete a draft without sending it
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} draftId Gmail draft ID
+ * @param {Object} params Review parameters
+ * @param {string} [params.reviewer] Reviewer name or email
+ * @param {string} [params.reason] Why the draft was rejected
+ * @returns {Promise<Object>} Result with success flag and review or error
+ */
+export async function discardDraft(auth, draftId, { reviewer = null, reason = null } = {}) {
+  return withClaim(draftId, async review => {
+    await deleteDraft(auth, draftId);
+    await modifyLabels(auth, review.originalMessageId, { remove: [LabelName.DRAFT_READY] });
+
+    return complete(draftId, {
+      status: ReviewStatus.DISCARDED,
+      decision: ReviewDecision.DISCARDED,
+      discardReason: reason,
+      reviewer
+    });
+  });
+}
+
+/**
+ * Summarize reviewer decisions over the retention window
+ * @returns {Promise<Object>} Counts per decision and the unchanged acceptance rate
+ */
+export async function getReviewStats() {
+  const reviews = await getReviewStore().list();
+  const decided = reviews.filter(review => review.decision);
+
+  const acceptedUnchanged = decided.filter(review =>
+    review.decision === ReviewDecision.APPROVED && review.regenerations.length === 0
+  ).length;
+
+  return {
+    pending: reviews.filter(isPending).length,
+    stale: reviews.filter(review => review.status === ReviewStatus.STALE).length,
+    decided: decided.length,
+    approved: decided.filter(review => review.decision === ReviewDecision.APPROVED).length,
+    edited: decided.filter(review => review.decision === ReviewDecision.EDITED).length,
+    discarded: decided.filter(review => review.decision === ReviewDecision.DISCARDED).length,
+    regenerated: reviews.filter(review => review.regenerations.length > 0).length,
+    acceptedUnchanged,
+    acceptedUnchangedRate: decided.length ? acceptedUnchanged / decided.length : null
+  };
+}
+
+/**
+ * Claim a pending review so two reviewers cannot act on the same draft, run
+ * the action, and release the claim if the action fails
+ */
+async function withClaim(draftId, action) {
+  const { previous: existing, review: claimed } = await getReviewStore().update(draftId, review =>
+    isPending(review) ? { status: ReviewStatus.PROCESSING, claimedAt: Date.now() } : null
+  );
+
+  if (!existing) {
+    return failure(ReviewErrorCode.NOT_FOUND, 'No review found for this draft');
+  }
+  if (!claimed) {
+    return failure(ReviewErrorCode.NOT_PENDING, `Draft is ${existing.status}`);
+  }
+
+  try {
+    return await action(claimed);
+  } catch (error) {
+    logger.error('Draft review action failed:', {
+      error: error.message,
+      stack: error.stack,
+      draftId
+    });
+    await setReview(draftId, { status: ReviewStatus.PENDING, claimedAt: null });
+    throw error;
+  }
+}
+
+async function complete(draftId, changes) {
+  const review = await setReview(draftId, {
+    ...changes,
+    claimedAt: null,
+    ...(changes.decision && { decidedAt: new Date().toISOString() })
+  });
+
+  if (changes.decision) {
+    recordMetric(`drafts_${changes.decision}`, 1);
+    logger.info('Draft review completed', {
+      draftId,
+      decision: changes.decision,
+      reviewer: changes.reviewer,
+      regenerations: review.regenerations.length
+    });
+  }
+
+  return { success: true, review };
+}
+
+async function setReview(draftId, changes) {
+  const { review } = await getReviewStore().update(draftId, () => changes);
+  return review;
+}
+
+async function markStale(draftId) {
+  logger.info('Draft no longer in Gmail, marking review stale', { draftId });
+  await setReview(draftId, { status: ReviewStatus.STALE, claimedAt: null });
+}
+
+async function markReplied(auth, review) {
+  await modifyLabels(auth, review.originalMessageId, {
+    add: [LabelName.REPLIED],
+    remove: [LabelName.DRAFT_READY]
+  });
+}
+
+async function getOriginalMessage(auth, messageId) {
+  const message = await gmail.users.messages.get({
+    auth,
+    userId: 'me',
+    id: messageId,
+    format: 'full'
+  });
+  return message.data;
+}
+
+function buildDraftMessage(original, reply) {
+  const { to, cc, subject, threadId, inReplyTo, references } = composeReply(original);
+  return { to, cc, subject, threadId, inReplyTo, references, body: formatReplyBody(reply), text: reply };
+}
+
+function isPending(review) {
+  // A claim left behind by a crashed request expires
+  return review.status === ReviewStatus.PENDING ||
+    (review.status === ReviewStatus.PROCESSING && Date.now() - review.claimedAt > CLAIM_TTL);
+}
+
+function sameText(a, b) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+  return normalize(a) === normalize(b);
+}
+
+function failure(code, message) {
+  return { success: false, error: { code, message } };
+}
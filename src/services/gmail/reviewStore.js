@@ -0,0 +1,131 @@
+import { Timestamp } from '@google-cloud/firestore';
+import { getCollection, getFirestore } from '../../utils/firestore.js';
+import { StateBackend, getStateBackend, getStateStore } from '../../utils/stateStore.js';
+
+const REVIEW_RETENTION = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+let reviewStore = null;
+
+/**
+ * Draft reviews in Firestore, one document per draft. Each review carries
+ * the customer's text, classification and reply, so a single state document
+ * would soon pass Firestore's 1MB limit; separate documents also keep
+ * reviewers of different drafts from contending on one transaction. Enable
+ * a TTL policy on expireAt to drop reviews after 90 days.
+ */
+export class FirestoreReviewStore {
+  constructor(collection = 'draft-reviews') {
+    this.collection = getCollection(collection);
+  }
+
+  async create(review) {
+    await this.collection.doc(review.draftId).set({
+      ...review,
+      expireAt: Timestamp.fromMillis(Date.parse(review.createdAt) + REVIEW_RETENTION)
+    });
+  }
+
+  async get(draftId) {
+    const snapshot = await this.collection.doc(draftId).get();
+    return snapshot.exists ? withoutExpiry(snapshot.data()) : null;
+  }
+
+  async list({ statuses = null } = {}) {
+    const query = statuses ? this.collection.where('status', 'in', statuses) : this.collection;
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => withoutExpiry(doc.data()));
+  }
+
+  async update(draftId, change) {
+    const ref = this.collection.doc(draftId);
+
+    return getFirestore().runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      const previous = snapshot.exists ? withoutExpiry(snapshot.data()) : null;
+      const changes = previous ? change(previous) : null;
+      if (!changes) {
+        return { previous, review: null };
+      }
+
+      const review = { ...previous, ...changes };
+      transaction.update(ref, changes);
+      return { previous, review };
+    });
+  }
+}
+
+/**
+ * Draft reviews in a state file under STATE_DIR, for local runs
+ */
+export class FileReviewStore {
+  constructor(name = 'draft-reviews') {
+    this.store = getStateStore(name);
+  }
+
+  async create(review) {
+    await this.store.update(state => ({
+      ...state,
+      reviews: pruneReviews({ ...state.reviews, [review.draftId]: review })
+    }));
+  }
+
+  async get(draftId) {
+    const state = await this.store.read();
+    return state.reviews?.[draftId] || null;
+  }
+
+  async list({ statuses = null } = {}) {
+    const state = await this.store.read();
+    return Object.values(state.reviews || {}).filter(review => !statuses || statuses.includes(review.status));
+  }
+
+  async update(draftId, change) {
+    let previous = null;
+    let review = null;
+
+    await this.store.update(state => {
+      previous = state.reviews?.[draftId] || null;
+      const changes = previous ? change(previous) : null;
+      if (!changes) {
+        return state;
+      }
+
+      review = { ...previous, ...changes };
+      return { ...state, reviews: { ...state.reviews, [draftId]: review } };
+    });
+
+    return { previous, review };
+  }
+}
+
+/**
+ * Get the draft review store for the configured state backend
+ * @returns {FirestoreReviewStore|FileReviewStore} Review store
+ */
+export function getReviewStore() {
+  if (!reviewStore) {
+    reviewStore = getStateBackend() === StateBackend.FIRESTORE
+      ? new FirestoreReviewStore()
+      : new FileReviewStore();
+  }
+  return reviewStore;
+}
+
+/**
+ * Replace the active review store (tests and custom wiring)
+ * @param {Object} store Review store
+ */
+export function setReviewStore(store) {
+  reviewStore = store;
+}
+
+function withoutExpiry({ expireAt, ...review }) {
+  return review;
+}
+
+function pruneReviews(reviews) {
+  const cutoff = Date.now() - REVIEW_RETENTION;
+  return Object.fromEntries(
+    Object.entries(reviews).filter(([, review]) => Date.parse(review.createdAt) >= cutoff)
+  );
+}
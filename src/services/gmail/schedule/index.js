@@ -0,0 +1,16 @@
+export {
+  ScheduleTimezone,
+  getSendWindowConfig,
+  resolveRecipientTimezone,
+  isWithinSendWindow,
+  getScheduledSendTime
+} from './window.js';
+export {
+  ScheduledSendStatus,
+  scheduleReply,
+  cancelScheduledReplies,
+  listScheduledReplies,
+  sendDueReplies,
+  startScheduledSender,
+  stopScheduledSender
+} from './scheduler.js';
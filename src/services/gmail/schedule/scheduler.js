@@ -0,0 +1,321 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../../../utils/logger.js';
+import { recordMetric } from '../../../utils/monitoring.js';
+import { getGmailAuth } from '../auth.js';
+import { withThreadLease } from '../dedup/index.js';
+import { LabelName, modifyLabels } from '../labels.js';
+import { sendEmail } from '../sender.js';
+import { getScheduleStore } from './store.js';
+
+export const ScheduledSendStatus = {
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+const CHECK_INTERVAL = 60 * 1000; // 1 minute
+const RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+const MAX_ATTEMPTS = 3;
+
+let checkTimer = null;
+let checkRunning = false;
+
+/**
+ * Persist a reply to be sent when the send window opens
+ * @param {Object} params Scheduled reply
+ * @param {string} params.originalMessageId Gmail message being answered
+ * @param {string} params.threadId Gmail thread ID
+ * @param {Object} params.envelope Composed reply headers (to, cc, subject, inReplyTo, references)
+ * @param {string} params.reply Reply text
+ * @param {string} params.body Reply HTML
+ * @param {Date} params.sendAt When to send
+ * @param {string} params.timezone Timezone the window was measured in
+ * @returns {Promise<Object>} Stored entry
+ */
+export async function scheduleReply({ originalMessageId, threadId, envelope, reply, body, sendAt, timezone }) {
+  const entry = {
+    id: uuidv4(),
+    originalMessageId,
+    threadId,
+    envelope,
+    reply,
+    body,
+    timezone,
+    sendAt: sendAt.toISOString(),
+    status: ScheduledSendStatus.SCHEDULED,
+    attempts: 0,
+    createdAt: new Date().toISOString()
+  };
+
+  await getScheduleStore().create(entry);
+
+  logger.info('Reply scheduled for the send window', {
+    scheduledSendId: entry.id,
+    originalMessageId,
+    threadId,
+    sendAt: entry.sendAt,
+    timezone
+  });
+  recordMetric('replies_scheduled', 1);
+
+  return entry;
+}
+
+/**
+ * Cancel every reply still waiting to be sent in a thread. Called when the
+ * customer writes again, since the waiting reply no longer answers the
+ * latest message; the new message gets its own reply.
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} threadId Gmail thread ID
+ * @param {Object} [details] Why the replies were cancelled
+ * @param {string} [details.reason] Cancellation reason
+ * @param {string} [details.messageId] Message that triggered the cancellation
+ * @returns {Promise<Array<Object>>} Cancelled entries
+ */
+export async function cancelScheduledReplies(auth, threadId, { reason = 'cancelled', messageId = null } = {}) {
+  const store = getScheduleStore();
+  const waiting = await store.list({ status: ScheduledSendStatus.SCHEDULED, threadId });
+  const cancelled = [];
+
+  // Each entry changes only if still scheduled, so a reply another instance
+  // has just started sending is left alone
+  for (const entry of waiting) {
+    const updated = await store.transition(entry.id, ScheduledSendStatus.SCHEDULED, {
+      status: ScheduledSendStatus.CANCELLED,
+      cancelledAt: new Date().toISOString(),
+      cancelReason: reason,
+      cancelledBy: messageId
+    });
+    if (updated) {
+      cancelled.push(updated);
+    }
+  }
+
+  for (const entry of cancelled) {
+    logger.info('Scheduled reply cancelled', {
+      scheduledSendId: entry.id,
+      threadId,
+      originalMessageId: entry.originalMessageId,
+      sendAt: entry.sendAt,
+      reason,
+      messageId
+    });
+    await modifyLabels(auth, entry.originalMessageId, { remove: [LabelName.SCHEDULED] });
+  }
+
+  if (cancelled.length > 0) {
+    recordMetric('scheduled_replies_cancelled', cancelled.length);
+  }
+
+  return cancelled;
+}
+
+/**
+ * Scheduled replies, newest first
+ * @param {Object} [options] Filter options
+ * @param {string} [options.status] Only entries with this status
+ * @returns {Promise<Array<Object>>} Entries without the reply body
+ */
+export async function listScheduledReplies({ status = null } = {}) {
+  const entries = await getScheduleStore().list({ status });
+
+  return entries
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(({ body, ...entry }) => entry);
+}
+
+/**
+ * Send due replies now and keep checking every minute. Entries are read from
+ * the schedule store on each check, so replies scheduled before a restart or
+ * on another instance go out from here too. The timer needs CPU outside
+ * requests (Cloud Run --no-cpu-throttling).
+ */
+export async function startScheduledSender() {
+  stopScheduledSender();
+  await runScheduledCheck();
+}
+
+/**
+ * Stop checking for due replies
+ */
+export function stopScheduledSender() {
+  if (checkTimer) {
+    clearTimeout(checkTimer);
+    checkTimer = null;
+  }
+}
+
+async function runScheduledCheck() {
+  checkTimer = null;
+
+  try {
+    await sendDueReplies();
+  } catch (error) {
+    logger.error('Scheduled reply check failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+  }
+
+  checkTimer = setTimeout(runScheduledCheck, CHECK_INTERVAL);
+  // Never keep the process alive just for the timer
+  checkTimer.unref?.();
+}
+
+/**
+ * Send every reply whose time has come
+ * @returns {Promise<number>} Replies sent
+ */
+export async function sendDueReplies() {
+  // A slow Gmail call must not let the next tick send the same reply
+  if (checkRunning) {
+    return 0;
+  }
+  checkRunning = true;
+
+  try {
+    const now = Date.now();
+    const store = getScheduleStore();
+    const due = (await store.list({ status: ScheduledSendStatus.SCHEDULED }))
+      .filter(entry => Date.parse(entry.sendAt) <= now);
+
+    await failInterruptedSends(await store.list({ status: ScheduledSendStatus.SENDING }));
+
+    if (due.length === 0) {
+      return 0;
+    }
+
+    const auth = await getGmailAuth();
+    let sent = 0;
+
+    for (const entry of due) {
+      // The lease keeps a new customer message from being processed, and
+      // cancelling this reply, while it is going out
+      const { acquired, result } = await withThreadLease(entry.threadId, () => sendScheduledReply(auth, entry.id));
+      if (!acquired) {
+        logger.info('Thread busy, scheduled reply waits for the next check', {
+          scheduledSendId: entry.id,
+          threadId: entry.threadId
+        });
+        continue;
+      }
+      if (result) {
+        sent++;
+      }
+    }
+
+    return sent;
+  } finally {
+    checkRunning = false;
+  }
+}
+
+async function sendScheduledReply(auth, id) {
+  // Claim the entry; it may have been cancelled, or sent by another
+  // instance, while waiting for the lease
+  const store = getScheduleStore();
+  const entry = await store.transition(id, ScheduledSendStatus.SCHEDULED, current => ({
+    status: ScheduledSendStatus.SENDING,
+    attempts: current.attempts + 1,
+    claimedAt: new Date().toISOString()
+  }));
+
+  if (!entry) {
+    return false;
+  }
+
+  const { to, cc, subject, inReplyTo, references } = entry.envelope;
+
+  try {
+    const result = await sendEmail(to, subject, entry.body, entry.threadId, {
+      cc,
+      inReplyTo,
+      references,
+      text: entry.reply
+    });
+
+    await store.transition(id, ScheduledSendStatus.SENDING, {
+      status: ScheduledSendStatus.SENT,
+      sentAt: new Date().toISOString(),
+      sentMessageId: result.messageId
+    });
+    await modifyLabels(auth, entry.originalMessageId, {
+      add: [LabelName.AUTO_REPLIED],
+      remove: [LabelName.SCHEDULED]
+    });
+
+    logger.info('Scheduled reply sent', {
+      scheduledSendId: id,
+      threadId: entry.threadId,
+      originalMessageId: entry.originalMessageId,
+      sentMessageId: result.messageId,
+      sendAt: entry.sendAt,
+      delayMs: Date.now() - Date.parse(entry.sendAt)
+    });
+    recordMetric('replies_sent', 1);
+    recordMetric('scheduled_replies_sent', 1);
+    return true;
+  } catch (error) {
+    const finalAttempt = entry.attempts >= MAX_ATTEMPTS;
+
+    logger.error('Scheduled reply send failed:', {
+      error: error.message,
+      stack: error.stack,
+      scheduledSendId: id,
+      threadId: entry.threadId,
+      attempt: entry.attempts,
+      willRetry: !finalAttempt
+    });
+
+    if (finalAttempt) {
+      await store.transition(id, ScheduledSendStatus.SENDING, { status: ScheduledSendStatus.FAILED, lastError: error.message });
+      await modifyLabels(auth, entry.originalMessageId, {
+        add: [LabelName.NEEDS_HUMAN],
+        remove: [LabelName.SCHEDULED]
+      });
+      recordMetric('reply_delivery_failures', 1);
+    } else {
+      await store.transition(id, ScheduledSendStatus.SENDING, {
+        status: ScheduledSendStatus.SCHEDULED,
+        sendAt: new Date(Date.now() + RETRY_DELAY).toISOString(),
+        lastError: error.message
+      });
+    }
+    return false;
+  }
+}
+
+/**
+ * A reply left in "sending" by a process that died mid-send may or may not
+ * have gone out, so it is handed to staff rather than sent a second time
+ */
+async function failInterruptedSends(sending) {
+  const stale = sending.filter(entry => Date.now() - Date.parse(entry.claimedAt) > CHECK_INTERVAL * 10);
+
+  if (stale.length === 0) {
+    return;
+  }
+
+  const auth = await getGmailAuth();
+  for (const entry of stale) {
+    const failed = await getScheduleStore().transition(entry.id, ScheduledSendStatus.SENDING, {
+      status: ScheduledSendStatus.FAILED,
+      lastError: 'Interrupted while sending'
+    });
+    if (!failed) {
+      continue;
+    }
+
+    logger.warn('Scheduled reply interrupted while sending, needs a human', {
+      scheduledSendId: entry.id,
+      threadId: entry.threadId,
+      claimedAt: entry.claimedAt
+    });
+    await modifyLabels(auth, entry.originalMessageId, {
+      add: [LabelName.NEEDS_HUMAN],
+      remove: [LabelName.SCHEDULED]
+    });
+  }
+}
@@ -0,0 +1,132 @@
+import { Timestamp } from '@google-cloud/firestore';
+import { getCollection, getFirestore } from '../../../utils/firestore.js';
+import { StateBackend, getStateBackend, getStateStore } from '../../../utils/stateStore.js';
+
+const RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+let scheduleStore = null;
+
+/**
+ * Scheduled replies in Firestore, one document per reply. Every instance
+ * sees every reply, so a customer's new message cancels a reply scheduled
+ * by another instance and any instance can send it. Status changes run in
+ * transactions. Enable a TTL policy on expireAt to drop old entries.
+ */
+export class FirestoreScheduleStore {
+  constructor(collection = 'scheduled-replies') {
+    this.collection = getCollection(collection);
+  }
+
+  async create(entry) {
+    await this.collection.doc(entry.id).set({
+      ...entry,
+      expireAt: Timestamp.fromMillis(Date.parse(entry.sendAt) + RETENTION)
+    });
+  }
+
+  async list({ status = null, threadId = null } = {}) {
+    let query = this.collection;
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    if (threadId) {
+      query = query.where('threadId', '==', threadId);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => withoutExpiry(doc.data()));
+  }
+
+  async transition(id, fromStatus, changes) {
+    const ref = this.collection.doc(id);
+
+    return getFirestore().runTransaction(async transaction => {
+      const current = (await transaction.get(ref)).data();
+      if (current?.status !== fromStatus) {
+        return null;
+      }
+
+      const next = { ...current, ...resolveChanges(changes, current) };
+      transaction.set(ref, next);
+      return withoutExpiry(next);
+    });
+  }
+}
+
+/**
+ * Scheduled replies in a state file under STATE_DIR, for local runs. Only
+ * the process that owns the file sees them.
+ */
+export class FileScheduleStore {
+  constructor(name = 'scheduled-replies') {
+    this.store = getStateStore(name);
+  }
+
+  async create(entry) {
+    await this.store.update(state => ({
+      ...state,
+      replies: pruneReplies({ ...state.replies, [entry.id]: entry })
+    }));
+  }
+
+  async list({ status = null, threadId = null } = {}) {
+    const state = await this.store.read();
+    return Object.values(state.replies || {}).filter(entry =>
+      (!status || entry.status === status) && (!threadId || entry.threadId === threadId)
+    );
+  }
+
+  async transition(id, fromStatus, changes) {
+    let next = null;
+
+    await this.store.update(state => {
+      const current = state.replies?.[id];
+      if (current?.status !== fromStatus) {
+        return state;
+      }
+      next = { ...current, ...resolveChanges(changes, current) };
+      return { ...state, replies: { ...state.replies, [id]: next } };
+    });
+
+    return next;
+  }
+}
+
+/**
+ * Get the scheduled reply store for the configured state backend
+ * @returns {FirestoreScheduleStore|FileScheduleStore} Schedule store
+ */
+export function getScheduleStore() {
+  if (!scheduleStore) {
+    scheduleStore = getStateBackend() === StateBackend.FIRESTORE
+      ? new FirestoreScheduleStore()
+      : new FileScheduleStore();
+  }
+  return scheduleStore;
+}
+
+/**
+ * Replace the active schedule store (tests and custom wiring)
+ * @param {Object} store Schedule store
+ */
+export function setScheduleStore(store) {
+  scheduleStore = store;
+}
+
+function resolveChanges(changes, current) {
+  return typeof changes === 'function' ? changes(current) : changes;
+}
+
+function withoutExpiry({ expireAt, ...entry }) {
+  return entry;
+}
+
+// Finished entries are kept for a while for inspection, pending ones always
+function pruneReplies(replies) {
+  const cutoff = Date.now() - RETENTION;
+  return Object.fromEntries(
+    Object.entries(replies).filter(([, entry]) =>
+      entry.status === 'scheduled' || Date.parse(entry.createdAt) >= cutoff
+    )
+  );
+}
@@ -0,0 +1,195 @@
+import { logger } from '../../../utils/logger.js';
+
+export const ScheduleTimezone = {
+  RECIPIENT: 'recipient',
+  COMPANY: 'company'
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_COMPANY_TIMEZONE = 'America/New_York';
+const OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+const STEP = 15 * 60 * 1000;
+// Far enough to reach the next allowed day from any point in the week
+const MAX_STEPS = 8 * 24 * 4;
+
+const formatters = new Map();
+
+/**
+ * Send window settings. Scheduling is off unless SEND_WINDOW_ENABLED=true;
+ * the window is SEND_WINDOW_START to SEND_WINDOW_END on SEND_WINDOW_DAYS,
+ * in the recipient's timezone or COMPANY_TIMEZONE (SEND_WINDOW_TIMEZONE).
+ * @returns {Object} Window configuration
+ */
+export function getSendWindowConfig() {
+  const companyTimezone = process.env.COMPANY_TIMEZONE || DEFAULT_COMPANY_TIMEZONE;
+  const timezoneMode = (process.env.SEND_WINDOW_TIMEZONE || ScheduleTimezone.RECIPIENT).toLowerCase();
+  let start = parseClock(process.env.SEND_WINDOW_START || '09:00');
+  let end = parseClock(process.env.SEND_WINDOW_END || '18:00');
+
+  if (start === null || end === null || start >= end) {
+    logger.warn('Invalid send window, using 09:00-18:00', {
+      start: process.env.SEND_WINDOW_START,
+      end: process.env.SEND_WINDOW_END
+    });
+    start = 9 * 60;
+    end = 18 * 60;
+  }
+
+  return {
+    enabled: process.env.SEND_WINDOW_ENABLED === 'true',
+    start,
+    end,
+    days: parseDays(process.env.SEND_WINDOW_DAYS || 'mon-fri'),
+    timezoneMode: Object.values(ScheduleTimezone).includes(timezoneMode)
+      ? timezoneMode
+      : ScheduleTimezone.RECIPIENT,
+    companyTimezone: isValidTimezone(companyTimezone) ? companyTimezone : DEFAULT_COMPANY_TIMEZONE
+  };
+}
+
+/**
+ * Pick the timezone a reply's send window is measured in. The customer's mail
+ * client stamps its UTC offset on the Date header, which is the best hint we
+ * have; "-0000" means the offset is unknown (RFC 5322), so it falls back to
+ * the company timezone like a missing header does.
+ * @param {Object} original Gmail message resource being answered
+ * @param {Object} config Window configuration
+ * @returns {{timezone: string, source: string}} IANA name or "+hh:mm" offset
+ */
+export function resolveRecipientTimezone(original, config) {
+  const company = { timezone: config.companyTimezone, source: ScheduleTimezone.COMPANY };
+
+  if (config.timezoneMode === ScheduleTimezone.COMPANY) {
+    return company;
+  }
+
+  const date = original?.payload?.headers
+    ?.find(h => h.name.toLowerCase() === 'date')?.value;
+  const match = date?.match(/([+-])(\d{2})(\d{2})\s*(?:\([^)]*\))?\s*$/);
+
+  if (!match || (match[1] === '-' && match[2] === '00' && match[3] === '00')) {
+    return company;
+  }
+
+  return { timezone: `${match[1]}${match[2]}:${match[3]}`, source: ScheduleTimezone.RECIPIENT };
+}
+
+/**
+ * Whether a moment falls inside the send window
+ * @param {Date} date Moment to check
+ * @param {Object} config Window configuration
+ * @param {string} timezone IANA name or "+hh:mm" offset
+ * @returns {boolean} Inside the window
+ */
+export function isWithinSendWindow(date, config, timezone) {
+  const { day, minutes } = localClock(date, timezone);
+  return config.days.has(day) && minutes >= config.start && minutes < config.end;
+}
+
+/**
+ * When a reply may go out: null if now is inside the window or the window
+ * never opens (no days configured), otherwise the next moment it opens. Walks forward in steps rather than doing
+ * calendar maths, so DST changes in IANA zones are handled by Intl.
+ * @param {Date} now Current time
+ * @param {Object} config Window configuration
+ * @param {string} timezone IANA name or "+hh:mm" offset
+ * @returns {Date|null} Scheduled send time
+ */
+export function getScheduledSendTime(now, config, timezone) {
+  if (config.days.size === 0 || isWithinSendWindow(now, config, timezone)) {
+    return null;
+  }
+
+  let candidate = Math.ceil(now.getTime() / 60000) * 60000;
+  for (let step = 0; step < MAX_STEPS; step++) {
+    // Stop exactly on the opening minute, or windows shorter than a step
+    // would be stepped over
+    const { day, minutes } = localClock(new Date(candidate), timezone);
+    const untilStart = config.days.has(day) && minutes < config.start
+      ? (config.start - minutes) * 60000
+      : STEP;
+    candidate += Math.min(STEP, untilStart);
+    if (isWithinSendWindow(new Date(candidate), config, timezone)) {
+      // Back up to the minute the window opened
+      while (candidate - 60000 > now.getTime() &&
+        isWithinSendWindow(new Date(candidate - 60000), config, timezone)) {
+        candidate -= 60000;
+      }
+      return new Date(candidate);
+    }
+  }
+
+  return null;
+}
+
+function localClock(date, timezone) {
+  const offset = timezone.match(OFFSET_PATTERN);
+  if (offset) {
+    const minutes = (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+    const shifted = new Date(date.getTime() + minutes * 60000);
+    return {
+      day: shifted.getUTCDay(),
+      minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+    };
+  }
+
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    logger.warn('Unknown COMPANY_TIMEZONE, using default', { timezone, fallback: DEFAULT_COMPANY_TIMEZONE });
+    return false;
+  }
+}
+
+function parseClock(value) {
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), 24 * 60);
+}
+
+// "mon-fri", "mon,wed,fri" or "sun-thu,sat"; ranges may wrap past Sunday
+function parseDays(value) {
+  const days = new Set();
+
+  for (const token of value.toLowerCase().split(',').map(t => t.trim()).filter(Boolean)) {
+    const [from, to = from] = token.split('-').map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+    if (from === -1 || to === -1) {
+      logger.warn('Ignoring unknown day in SEND_WINDOW_DAYS', { token });
+      continue;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) {
+        break;
+      }
+    }
+  }
+
+  return days;
+}
@@ -2,146 +2,111 @@ import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
 import { getGmailAuth } from './auth.js';
 import { logEmailProcessing } from '../sheets/index.js';
-import { extractImageAttachments } from './attachments.js';
+import { combineVisionImages, extractDocumentAttachments, extractImageAttachments } from './attachments.js';
+import { getThreadMessages } from './thread.js';
+import { extractEmailBody } from './utils/bodyParser.js';
+import { shouldProcessMessage } from './utils/messageFilters.js';
+import { buildRawMessage } from './mime/index.js';
+import { getThreadingHeaders } from './replyComposer.js';
 import { classifyAndProcessEmail } from '../openai/index.js'; 
 import { crmPublisher } from '../pubsub/index.js';
+import { DeliveryMode, DeliveryStatus, deliverReply, resolveDeliveryMode } from './delivery.js';
+import { recordDraftForReview } from './review.js';
+import { LabelName, applyProcessingLabels, hasProcessedLabel, modifyLabels } from './labels.js';
+import { decideReplyAction } from '../policy/index.js';
+import { detectLanguage } from '../language/index.js';
+import { escalateMessage, getEscalationConfig, matchEscalation } from '../escalation/index.js';
+import { cancelScheduledReplies } from './schedule/index.js';
+import { getDedupStore, withThreadLease } from './dedup/index.js';
+import {
+  UsageChannel,
+  createInteraction,
+  getBudgetStatus,
+  getInteractionPrompts,
+  getInteractionUsage,
+  runWithInteraction
+} from '../llm/index.js';
+import { formatPromptVersions } from '../prompts/index.js';
+import { recordMetric } from '../../utils/monitoring.js';
 import { v4 as uuidv4 } from 'uuid';
 
 export { processMessage, sendEmail };
 
 const gmail = google.gmail('v1');
 
-async function processMessage(auth, messageId) {
+/**
+ * Process one Gmail message end to end: classify, reply and log
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} messageId Gmail message ID
+ * @param {Object} [options] Processing options
+ * @param {boolean} [options.reportFailure] Log failures to Sheets, the CRM and
+ *   the Needs-human label; off for attempts that will be retried
+ * @returns {Promise<boolean>} Whether the message was handled
+ */
+async function processMessage(auth, messageId, { reportFailure = true } = {}) {
   const startTime = Date.now();
+  // Every model call made for this message is counted against it
+  const interaction = createInteraction({ channel: UsageChannel.EMAIL, interactionId: messageId });
+  let message = null;
 
   try {
-    const message = await gmail.users.messages.get({
+    // Cheapest check first so Pub/Sub redeliveries never reach OpenAI
+    if (await getDedupStore().isProcessed(messageId)) {
+      logger.info('Message already processed, skipping', { messageId });
+      recordMetric('duplicate_messages_skipped', 1);
+      return true;
+    }
+
+    message = await gmail.users.messages.get({
       auth,
       userId: 'me',
       id: messageId,
       format: 'full'
     });
 
-    const headers = message.data.payload.headers;
-    const subject = headers.find(h => h.name.toLowerCase() === 'subject')?.value;
-    const from = headers.find(h => h.name.toLowerCase() === 'from')?.value;
-    const content = parseEmailContent(message.data.payload);
-    const threadId = message.data.threadId;
-    const labels = message.data.labelIds || [];
-    
-    // Extract sender info
-    const senderMatch = from.match(/^(?:([^<]*)<)?([^>]+)>?$/);
-    const senderName = senderMatch ? senderMatch[1]?.trim() || '' : '';
-    const senderEmail = senderMatch ? senderMatch[2]?.trim() || from : from;
-
-    logger.info('Processing email', {
-      messageId: message.data.id,
-      threadId,
-      subject,
-      from,
-      labels,
-      timestamp: new Date(parseInt(message.data.internalDate)).toISOString()
-    });
-
-    // Extract image attachments
-    const imageAttachments = await extractImageAttachments(auth, message.data);
-
-    // Process with OpenAI
-    const result = await classifyAndProcessEmail(
-      content,
-      senderEmail,
-      null, // No thread messages for now
-      imageAttachments
-    );
+    // Prompt experiments assign by thread, so a follow-up keeps the thread's variant
+    interaction.assignmentKey = message.data.threadId;
 
-    // Log to sheets
-    await logEmailProcessing({
-      timestamp: new Date().toISOString(),
-      messageId: message.data.id,
-      threadId,
-      sender: from,
-      subject,
-      content,
-      hasImages: imageAttachments.length > 0,
-      imageCount: imageAttachments.length,
-      classification: result.classification,
-      requiresReply: result.requiresReply,
-      generatedReply: result.generatedReply,
-      imageAnalysis: result.imageAnalysis,
-      processingTime: Date.now() - startTime,
-      labels: labels.join(', '),
-      status: 'Processed',
-      error: null
-    });
-
-    // Prepare and publish CRM message
-    const crmMessage = {
-      crmProcess: "gmailInteraction",
-      sessionId: message.data.id, // Add sessionId at top level
-      customer: {
-        email: senderEmail,
-        name: senderName || ''
-      },
-      email: {
-        messageId: message.data.id,
-        threadId,
-        subject,
-        content: content ? content.substring(0, 1000) : '', // Truncate long content
-        timestamp: new Date(parseInt(message.data.internalDate)).toISOString(),
-        classification: {
-          intent: result.classification?.intent || 'UNKNOWN',
-          urgency: result.classification?.urgency || 'medium',
-          responseType: result.classification?.suggestedResponseType || 'detailed',
-          requiresReply: result.requiresReply || false
-        },
-        attachments: {
-          hasImages: imageAttachments.length > 0,
-          imageCount: imageAttachments.length,
-          imageAnalysis: result.imageAnalysis || ''
-        },
-        response: {
-          generated: result.generatedReply || '',
-          status: "pending"
-        }
-      },
-      metadata: {
-        origin: "gmail",
-        labels: labels || [],
-        processingTime: Date.now() - startTime,
-        timestamp: Date.now().toString(), // Convert to string for consistency
-        status: "processed",
-        error: null
-      }
-    };
-
-    await crmPublisher.publish(crmMessage);
+    // Handled before (e.g. state lost on redeploy); the label is the record
+    if (await hasProcessedLabel(auth, message.data)) {
+      logger.info('Message already labeled as processed, skipping', { messageId });
+      await getDedupStore().markProcessed(messageId, { threadId: message.data.threadId, status: 'labeled' });
+      recordMetric('duplicate_messages_skipped', 1);
+      return true;
+    }
 
-    logger.info('CRM message published for email', {
-      messageId: message.data.id,
-      threadId,
-      sessionId: message.data.id,
-      timestamp: new Date().toISOString(),
-      crmMessageData: {
-        customer: {
-          hasEmail: !!crmMessage.customer.email,
-          hasName: !!crmMessage.customer.name
-        },
-        email: {
-          hasContent: !!crmMessage.email.content,
-          hasClassification: !!crmMessage.email.classification,
-          hasResponse: !!crmMessage.email.response
-        }
+    // Hold the thread lease so two instances never answer the same thread at once
+    const { acquired, result } = await withThreadLease(message.data.threadId, async () => {
+      // Another worker may have finished this message while we waited
+      if (await getDedupStore().isProcessed(messageId)) {
+        logger.info('Message processed by another worker, skipping', { messageId });
+        return true;
       }
+      return runWithInteraction(interaction, () => handleMessage(auth, message, startTime));
     });
 
-    return true;
+    if (!acquired) {
+      logger.warn('Could not acquire thread lease, leaving message for redelivery', {
+        messageId,
+        threadId: message.data.threadId
+      });
+      recordMetric('thread_lease_timeouts', 1);
+      return false;
+    }
+
+    return result;
   } catch (error) {
     logger.error('Error processing message:', {
       error: error.message,
       stack: error.stack,
-      messageId
+      messageId,
+      willRetry: !reportFailure
     });
 
+    if (!reportFailure) {
+      return false;
+    }
+
     // Log error to sheets
     try {
       await logEmailProcessing({
@@ -152,6 +117,7 @@ async function processMessage(auth, messageId) {
         subject: message?.data?.payload?.headers?.find(h => h.name.toLowerCase() === 'subject')?.value || '',
         processingTime: Date.now() - startTime,
         status: 'Error',
+        promptVersions: formatPromptVersions(getInteractionPrompts(interaction)),
         error: error.message
       });
 
@@ -171,12 +137,18 @@ async function processMessage(auth, messageId) {
           origin: "gmail",
           status: "error",
           error: error.message,
+          llmUsage: getInteractionUsage(interaction),
+          prompts: getInteractionPrompts(interaction),
           timestamp: Date.now()
         }
       };
 
       await crmPublisher.publish(crmErrorMessage);
 
+      if (message) {
+        await modifyLabels(auth, messageId, { add: [LabelName.NEEDS_HUMAN] });
+      }
+
     } catch (logError) {
       logger.error('Error logging processing failure:', {
         error: logError.message,
@@ -189,60 +161,365 @@ async function processMessage(auth, messageId) {
   }
 }
 
-function parseEmailContent(payload, depth = 0) {
-  const MAX_DEPTH = 5;
-  let content = '';
+async function handleMessage(auth, message, startTime) {
+  const headers = message.data.payload.headers;
+  const subject = headers.find(h => h.name.toLowerCase() === 'subject')?.value;
+  const from = headers.find(h => h.name.toLowerCase() === 'from')?.value;
+  // Only the sender's new text is classified; quoted history comes from the thread
+  const body = extractEmailBody(message.data.payload);
+  const content = body.fresh;
+  const threadId = message.data.threadId;
+  const labels = message.data.labelIds || [];
 
-  try {
-    if (depth > MAX_DEPTH) {
-      return content;
+  // Bounces, auto-replies and bulk mail never reach classification
+  const filter = shouldProcessMessage(message.data, process.env.GMAIL_USER_EMAIL, body.text);
+  if (!filter.shouldProcess) {
+    return skipMessage(auth, message, { subject, from, content, labels, filter, startTime });
+  }
+
+  // A reply still waiting for the send window no longer answers the latest message
+  await cancelScheduledReplies(auth, threadId, {
+    reason: 'customer_replied',
+    messageId: message.data.id
+  });
+  
+  // Extract sender info
+  const senderMatch = from.match(/^(?:([^<]*)<)?([^>]+)>?$/);
+  const senderName = senderMatch ? senderMatch[1]?.trim() || '' : '';
+  const senderEmail = senderMatch ? senderMatch[2]?.trim() || from : from;
+
+  // Replies go out in the customer's language; staff logs get an English translation
+  const language = await detectLanguage(content);
+
+  logger.info('Processing email', {
+    messageId: message.data.id,
+    threadId,
+    subject,
+    from,
+    labels,
+    language: language.code,
+    isHtml: body.isHtml,
+    hasQuotedText: !!body.quoted,
+    timestamp: new Date(parseInt(message.data.internalDate)).toISOString()
+  });
+
+  // Extract image attachments
+  const imageAttachments = await extractImageAttachments(auth, message.data);
+
+  // PDFs and Word files; scanned pages are read by the vision model alongside
+  // the photos, within the same image limits
+  const documents = await extractDocumentAttachments(auth, message.data);
+  const visionImages = combineVisionImages(imageAttachments, documents);
+
+  // Earlier messages in the conversation, excluding the one being answered
+  const threadMessages = await getThreadMessages(auth, threadId, message.data.id);
+
+  // Process with OpenAI
+  const result = await classifyAndProcessEmail(
+    content,
+    senderEmail,
+    threadMessages,
+    visionImages,
+    threadId,
+    documents,
+    language
+  );
+
+  // Decide how risky it is to auto-reply before touching Gmail
+  const decision = decideReplyAction(
+    { ...result.classification, requiresReply: result.requiresReply },
+    { hasImages: imageAttachments.length > 0 }
+  );
+
+  // High-risk emails go to staff; they never get an automatic reply or draft
+  const escalation = getEscalationConfig().enabled
+    ? matchEscalation(
+      { ...result.classification, requiresReply: result.requiresReply },
+      { hasImages: imageAttachments.length > 0 }
+    )
+    : null;
+
+  // Policy rules with "notify" keep their own delivery action but still tell staff
+  const staffMatch = escalation || (decision.notify ? getPolicyNotifyMatch(decision, { messageId: message.data.id, threadId }) : null);
+
+  // Over the LLM spend budget, replies that would go out automatically wait as drafts
+  const budget = await getBudgetStatus();
+
+  // Turn the generated reply into a Gmail draft or sent message
+  const delivery = await deliverReply(auth, {
+    original: message.data,
+    reply: result.requiresReply ? result.generatedReply : null,
+    mode: escalation
+      ? DeliveryMode.HOLD
+      : resolveDeliveryMode(decision.action, { pauseAutoSend: budget.pauseAutoSend })
+  });
+
+  // A failed delivery is not recorded as handled: the queue retries the
+  // message and the last attempt reports it to staff
+  if (delivery.status === DeliveryStatus.FAILED) {
+    throw new Error(`Reply delivery failed: ${delivery.error}`);
+  }
+
+  // Record the message as handled as soon as the reply is out, so a failure
+  // while logging below can never trigger a second reply on redelivery
+  await getDedupStore().markProcessed(message.data.id, {
+    threadId,
+    status: delivery.status
+  });
+
+  // Make the triage visible in the inbox
+  await applyProcessingLabels(auth, message.data.id, {
+    classification: result.classification,
+    deliveryStatus: delivery.status,
+    needsHuman: decision.notify
+  });
+
+  const escalationResult = staffMatch
+    ? await escalateMessage(auth, {
+      original: message.data,
+      match: staffMatch,
+      emailContent: content,
+      from,
+      subject,
+      classification: result.classification,
+      threadMessages,
+      language,
+      suggestedReply: result.generatedReply
+    })
+    : null;
+
+  if (delivery.status === DeliveryStatus.DRAFTED) {
+    await recordDraftForReview({
+      draftId: delivery.draftId,
+      originalMessageId: message.data.id,
+      threadId,
+      from,
+      subject,
+      emailContent: content,
+      classification: result.classification,
+      customerData: result.customerData,
+      policy: { action: decision.action, ruleId: decision.ruleId, version: decision.policyVersion },
+      language,
+      reply: result.generatedReply
+    });
+  }
+
+  logger.info('Reply delivery completed', {
+    messageId: message.data.id,
+    threadId,
+    status: delivery.status,
+    draftId: delivery.draftId,
+    sentMessageId: delivery.messageId,
+    scheduledFor: delivery.scheduledFor
+  });
+
+  // Log to sheets
+  await logEmailProcessing({
+    timestamp: new Date().toISOString(),
+    messageId: message.data.id,
+    threadId,
+    sender: from,
+    subject,
+    content,
+    hasImages: imageAttachments.length > 0,
+    imageCount: imageAttachments.length,
+    classification: result.classification,
+    requiresReply: result.requiresReply,
+    generatedReply: result.generatedReply,
+    imageAnalysis: result.imageAnalysis,
+    processingTime: Date.now() - startTime,
+    labels: labels.join(', '),
+    status: 'Processed',
+    replyStatus: delivery.status,
+    replyDraftId: delivery.draftId,
+    replyMessageId: delivery.messageId,
+    policyAction: decision.action,
+    policyRule: decision.ruleId,
+    policyVersion: decision.policyVersion,
+    escalation: escalationResult ? `${escalationResult.ruleId} (${escalationResult.status})` : '',
+    language: language.code,
+    contentTranslation: language.translation,
+    scheduledFor: delivery.scheduledFor,
+    promptVersions: formatPromptVersions(getInteractionPrompts()),
+    error: delivery.error
+  });
+
+  // Prepare and publish CRM message
+  const crmMessage = {
+    crmProcess: "gmailInteraction",
+    sessionId: message.data.id, // Add sessionId at top level
+    customer: {
+      email: senderEmail,
+      name: senderName || ''
+    },
+    email: {
+      messageId: message.data.id,
+      threadId,
+      subject,
+      content: content ? content.substring(0, 1000) : '', // Truncate long content
+      language: language.code,
+      contentTranslation: language.translation ? language.translation.substring(0, 1000) : null,
+      timestamp: new Date(parseInt(message.data.internalDate)).toISOString(),
+      classification: {
+        intent: result.classification?.intent || 'UNKNOWN',
+        urgency: result.classification?.urgency || 'medium',
+        responseType: result.classification?.suggestedResponseType || 'detailed',
+        sentiment: result.classification?.sentiment || 'neutral',
+        requiresReply: result.requiresReply || false
+      },
+      policy: {
+        action: decision.action,
+        ruleId: decision.ruleId,
+        version: decision.policyVersion,
+        notify: decision.notify
+      },
+      escalation: escalationResult ? {
+        ruleId: escalationResult.ruleId,
+        status: escalationResult.status,
+        method: escalationResult.method,
+        brief: escalationResult.brief || ''
+      } : null,
+      attachments: {
+        hasImages: imageAttachments.length > 0,
+        imageCount: imageAttachments.length,
+        documentCount: documents.length,
+        documents: documents.map(doc => doc.filename),
+        imageAnalysis: result.imageAnalysis || ''
+      },
+      response: {
+        generated: result.generatedReply || '',
+        status: delivery.status,
+        deliveryMode: delivery.mode,
+        draftId: delivery.draftId,
+        messageId: delivery.messageId,
+        scheduledFor: delivery.scheduledFor || null
+      }
+    },
+    metadata: {
+      origin: "gmail",
+      labels: labels || [],
+      processingTime: Date.now() - startTime,
+      timestamp: Date.now().toString(), // Convert to string for consistency
+      status: "processed",
+      llmUsage: getInteractionUsage(),
+      prompts: getInteractionPrompts(),
+      error: delivery.error
     }
+  };
 
-    if (payload.mimeType === 'text/plain' && payload.body.data) {
-      content = Buffer.from(payload.body.data, 'base64').toString();
-    } else if (payload.parts) {
-      for (const part of payload.parts) {
-        if (part.mimeType === 'text/plain' && part.body.data) {
-          content += Buffer.from(part.body.data, 'base64').toString();
-        } else if (part.parts) {
-          content += parseEmailContent(part, depth + 1);
-        }
+  await crmPublisher.publish(crmMessage);
+
+  logger.info('CRM message published for email', {
+    messageId: message.data.id,
+    threadId,
+    sessionId: message.data.id,
+    timestamp: new Date().toISOString(),
+    crmMessageData: {
+      customer: {
+        hasEmail: !!crmMessage.customer.email,
+        hasName: !!crmMessage.customer.name
+      },
+      email: {
+        hasContent: !!crmMessage.email.content,
+        hasClassification: !!crmMessage.email.classification,
+        hasResponse: !!crmMessage.email.response
       }
     }
+  });
 
-    return content.trim();
-  } catch (error) {
-    logger.error('Error parsing email content:', {
-      error: error.message,
-      mimeType: payload.mimeType,
-      hasBody: !!payload.body,
-      hasParts: !!payload.parts,
-      depth
+  return true;
+}
+
+async function skipMessage(auth, message, { subject, from, content, labels, filter, startTime }) {
+  const threadId = message.data.threadId;
+
+  await getDedupStore().markProcessed(message.data.id, {
+    threadId,
+    status: 'skipped',
+    skipReason: filter.reason
+  });
+
+  await applyProcessingLabels(auth, message.data.id, {});
+  recordMetric('messages_skipped', 1);
+
+  await logEmailProcessing({
+    timestamp: new Date().toISOString(),
+    messageId: message.data.id,
+    threadId,
+    sender: from || '',
+    subject,
+    content,
+    processingTime: Date.now() - startTime,
+    labels: labels.join(', '),
+    status: 'Skipped',
+    skipReason: filter.detail ? `${filter.reason}: ${filter.detail}` : filter.reason
+  });
+
+  return true;
+}
+
+// Escalation match for a policy rule that asks for staff to be notified.
+// Notifications go through the escalation notifier, so they need ESCALATION_EMAIL.
+function getPolicyNotifyMatch(decision, { messageId, threadId }) {
+  if (!getEscalationConfig().enabled) {
+    logger.warn('Reply policy requires staff attention but ESCALATION_EMAIL is not set', {
+      messageId,
+      threadId,
+      ruleId: decision.ruleId,
+      policyVersion: decision.policyVersion
     });
-    return content;
+    recordMetric('policy_notify_unrouted', 1);
+    return null;
   }
+
+  return {
+    ruleId: `policy:${decision.ruleId}`,
+    description: decision.description,
+    rulesVersion: decision.policyVersion
+  };
 }
 
-async function sendEmail(to, subject, body, threadId = null) {
+/**
+ * Send an email from the support mailbox
+ * @param {string} to Recipient(s)
+ * @param {string} subject Subject line
+ * @param {string} body HTML body
+ * @param {string} [threadId] Gmail thread ID to reply in
+ * @param {Object} [options] Reply options
+ * @param {string} [options.cc] Cc recipient(s)
+ * @param {string} [options.inReplyTo] Message-ID being replied to; looked up from the thread when omitted
+ * @param {string} [options.references] Message-ID chain for the References header
+ * @param {string} [options.text] Plain text alternative, derived from the HTML when omitted
+ * @param {Array<Object>} [options.attachments] File attachments ({filename, mimeType, content})
+ * @param {Array<Object>} [options.inlineImages] Inline images referenced by cid: ({filename, mimeType, content, contentId})
+ * @returns {Promise<Object>} Send result with messageId and threadId
+ */
+async function sendEmail(to, subject, body, threadId = null, {
+  cc,
+  inReplyTo,
+  references,
+  text,
+  attachments = [],
+  inlineImages = []
+} = {}) {
   try {
     const auth = await getGmailAuth();
     
-    // Create email content with proper MIME structure
-    const email = [
-      'MIME-Version: 1.0',
-      'Content-Type: text/html; charset=utf-8',
-      `To: ${to}`,
-      'From: Michelle Thompson <info@appraisily.com>',
-      `Subject: ${subject}`,
-      '',
-      body
-    ].join('\r\n');
-
-    const encodedEmail = Buffer.from(email)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+    // Callers that only know the thread still get proper reply headers
+    const threading = threadId && !inReplyTo
+      ? await getThreadingHeaders(auth, threadId)
+      : { inReplyTo, references };
+
+    const encodedEmail = buildRawMessage({
+      to,
+      cc,
+      subject,
+      html: body,
+      text,
+      attachments,
+      inlineImages,
+      ...threading
+    });
 
     const params = {
       auth,
@@ -260,6 +537,8 @@ async function sendEmail(to, subject, body, threadId = null) {
       subject,
       messageId: result.data.id,
       threadId: result.data.threadId,
+      threaded: !!threading.inReplyTo,
+      attachmentCount: attachments.length,
       timestamp: new Date().toISOString()
     });
 
@@ -1,24 +1,29 @@
 import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
+import { extractEmailBody } from './utils/bodyParser.js';
 
 const gmail = google.gmail('v1');
-const MAX_THREAD_DEPTH = 10;
+const MAX_THREAD_DEPTH = 50; // Older messages are summarized by condenseThread
 const THREAD_CACHE = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 /**
  * Fetches and processes thread messages with caching
+ * @param {Object} auth Gmail OAuth2 client
+ * @param {string} threadId Gmail thread ID
+ * @param {string} [messageId] Message being answered, excluded from the result
  */
 export async function getThreadMessages(auth, threadId, messageId = null) {
   try {
-    // Check cache first
+    // Check cache first, unless it predates the message being answered
     const cached = THREAD_CACHE.get(threadId);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL &&
+        (!messageId || cached.messages.some(m => m.id === messageId))) {
       logger.debug('Using cached thread messages', {
         threadId,
         messageCount: cached.messages.length
       });
-      return cached.messages;
+      return excludeMessage(cached.messages, messageId);
     }
 
     // Fetch thread
@@ -48,7 +53,7 @@ export async function getThreadMessages(auth, threadId, messageId = null) {
       oldestMessage: messages[messages.length - 1]?.date
     });
 
-    return messages;
+    return excludeMessage(messages, messageId);
   } catch (error) {
     logger.error('Error fetching thread:', {
       error: error.message,
@@ -59,6 +64,10 @@ export async function getThreadMessages(auth, threadId, messageId = null) {
   }
 }
 
+function excludeMessage(messages, messageId) {
+  return messageId ? messages.filter(m => m.id !== messageId) : messages;
+}
+
 /**
  * Process thread messages with proper sorting and formatting
  */
@@ -68,7 +77,8 @@ async function processThreadMessages(messages) {
       const headers = message.payload.headers;
       const from = headers.find(h => h.name.toLowerCase() === 'from')?.value;
       const subject = headers.find(h => h.name.toLowerCase() === 'subject')?.value;
-      const content = parseEmailContent(message.payload);
+      // Quoted history would repeat earlier messages, keep only what was new
+      const content = extractEmailBody(message.payload).fresh;
       const timestamp = parseInt(message.internalDate);
       
       return {
@@ -86,50 +96,6 @@ async function processThreadMessages(messages) {
     .slice(0, MAX_THREAD_DEPTH); // Keep only most recent messages
 }
 
-/**
- * Parse email content from payload
- */
-function parseEmailContent(payload, depth = 0) {
-  const MAX_DEPTH = 5;
-  let content = '';
-
-  try {
-    if (depth > MAX_DEPTH) {
-      return content;
-    }
-
-    if (payload.mimeType === 'text/plain' && payload.body.data) {
-      content = Buffer.from(payload.body.data, 'base64').toString();
-    } else if (payload.parts) {
-      for (const part of payload.parts) {
-        if (part.mimeType === 'text/plain' && part.body.data) {
-          content += Buffer.from(part.body.data, 'base64').toString();
-        } else if (part.parts) {
-          content += parseEmailContent(part, depth + 1);
-        }
-      }
-    }
-
-    // Clean up content
-    content = content
-      .replace(/\r\n/g, '\n')
-      .replace(/^\s+|\s+$/g, '')
-      .replace(/[\n\s]+$/g, '\n')
-      .trim();
-
-    return content;
-  } catch (error) {
-    logger.error('Error parsing email content:', {
-      error: error.message,
-      mimeType: payload.mimeType,
-      hasBody: !!payload.body,
-      hasParts: !!payload.parts,
-      depth
-    });
-    return content;
-  }
-}
-
 /**
  * Clean up old cache entries
  */
@@ -0,0 +1,73 @@
+/**
+ * Split an address list header into individual addresses. Commas inside
+ * quoted display names ("Doe, John" <john@example.com>) are kept intact.
+ * @param {string} value Header value such as To, Cc or Reply-To
+ * @returns {Array<{name: string, email: string}>} Parsed addresses
+ */
+export function parseAddressList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = [];
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === '<' && !inQuotes) inAngle = true;
+    if (char === '>' && !inQuotes) inAngle = false;
+
+    if ((char === ',' || char === ';') && !inQuotes && !inAngle) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map(parseAddress)
+    .filter(address => address.email);
+}
+
+/**
+ * Parse a single address like `Name <email>` or a bare email
+ * @param {string} value Address text
+ * @returns {{name: string, email: string}} Parsed address
+ */
+export function parseAddress(value) {
+  const trimmed = (value || '').trim();
+  const match = trimmed.match(/^(?:"?([^"<]*?)"?\s*)?<([^>]+)>$/);
+
+  if (match) {
+    return { name: (match[1] || '').trim(), email: match[2].trim() };
+  }
+
+  return { name: '', email: trimmed };
+}
+
+/**
+ * Format an address for a header
+ * @param {{name?: string, email: string}} address Address to format
+ * @returns {string} Header-ready address
+ */
+export function formatAddress({ name, email }) {
+  if (!name) {
+    return email;
+  }
+  const needsQuotes = /[",;<>@()]/.test(name);
+  return needsQuotes ? `"${name.replace(/"/g, '\\"')}" <${email}>` : `${name} <${email}>`;
+}
+
+/**
+ * Compare two email addresses case-insensitively
+ * @param {string} a First email
+ * @param {string} b Second email
+ * @returns {boolean} Whether they refer to the same mailbox
+ */
+export function isSameAddress(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
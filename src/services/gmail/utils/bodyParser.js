@@ -0,0 +1,330 @@
+import { logger } from '../../../utils/logger.js';
+
+const MAX_DEPTH = 10;
+
+const NAMED_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  copy: '©',
+  reg: '®',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  euro: '€',
+  pound: '£',
+  bull: '•'
+};
+
+// Lines that introduce quoted history in replies and forwards
+const QUOTE_HEADER_PATTERNS = [
+  /^On\s.+\bwrote:\s*$/i,
+  /^Le\s.+\ba écrit\s*:\s*$/i,
+  /^Am\s.+\bschrieb\s.*:\s*$/i,
+  /^El\s.+\bescribió:\s*$/i,
+  /^Il giorno\s.+\bha scritto:\s*$/i,
+  /^Op\s.+\bschreef\s.*:\s*$/i,
+  /^Em\s.+\bescreveu:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+  /^Begin forwarded message:\s*$/i
+];
+
+// Outlook style header block: "From: ..." followed shortly by "Sent:" or "Date:"
+const OUTLOOK_FROM = /^\*?From:\*?\s.+/i;
+const OUTLOOK_SENT = /^\*?(Sent|Date):\*?\s.+/i;
+
+const SIGNATURE_PATTERNS = [
+  /^--\s*$/,
+  /^Sent from my (iPhone|iPad|Android|Samsung|Galaxy|mobile device|BlackBerry)/i,
+  /^Sent from (Mail|Yahoo Mail|Outlook) for/i,
+  /^Sent from Yahoo Mail/i,
+  /^Get Outlook for (iOS|Android)/i,
+  /^Enviado desde mi /i,
+  /^Envoyé de mon /i,
+  /^Von meinem .+ gesendet/i
+];
+
+/**
+ * Extract the readable body of a Gmail message payload
+ * @param {Object} payload Gmail message payload (format: 'full')
+ * @returns {{text: string, fresh: string, quoted: string, signature: string, isHtml: boolean}}
+ *   Full text, the new content written by the sender, quoted history and signature
+ */
+export function extractEmailBody(payload) {
+  try {
+    const { plain, html } = collectTextParts(payload, 0);
+
+    const isHtml = !plain.length && html.length > 0;
+    const text = normalizeWhitespace(
+      isHtml ? html.map(htmlToText).join('\n\n') : plain.join('\n\n')
+    );
+
+    return { ...splitReply(text), text, isHtml };
+  } catch (error) {
+    logger.error('Error extracting email body:', {
+      error: error.message,
+      mimeType: payload?.mimeType,
+      hasParts: !!payload?.parts,
+      stack: error.stack
+    });
+    return { text: '', fresh: '', quoted: '', signature: '', isHtml: false };
+  }
+}
+
+/**
+ * Walk the MIME tree collecting inline text bodies. In multipart/alternative
+ * only one representation is kept per branch, preferring text/plain.
+ */
+function collectTextParts(part, depth) {
+  const result = { plain: [], html: [] };
+
+  if (!part || depth > MAX_DEPTH || isAttachment(part)) {
+    return result;
+  }
+
+  const mimeType = (part.mimeType || '').toLowerCase();
+
+  if (mimeType === 'text/plain' && part.body?.data) {
+    result.plain.push(decodePartBody(part));
+    return result;
+  }
+
+  if (mimeType === 'text/html' && part.body?.data) {
+    result.html.push(decodePartBody(part));
+    return result;
+  }
+
+  if (!part.parts) {
+    return result;
+  }
+
+  const children = part.parts.map(child => collectTextParts(child, depth + 1));
+
+  if (mimeType === 'multipart/alternative') {
+    const preferred = children.find(c => c.plain.length) || children.find(c => c.html.length);
+    return preferred || result;
+  }
+
+  for (const child of children) {
+    result.plain.push(...child.plain);
+    result.html.push(...child.html);
+  }
+
+  return result;
+}
+
+function isAttachment(part) {
+  const disposition = getHeader(part, 'content-disposition');
+  return !!part.body?.attachmentId || /^attachment/i.test(disposition || '');
+}
+
+function getHeader(part, name) {
+  return part.headers?.find(h => h.name.toLowerCase() === name)?.value || null;
+}
+
+/**
+ * Decode a part body into a string, honouring transfer encoding and charset
+ */
+function decodePartBody(part) {
+  let bytes = Buffer.from(part.body.data, 'base64');
+
+  // The Gmail API already undoes the transfer encoding, but some senders
+  // double-encode; only decode again when soft line breaks are still present
+  const transferEncoding = (getHeader(part, 'content-transfer-encoding') || '').toLowerCase();
+  if (transferEncoding === 'quoted-printable' && /=\r?\n/.test(bytes.toString('latin1'))) {
+    bytes = decodeQuotedPrintable(bytes.toString('latin1'));
+  }
+
+  return decodeCharset(bytes, getCharset(part));
+}
+
+function getCharset(part) {
+  const contentType = getHeader(part, 'content-type') || '';
+  const match = contentType.match(/charset\s*=\s*"?([^";\s]+)"?/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Decode a byte buffer with the given charset, falling back to UTF-8
+ * @param {Buffer} bytes Raw bytes
+ * @param {string} charset Charset label from the Content-Type header
+ * @returns {string} Decoded text
+ */
+export function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (error) {
+    logger.debug('Unsupported charset, falling back to UTF-8', { charset });
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Decode a quoted-printable string into raw bytes (RFC 2045)
+ * @param {string} input Quoted-printable encoded text
+ * @returns {Buffer} Decoded bytes
+ */
+export function decodeQuotedPrintable(input) {
+  const withoutSoftBreaks = input.replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < withoutSoftBreaks.length; i++) {
+    const char = withoutSoftBreaks[i];
+    const hex = withoutSoftBreaks.slice(i + 1, i + 3);
+
+    if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(withoutSoftBreaks.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Convert an HTML email body to plain text. Block elements become line
+ * breaks, list items become bullets and blockquotes are prefixed with "> "
+ * so quoted history can be told apart afterwards.
+ * @param {string} html HTML source
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Gmail and Outlook wrap quoted history in dedicated containers
+    .replace(/<div[^>]*class="[^"]*gmail_quote[^"]*"[^>]*>/gi, '\n<blockquote>')
+    .replace(/<div[^>]*id="(divRplyFwdMsg|appendonsend)"[^>]*>/gi, '\n-----Original Message-----\n');
+
+  text = quoteBlockquotes(text);
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n• ')
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|li|blockquote|pre)>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|tr|table|ul|ol|pre)[^>]*>/gi, '\n')
+    .replace(/<a[^>]*href="(mailto:)?([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, mailto, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      return !href || labelText === href || href.startsWith('#') ? labelText : `${labelText} (${href})`;
+    })
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text);
+}
+
+function quoteBlockquotes(html) {
+  // Process innermost blockquotes first so nested quotes get "> > "
+  const pattern = /<blockquote[^>]*>((?:(?!<blockquote)[\s\S])*?)<\/blockquote>/i;
+  let result = html;
+  let guard = 0;
+
+  while (pattern.test(result) && guard++ < 50) {
+    result = result.replace(pattern, (match, inner) => {
+      const innerText = inner
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<(p|div|li|tr|h[1-6])[^>]*>/gi, '');
+      const quoted = innerText
+        .split('\n')
+        .map(line => `&gt; ${line}`)
+        .join('<br>');
+      return `<br>${quoted}<br>`;
+    });
+  }
+
+  // Unclosed containers (e.g. a gmail_quote div) still mark what follows as quoted
+  return result.replace(/<blockquote[^>]*>/gi, '\n-----Original Message-----\n');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => safeFromCodePoint(parseInt(hex, 16), match))
+    .replace(/&#(\d+);/g, (match, dec) => safeFromCodePoint(parseInt(dec, 10), match))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function safeFromCodePoint(codePoint, fallback) {
+  try {
+    return String.fromCodePoint(codePoint);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/ /g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split plain text into the sender's new content, quoted history and signature
+ * @param {string} text Normalized plain text body
+ * @returns {{fresh: string, quoted: string, signature: string}}
+ */
+export function splitReply(text) {
+  const lines = text.split('\n');
+  const quoteStart = findQuoteStart(lines);
+
+  const ownLines = quoteStart === -1 ? lines : lines.slice(0, quoteStart);
+  const quoted = quoteStart === -1 ? '' : lines.slice(quoteStart).join('\n').trim();
+
+  const signatureStart = ownLines.findIndex(line =>
+    SIGNATURE_PATTERNS.some(pattern => pattern.test(line.trim()))
+  );
+
+  const fresh = (signatureStart === -1 ? ownLines : ownLines.slice(0, signatureStart)).join('\n').trim();
+  const signature = signatureStart === -1 ? '' : ownLines.slice(signatureStart).join('\n').trim();
+
+  // Never return empty content when the whole message looked like a quote
+  return {
+    fresh: fresh || text.trim(),
+    quoted,
+    signature
+  };
+}
+
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // Attribution lines are often wrapped across two lines by mail clients
+    const joined = `${line} ${(lines[i + 1] || '').trim()}`;
+
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line))) {
+      return i;
+    }
+
+    if (/^On\s/i.test(line) && QUOTE_HEADER_PATTERNS[0].test(joined)) {
+      return i;
+    }
+
+    if (/^_{10,}$/.test(line) && OUTLOOK_FROM.test((lines[i + 1] || '').trim())) {
+      return i;
+    }
+
+    if (OUTLOOK_FROM.test(line) &&
+        lines.slice(i + 1, i + 5).some(next => OUTLOOK_SENT.test(next.trim()))) {
+      return i;
+    }
+
+    // A run of ">" lines; a single stray ">" line is left alone
+    if (line.startsWith('>') && (lines[i + 1] || '').trim().startsWith('>')) {
+      return i;
+    }
+  }
+
+  return -1;
+}
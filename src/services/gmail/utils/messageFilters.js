@@ -1,12 +1,48 @@
 import { logger } from '../../../utils/logger.js';
 
+// Vendor headers set on auto-replies (older autoresponders). Not
+// X-Auto-Response-Suppress: Outlook and Exchange add it to ordinary mail
+// to ask *other* systems not to auto-reply, so it says nothing about the sender.
+const AUTO_REPLY_HEADERS = ['x-autoreply', 'x-autorespond', 'x-autoreply-from'];
+
+const MAILER_DAEMON_PATTERN = /\b(mailer-daemon|postmaster|mail-daemon|mail delivery (subsystem|system))\b/i;
+const NO_REPLY_PATTERN = /\b(no[-_.]?reply|do[-_.]?not[-_.]?reply|donotreply|noreply)[^@\s]*@/i;
+
+const BOUNCE_SUBJECT_PATTERNS = [
+  /^undeliver(able|ed)( mail)?\b/i,
+  /^delivery status notification/i,
+  /^mail delivery (failed|failure|system)/i,
+  /^returned mail\b/i,
+  /^failure notice\b/i,
+  /^(message )?delivery (has )?failed/i
+];
+
+const OUT_OF_OFFICE_SUBJECT_PATTERNS = [
+  /^auto(matic)?[\s-]?(reply|response|answer)\b/i,
+  /^out of (the )?office\b/i,
+  /\bout of office\s*:/i,
+  /^(i am|i'm) (currently )?(away|out)\b/i,
+  /^abwesenheitsnotiz|^automatische antwort/i,
+  /^réponse automatique|^absence\b/i,
+  /^respuesta automática|^fuera de la oficina/i,
+  /^risposta automatica|^fuori ufficio/i,
+  /^autosvar|^frånvaro/i
+];
+
+const OUT_OF_OFFICE_BODY_PATTERNS = [
+  /\b(i am|i'm|i will be) (currently )?(out of (the )?office|away from (the )?office|on (annual )?leave|on vacation|on holiday)\b/i,
+  /\bthis is an automatic(ally generated)? (reply|response|message)\b/i,
+  /\b(limited|no) access to (my )?e-?mail\b.{0,80}\b(until|returning)\b/i
+];
+
 /**
  * Check if a message should be processed
  * @param {Object} messageData Message data including headers and metadata
  * @param {string} ourEmail Our email address
- * @returns {Object} Result with shouldProcess flag and reason
+ * @param {string} [bodyText] Extracted body text for content-based checks
+ * @returns {Object} Result with shouldProcess flag, reason and optional detail
  */
-export function shouldProcessMessage(messageData, ourEmail) {
+export function shouldProcessMessage(messageData, ourEmail, bodyText = '') {
   const headers = messageData.payload?.headers || [];
   const from = headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
   const to = headers.find(h => h.name.toLowerCase() === 'to')?.value || '';
@@ -25,7 +61,7 @@ export function shouldProcessMessage(messageData, ourEmail) {
   }
 
   // Skip outgoing messages (from us)
-  if (from.includes(ourEmail)) {
+  if (ourEmail && from.toLowerCase().includes(ourEmail.toLowerCase())) {
     logger.debug('Skipping outgoing message', {
       from,
       to,
@@ -38,8 +74,12 @@ export function shouldProcessMessage(messageData, ourEmail) {
     };
   }
 
-  // Skip messages not addressed to us
-  if (!to.includes(ourEmail)) {
+  // Skip messages not addressed to us (Cc and Delivered-To count as well)
+  const recipients = ['to', 'cc', 'delivered-to']
+    .map(name => headers.find(h => h.name.toLowerCase() === name)?.value || '')
+    .join(',')
+    .toLowerCase();
+  if (ourEmail && !recipients.includes(ourEmail.toLowerCase())) {
     logger.debug('Skipping message not addressed to us', {
       from,
       to,
@@ -52,6 +92,22 @@ export function shouldProcessMessage(messageData, ourEmail) {
     };
   }
 
+  // Skip bounces, auto-replies and bulk mail so they never reach OpenAI
+  const automated = detectAutomatedMail(messageData, bodyText);
+  if (automated.automated) {
+    logger.info('Skipping automated message', {
+      from,
+      messageId: messageData.id,
+      reason: automated.reason,
+      detail: automated.detail
+    });
+    return {
+      shouldProcess: false,
+      reason: automated.reason,
+      detail: automated.detail
+    };
+  }
+
   return {
     shouldProcess: true,
     reason: 'VALID_INCOMING_MESSAGE'
@@ -59,64 +115,69 @@ export function shouldProcessMessage(messageData, ourEmail) {
 }
 
 /**
- * Track processed messages with thread context
+ * Detect machine-generated mail from headers, sender and content
+ * @param {Object} messageData Gmail message resource
+ * @param {string} [bodyText] Extracted body text, used for out-of-office patterns
+ * @returns {{automated: boolean, reason: string|null, detail: string|null}} Detection result
  */
-export class ProcessedMessageTracker {
-  constructor() {
-    this.processed = new Set();
-    this.threadLocks = new Set();
-  }
+export function detectAutomatedMail(messageData, bodyText = '') {
+  const headers = messageData.payload?.headers || [];
+  const header = name => headers.find(h => h.name.toLowerCase() === name)?.value?.trim() || '';
+  const match = (reason, detail) => ({ automated: true, reason, detail });
 
-  /**
-   * Check if message was processed
-   * @param {string} threadId Thread ID
-   * @param {string} messageId Message ID
-   * @returns {boolean} Whether message was processed
-   */
-  isProcessed(threadId, messageId) {
-    return this.processed.has(`${threadId}:${messageId}`);
+  // RFC 3834: anything other than "no" was sent by a machine
+  const autoSubmitted = header('auto-submitted').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    return match('AUTO_SUBMITTED', `Auto-Submitted: ${autoSubmitted}`);
   }
 
-  /**
-   * Mark message as processed
-   * @param {string} threadId Thread ID
-   * @param {string} messageId Message ID
-   */
-  markProcessed(threadId, messageId) {
-    this.processed.add(`${threadId}:${messageId}`);
-    
-    // Cleanup if set gets too large
-    if (this.processed.size > 1000) {
-      const oldestEntries = Array.from(this.processed).slice(0, 500);
-      oldestEntries.forEach(entry => this.processed.delete(entry));
+  for (const name of AUTO_REPLY_HEADERS) {
+    if (header(name)) {
+      return match('AUTO_REPLY', `${name}: ${header(name)}`);
     }
   }
 
-  /**
-   * Check if thread is locked for processing
-   * @param {string} threadId Thread ID
-   * @returns {boolean} Whether thread is locked
-   */
-  isThreadLocked(threadId) {
-    return this.threadLocks.has(threadId);
+  const precedence = header('precedence').toLowerCase();
+  if (['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) {
+    return match('BULK_PRECEDENCE', `Precedence: ${precedence}`);
   }
 
-  /**
-   * Lock thread for processing
-   * @param {string} threadId Thread ID
-   */
-  lockThread(threadId) {
-    this.threadLocks.add(threadId);
+  if (header('list-unsubscribe') || header('list-id')) {
+    return match('MAILING_LIST', header('list-id') || 'List-Unsubscribe');
   }
 
-  /**
-   * Unlock thread after processing
-   * @param {string} threadId Thread ID
-   */
-  unlockThread(threadId) {
-    this.threadLocks.delete(threadId);
+  const contentType = (messageData.payload?.mimeType || header('content-type')).toLowerCase();
+  if (contentType.startsWith('multipart/report') || header('content-type').toLowerCase().includes('report-type=')) {
+    return match('DELIVERY_REPORT', contentType);
+  }
+
+  // Bounces are sent with an empty envelope sender
+  if (header('return-path') === '<>') {
+    return match('DELIVERY_REPORT', 'Return-Path: <>');
+  }
+
+  const from = header('from').toLowerCase();
+  if (MAILER_DAEMON_PATTERN.test(from)) {
+    return match('MAILER_DAEMON', from);
+  }
+  if (NO_REPLY_PATTERN.test(from)) {
+    return match('NO_REPLY_SENDER', from);
   }
-}
 
-// Export singleton instance
-export const messageTracker = new ProcessedMessageTracker();
\ No newline at end of file
+  const subject = header('subject');
+  if (BOUNCE_SUBJECT_PATTERNS.some(pattern => pattern.test(subject))) {
+    return match('DELIVERY_REPORT', subject);
+  }
+
+  if (OUT_OF_OFFICE_SUBJECT_PATTERNS.some(pattern => pattern.test(subject))) {
+    return match('OUT_OF_OFFICE', subject);
+  }
+
+  // Only short bodies: a long message mentioning an absence is a real email
+  const opening = (bodyText || '').slice(0, 500);
+  if (opening && bodyText.length < 1500 && OUT_OF_OFFICE_BODY_PATTERNS.some(pattern => pattern.test(opening))) {
+    return match('OUT_OF_OFFICE', opening.split('\n')[0].slice(0, 100));
+  }
+
+  return { automated: false, reason: null, detail: null };
+}
@@ -1,11 +1,23 @@
 import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
 import { getGmailAuth } from './auth.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { getStateStore } from '../../utils/stateStore.js';
+import { getHistoryState, saveHistoryId } from './history.js';
 
 const gmail = google.gmail('v1');
+const watchState = getStateStore('gmail-watch');
+
 const WATCH_EXPIRATION_BUFFER = 24 * 60 * 60 * 1000; // 24 hours
 const WATCH_RENEWAL_INTERVAL = 6 * 60 * 60 * 1000;  // 6 hours
-const FORCE_RENEWAL_ON_STARTUP = true;
+const RENEWAL_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+
+let renewalTimer = null;
+let nextCheckAt = null;
+
+function getTopicName() {
+  return `projects/${process.env.PROJECT_ID}/topics/${process.env.PUBSUB_TOPIC}`;
+}
 
 async function stopExistingWatch(auth) {
   try {
@@ -40,7 +52,7 @@ async function createNewWatch(auth) {
       auth,
       userId: 'me',
       requestBody: {
-        topicName: `projects/${process.env.PROJECT_ID}/topics/${process.env.PUBSUB_TOPIC}`,
+        topicName: getTopicName(),
         labelIds: ['INBOX'],
         labelFilterAction: 'include'
       }
@@ -53,6 +65,16 @@ async function createNewWatch(auth) {
       expiresIn: Math.floor((expirationDate - Date.now()) / (60 * 60 * 1000)) + ' hours'
     });
 
+    await watchState.update(state => ({
+      ...state,
+      historyId: watchResponse.data.historyId,
+      expiration: parseInt(watchResponse.data.expiration),
+      topicName: getTopicName(),
+      renewedAt: new Date().toISOString(),
+      lastError: null,
+      consecutiveFailures: 0
+    }));
+
     return watchResponse.data;
   } catch (error) {
     logger.error('Error creating Gmail watch:', {
@@ -63,6 +85,11 @@ async function createNewWatch(auth) {
   }
 }
 
+/**
+ * Make sure a Gmail watch is active and schedule its renewal. A stored watch
+ * that is still outside the renewal buffer is reused instead of restarted.
+ * @returns {Promise<Object>} Watch data (historyId, expiration)
+ */
 export async function setupGmailWatch() {
   try {
     const auth = await getGmailAuth();
@@ -78,14 +105,35 @@ export async function setupGmailWatch() {
       historyId: profile.data.historyId
     });
 
-    // On startup, force stop any existing watch if configured
-    if (FORCE_RENEWAL_ON_STARTUP) {
-      logger.info('Forcing Gmail watch renewal during startup');
-      await stopExistingWatch(auth);
+    const state = await watchState.read();
+    let watchData;
+
+    if (isWatchValid(state)) {
+      logger.info('Existing Gmail watch still valid, reusing it', {
+        historyId: state.historyId,
+        expiration: new Date(state.expiration).toISOString()
+      });
+      watchData = { historyId: state.historyId, expiration: String(state.expiration) };
+    } else {
+      // A watch on a different topic would keep publishing there
+      if (state.topicName && state.topicName !== getTopicName()) {
+        logger.info('Pub/Sub topic changed, stopping previous watch', {
+          previousTopic: state.topicName,
+          topic: getTopicName()
+        });
+        await stopExistingWatch(auth);
+      }
+      watchData = await createNewWatch(auth);
     }
 
-    // Create new watch
-    const watchData = await createNewWatch(auth);
+    // Start history sync from the watch position on first deployment
+    const { historyId } = await getHistoryState();
+    if (!historyId) {
+      await saveHistoryId(watchData.historyId);
+      logger.info('History sync seeded from watch', { historyId: watchData.historyId });
+    }
+
+    await scheduleRenewal();
 
     return watchData;
   } catch (error) {
@@ -97,21 +145,25 @@ export async function setupGmailWatch() {
   }
 }
 
+/**
+ * Renew the Gmail watch now. Calling watch again extends the existing watch,
+ * so no stop is needed and no notifications are lost in between.
+ * @returns {Promise<Object>} Watch data (historyId, expiration)
+ */
 export async function renewWatch() {
   try {
     logger.info('Starting Gmail watch renewal process');
     const auth = await getGmailAuth();
 
-    // Always stop existing watch before renewal
-    await stopExistingWatch(auth);
-
-    // Create new watch
     const watchData = await createNewWatch(auth);
     
     logger.info('Gmail watch renewed successfully', {
       historyId: watchData.historyId,
       expiration: new Date(parseInt(watchData.expiration)).toISOString()
     });
+    recordMetric('watch_renewals', 1);
+
+    await scheduleRenewal();
 
     return watchData;
   } catch (error) {
@@ -121,4 +173,100 @@ export async function renewWatch() {
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Current watch lifecycle state
+ * @returns {Promise<Object>} Watch status
+ */
+export async function getWatchStatus() {
+  const state = await watchState.read();
+  const now = Date.now();
+
+  return {
+    active: !!state.expiration && state.expiration > now,
+    valid: isWatchValid(state),
+    historyId: state.historyId || null,
+    topicName: state.topicName || null,
+    expiration: state.expiration ? new Date(state.expiration).toISOString() : null,
+    expiresInHours: state.expiration ? Math.floor((state.expiration - now) / (60 * 60 * 1000)) : null,
+    renewAt: state.expiration ? new Date(state.expiration - WATCH_EXPIRATION_BUFFER).toISOString() : null,
+    renewedAt: state.renewedAt || null,
+    nextCheckAt: nextCheckAt ? new Date(nextCheckAt).toISOString() : null,
+    renewalScheduled: !!renewalTimer,
+    lastError: state.lastError || null,
+    lastErrorAt: state.lastErrorAt || null,
+    consecutiveFailures: state.consecutiveFailures || 0
+  };
+}
+
+/**
+ * Cancel the scheduled renewal
+ */
+export function stopWatchRenewal() {
+  if (renewalTimer) {
+    clearTimeout(renewalTimer);
+    renewalTimer = null;
+    nextCheckAt = null;
+  }
+}
+
+function isWatchValid(state) {
+  return !!state.expiration &&
+    state.topicName === getTopicName() &&
+    state.expiration - Date.now() > WATCH_EXPIRATION_BUFFER;
+}
+
+/**
+ * Wake up when the watch enters the renewal buffer, and at least every
+ * WATCH_RENEWAL_INTERVAL so a changed state file or clock drift is noticed
+ */
+async function scheduleRenewal(delay = null) {
+  stopWatchRenewal();
+
+  if (delay === null) {
+    const state = await watchState.read();
+    const untilRenewal = (state.expiration || 0) - WATCH_EXPIRATION_BUFFER - Date.now();
+    delay = Math.min(Math.max(untilRenewal, 0), WATCH_RENEWAL_INTERVAL);
+  }
+
+  nextCheckAt = Date.now() + delay;
+  renewalTimer = setTimeout(runScheduledCheck, delay);
+  // Never keep the process alive just for the timer
+  renewalTimer.unref?.();
+
+  logger.info('Gmail watch renewal check scheduled', {
+    nextCheckAt: new Date(nextCheckAt).toISOString()
+  });
+}
+
+async function runScheduledCheck() {
+  renewalTimer = null;
+
+  try {
+    const state = await watchState.read();
+
+    if (isWatchValid(state)) {
+      await scheduleRenewal();
+      return;
+    }
+
+    await renewWatch();
+  } catch (error) {
+    const state = await watchState.update(current => ({
+      ...current,
+      lastError: error.message,
+      lastErrorAt: new Date().toISOString(),
+      consecutiveFailures: (current.consecutiveFailures || 0) + 1
+    })).catch(() => ({}));
+
+    logger.error('Scheduled Gmail watch renewal failed, retrying', {
+      error: error.message,
+      consecutiveFailures: state.consecutiveFailures,
+      retryInMinutes: RENEWAL_RETRY_DELAY / 60000
+    });
+    recordMetric('watch_renewal_failures', 1);
+
+    await scheduleRenewal(RENEWAL_RETRY_DELAY);
+  }
+}
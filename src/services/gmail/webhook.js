@@ -1,112 +1,133 @@
-import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
 import { getGmailAuth } from './auth.js';
-import { processMessage } from './index.js';
+import { isValidHistoryId, syncHistory } from './history.js';
+import { notificationQueue } from './queue.js';
 
-const gmail = google.gmail('v1');
+const SYNC_JOB_KEY = 'history-sync';
 
-async function getLatestMessage(auth, historyId) {
+/**
+ * Validate a Gmail Pub/Sub push and queue a history sync for it. Returns as
+ * soon as the job is queued so the push is acknowledged well within its
+ * deadline; the sync and the messages it finds are processed in the background.
+ * A malformed notification is logged and reported as such rather than thrown:
+ * redelivering it would never make it valid, so it should be acknowledged.
+ * @param {Object} data Pub/Sub push body
+ * @returns {Object} Result with accepted flag, jobId, whether the
+ *   notification was merged into an already queued sync, and malformed with
+ *   the reason when it could not be read
+ */
+export function handleWebhook(data) {
   try {
-    // Get messages list
-    const response = await gmail.users.messages.list({
-      auth,
-      userId: 'me',
-      maxResults: 1,
-      q: `after:${Math.floor(Date.now() / 1000 - 300)}` // Last 5 minutes
-    });
+    const { notification, reason } = parseNotification(data);
 
-    if (!response.data.messages || response.data.messages.length === 0) {
-      logger.warn('No recent messages found');
-      return null;
+    if (!notification) {
+      logger.warn('Ignoring malformed Gmail notification', {
+        reason,
+        pubsubMessageId: data?.message?.messageId,
+        timestamp: new Date().toISOString()
+      });
+      recordMetric('gmail_notifications_malformed', 1);
+      return { accepted: false, malformed: true, reason, jobId: null, coalesced: false };
     }
 
-    const message = response.data.messages[0];
-    logger.info('Found latest message', {
-      messageId: message.id,
-      threadId: message.threadId,
+    const historyId = notification.historyId.toString();
+
+    logger.info('Queueing webhook notification', {
+      emailAddress: notification.emailAddress,
+      historyId,
+      pubsubMessageId: data.message.messageId,
       timestamp: new Date().toISOString()
     });
 
-    return message;
+    return queueHistorySync({ historyId, pubsubMessageId: data.message.messageId });
   } catch (error) {
-    logger.error('Error getting latest message:', {
+    logger.error('Webhook processing failed:', {
       error: error.message,
       stack: error.stack,
       timestamp: new Date().toISOString()
     });
-    return null;
+    throw error;
   }
 }
 
-export async function handleWebhook(data) {
-  try {
-    const auth = await getGmailAuth();
-    
-    // Validate and decode Pub/Sub message
-    if (!data.message?.data) {
-      throw new Error('Invalid Pub/Sub message format');
-    }
+/**
+ * Queue a sync from the stored historyId without a notification. Run at
+ * startup so messages whose processing was lost with a recycled instance are
+ * picked up without waiting for the next push.
+ * @returns {Object} Result with accepted flag, jobId and coalesced flag
+ */
+export function queueHistoryCatchUp() {
+  logger.info('Queueing history catch-up sync');
+  return queueHistorySync({ historyId: null, pubsubMessageId: null });
+}
 
-    const decodedData = JSON.parse(Buffer.from(data.message.data, 'base64').toString());
-    
-    if (!decodedData.historyId) {
-      throw new Error('No historyId in notification');
+function queueHistorySync(jobData) {
+  // A sync that hasn't started yet reads up to the latest change anyway,
+  // so later notifications just raise its target historyId
+  const waiting = notificationQueue.findWaiting(SYNC_JOB_KEY);
+  if (waiting) {
+    if (jobData.historyId && waiting.data.historyId &&
+        BigInt(jobData.historyId) > BigInt(waiting.data.historyId)) {
+      waiting.data.historyId = jobData.historyId;
     }
-
-    logger.info('Processing webhook notification', {
-      emailAddress: decodedData.emailAddress,
-      historyId: decodedData.historyId,
-      timestamp: new Date().toISOString()
+    logger.info('Notification merged into queued history sync', {
+      historyId: jobData.historyId,
+      jobId: waiting.id
     });
+    return { accepted: true, jobId: waiting.id, coalesced: true };
+  }
 
-    // Get the latest message that triggered this notification
-    const latestMessage = await getLatestMessage(auth, decodedData.historyId);
-    if (!latestMessage) {
-      logger.warn('No message found to process', {
-        historyId: decodedData.historyId,
-        timestamp: new Date().toISOString()
-      });
-      return;
-    }
+  const job = notificationQueue.enqueue({
+    key: SYNC_JOB_KEY,
+    type: 'history-sync',
+    data: jobData,
+    run: () => runHistorySync(jobData)
+  });
 
-    // Process the single message
-    logger.info('Processing single message', {
-      messageId: latestMessage.id,
-      threadId: latestMessage.threadId,
-      timestamp: new Date().toISOString()
-    });
+  if (!job) {
+    return { accepted: false, jobId: null, coalesced: false };
+  }
 
-    const success = await processMessage(auth, latestMessage.id);
-    
-    if (success) {
-      logger.info('Message processed successfully', {
-        messageId: latestMessage.id,
-        threadId: latestMessage.threadId,
-        historyId: decodedData.historyId,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      logger.error('Failed to process message', {
-        messageId: latestMessage.id,
-        threadId: latestMessage.threadId,
-        historyId: decodedData.historyId,
-        timestamp: new Date().toISOString()
-      });
-    }
+  return { accepted: true, jobId: job.id, coalesced: false };
+}
 
-    // Always acknowledge the message
-    logger.info('Pub/Sub message acknowledged', {
-      messageId: data.message.messageId,
-      subscription: data.subscription,
-      timestamp: new Date().toISOString()
-    });
+async function runHistorySync(jobData) {
+  const auth = await getGmailAuth();
+
+  // Process every message added since the last synced historyId
+  const summary = await syncHistory(auth, jobData.historyId);
+
+  logger.info('History sync finished for notification', {
+    historyId: jobData.historyId,
+    mode: summary.mode,
+    processed: summary.processed,
+    failed: summary.failed,
+    syncedHistoryId: summary.historyId,
+    timestamp: new Date().toISOString()
+  });
 
+  return summary;
+}
+
+function parseNotification(data) {
+  if (!data?.message?.data) {
+    return { notification: null, reason: 'Invalid Pub/Sub message format' };
+  }
+
+  let notification;
+  try {
+    notification = JSON.parse(Buffer.from(data.message.data, 'base64').toString());
   } catch (error) {
-    logger.error('Webhook processing failed:', {
-      error: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    });
-    throw error;
+    return { notification: null, reason: 'Notification data is not JSON' };
   }
-}
\ No newline at end of file
+
+  if (!notification?.historyId) {
+    return { notification: null, reason: 'No historyId in notification' };
+  }
+  if (!isValidHistoryId(notification.historyId)) {
+    return { notification: null, reason: 'Invalid historyId in notification' };
+  }
+
+  return { notification, reason: null };
+}
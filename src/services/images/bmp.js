@@ -0,0 +1,48 @@
+/**
+ * Decode an uncompressed Windows bitmap (24 or 32 bits per pixel) into raw
+ * RGB pixels. libvips as bundled with sharp cannot read BMP. The fourth byte
+ * of 32-bit pixels is padding in most files, so alpha is dropped.
+ * @param {Buffer} buffer BMP file
+ * @returns {{data: Buffer, width: number, height: number, channels: number}} Raw pixels
+ */
+export function decodeBmp(buffer) {
+  if (buffer.length < 54 || buffer.toString('ascii', 0, 2) !== 'BM') {
+    throw new Error('Not a BMP file');
+  }
+
+  const pixelOffset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+
+  // BI_RGB, or BI_BITFIELDS with the usual 32-bit BGRA layout
+  if (![0, 3].includes(compression) || ![24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP encoding (${bitsPerPixel} bpp, compression ${compression})`);
+  }
+
+  const height = Math.abs(rawHeight);
+  const bottomUp = rawHeight > 0;
+  const sourceBytes = bitsPerPixel / 8;
+  const channels = 3;
+  const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+
+  if (pixelOffset + rowSize * height > buffer.length) {
+    throw new Error('Truncated BMP file');
+  }
+
+  const data = Buffer.alloc(width * height * channels);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = pixelOffset + (bottomUp ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const source = sourceRow + x * sourceBytes;
+      const target = (y * width + x) * channels;
+      data[target] = buffer[source + 2];
+      data[target + 1] = buffer[source + 1];
+      data[target + 2] = buffer[source];
+    }
+  }
+
+  return { data, width, height, channels };
+}
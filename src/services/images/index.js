@@ -0,0 +1 @@
+export { normalizeImage, normalizeImages, SUPPORTED_INPUT_TYPES } from './normalizer.js';
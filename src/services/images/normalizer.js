@@ -0,0 +1,175 @@
+import path from 'path';
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { decodeBmp } from './bmp.js';
+
+const MAX_DIMENSION = 2048;
+const JPEG_QUALITY = 85;
+
+// Formats accepted from customers; everything except GIF leaves as JPEG
+export const SUPPORTED_INPUT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+  'image/avif',
+  'image/tiff',
+  'image/bmp'
+];
+
+/**
+ * Normalize an image for the vision model: apply EXIF orientation, drop all
+ * metadata (including GPS), downscale and re-encode as JPEG. Animated and
+ * static GIFs within the size limit are passed through.
+ * @param {Buffer} buffer Image data
+ * @param {Object} [options] Normalization options
+ * @param {string} [options.filename] Original file name
+ * @param {string} [options.mimeType] Declared MIME type
+ * @param {number} [options.maxDimension] Longest side after downscaling
+ * @param {number} [options.quality] JPEG quality
+ * @returns {Promise<{buffer: Buffer, mimeType: string, filename: string, metadata: Object}>}
+ *   Normalized image and a metadata report
+ */
+export async function normalizeImage(buffer, {
+  filename = 'image',
+  mimeType = null,
+  maxDimension = MAX_DIMENSION,
+  quality = JPEG_QUALITY
+} = {}) {
+  const { image: input, metadata: original } = await openImage(buffer, mimeType);
+
+  const resized = original.width > maxDimension || original.height > maxDimension;
+  const hadGps = !!original.exif && original.exif.includes('GPS');
+
+  let output;
+  let outputType;
+
+  if (original.format === 'gif' && !resized) {
+    output = buffer;
+    outputType = 'image/gif';
+  } else {
+    // rotate() without arguments applies the EXIF orientation; sharp writes
+    // no metadata unless asked to, so EXIF/GPS/XMP are dropped here
+    try {
+      output = await input
+        .rotate()
+        .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer();
+    } catch (error) {
+      throw new Error(`Could not decode ${original.format || mimeType} image: ${error.message}`);
+    }
+    outputType = 'image/jpeg';
+  }
+
+  const result = await sharp(output).metadata();
+
+  const metadata = {
+    originalFormat: original.format,
+    originalMimeType: mimeType,
+    originalSize: buffer.length,
+    originalWidth: original.width,
+    originalHeight: original.height,
+    orientation: original.orientation || 1,
+    format: result.format,
+    width: result.width,
+    height: result.height,
+    size: output.length,
+    resized,
+    converted: outputType !== mimeType,
+    metadataStripped: output !== buffer,
+    hadGps
+  };
+
+  logger.debug('Image normalized', { filename, ...metadata });
+
+  return {
+    buffer: output,
+    mimeType: outputType,
+    filename: outputType === 'image/jpeg' ? replaceExtension(filename, 'jpg') : filename,
+    metadata
+  };
+}
+
+/**
+ * Normalize several images, collecting failures instead of throwing so one
+ * unreadable file doesn't lose the rest
+ * @param {Array<{buffer: Buffer, filename?: string, mimeType?: string}>} images Images to normalize
+ * @param {Object} [options] Options passed to normalizeImage
+ * @returns {Promise<{images: Array<Object>, failures: Array<Object>}>} Normalized
+ *   images (input fields preserved) and per-image failures
+ */
+export async function normalizeImages(images, options = {}) {
+  const normalized = [];
+  const failures = [];
+
+  for (const image of images) {
+    try {
+      const result = await normalizeImage(image.buffer, {
+        ...options,
+        filename: image.filename,
+        mimeType: image.mimeType
+      });
+      normalized.push({ ...image, ...result, size: result.buffer.length });
+    } catch (error) {
+      logger.warn('Image could not be normalized, skipping it', {
+        filename: image.filename,
+        mimeType: image.mimeType,
+        size: image.buffer?.length,
+        error: error.message
+      });
+      failures.push({ filename: image.filename, mimeType: image.mimeType, error: error.message });
+    }
+  }
+
+  recordMetric('images_normalized', normalized.length);
+  if (failures.length) {
+    recordMetric('image_normalization_failures', failures.length);
+  }
+
+  return { images: normalized, failures };
+}
+
+async function openImage(buffer, mimeType) {
+  if (mimeType === 'image/bmp' || buffer.toString('ascii', 0, 2) === 'BM') {
+    const { data, width, height, channels } = decodeBmp(buffer);
+    const image = sharp(data, { raw: { width, height, channels } });
+    return { image, metadata: await image.metadata() };
+  }
+
+  const image = sharp(buffer, { failOn: 'none' });
+  let metadata;
+
+  try {
+    metadata = await image.metadata();
+  } catch (error) {
+    throw new Error(`Unsupported or corrupt image (${mimeType || 'unknown type'}): ${error.message}`);
+  }
+
+  // Prebuilt sharp reads HEIC headers but only decodes AVIF, so iPhone photos
+  // (HEVC) are decoded by libheif compiled to wasm. It applies the HEIF
+  // rotation itself; the header metadata is kept for the report.
+  if (metadata.format === 'heif' && metadata.compression === 'hevc') {
+    try {
+      const { data, width, height } = await decodeHeic({ buffer });
+      return {
+        image: sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } }),
+        metadata: { ...metadata, width, height }
+      };
+    } catch (error) {
+      throw new Error(`Could not decode HEIC image: ${error.message || error}`);
+    }
+  }
+
+  return { image, metadata };
+}
+
+function replaceExtension(filename, extension) {
+  const { name } = path.parse(filename || 'image');
+  return `${name || 'image'}.${extension}`;
+}
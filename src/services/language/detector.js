@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { LRUCache } from 'lru-cache';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { LlmTask, complete } from '../llm/index.js';
+import { PromptId, renderPrompt } from '../prompts/index.js';
+
+const MAX_INPUT_CHARS = 4000;
+const MIN_DETECTABLE_LENGTH = 12;
+const MIN_CONFIDENCE = 0.6;
+
+export const DEFAULT_LANGUAGE = {
+  code: 'en',
+  name: 'English',
+  confidence: 0,
+  source: 'default',
+  translation: null
+};
+
+// Frequent English function words; enough of them means we can skip the model
+const ENGLISH_WORDS = new Set([
+  'the', 'and', 'is', 'are', 'was', 'were', 'to', 'of', 'in', 'for', 'on', 'with',
+  'my', 'i', 'you', 'your', 'it', 'this', 'that', 'have', 'has', 'be', 'can',
+  'would', 'could', 'please', 'thank', 'thanks', 'hello', 'hi', 'what', 'how',
+  'do', 'does', 'not', 'an', 'a', 'we', 'our', 'me', 'at', 'from', 'about'
+]);
+
+const cache = new LRUCache({
+  max: 1000,
+  ttl: 24 * 60 * 60 * 1000 // 24 hours
+});
+
+/**
+ * Detect the language a customer wrote in and, for anything other than
+ * English, produce an English translation for staff. Plainly English text is
+ * recognised locally; everything else takes one small model call.
+ * @param {string} text Customer message
+ * @param {Object} [options] Detection options
+ * @param {Object} [options.fallback] Language to keep when the text is too short
+ *   or ambiguous to judge (e.g. the language detected earlier in a chat)
+ * @returns {Promise<Object>} Language with code (ISO 639-1), name, confidence,
+ *   source and translation (null for English)
+ */
+export async function detectLanguage(text, { fallback = DEFAULT_LANGUAGE } = {}) {
+  const input = (text || '').trim().slice(0, MAX_INPUT_CHARS);
+
+  if (input.length < MIN_DETECTABLE_LENGTH) {
+    return keepFallback(fallback);
+  }
+
+  if (looksEnglish(input)) {
+    return { code: 'en', name: 'English', confidence: 0.9, source: 'heuristic', translation: null };
+  }
+
+  const cacheKey = crypto.createHash('sha256').update(input).digest('hex');
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  try {
+    const completion = await complete(LlmTask.LANGUAGE_DETECTION, {
+      messages: [
+        {
+          role: "system",
+          content: renderPrompt(PromptId.LANGUAGE_DETECTION).text
+        },
+        {
+          role: "user",
+          content: input
+        }
+      ],
+      responseFormat: { type: 'json_object' }
+    });
+
+    const parsed = JSON.parse(completion.content);
+    const code = typeof parsed.code === 'string' ? parsed.code.toLowerCase().slice(0, 2) : '';
+    const confidence = Number(parsed.confidence) || 0;
+
+    if (!/^[a-z]{2}$/.test(code) || confidence < MIN_CONFIDENCE) {
+      logger.debug('Language detection inconclusive, keeping fallback', { code, confidence });
+      return keepFallback(fallback);
+    }
+
+    const language = {
+      code,
+      name: parsed.name || code,
+      confidence,
+      source: 'model',
+      translation: code === 'en' ? null : parsed.translation || null
+    };
+
+    cache.set(cacheKey, language);
+    logger.info('Language detected', { code, name: language.name, confidence });
+    recordMetric('languages_detected', 1);
+    return language;
+  } catch (error) {
+    logger.error('Error detecting language, keeping fallback:', {
+      error: error.message,
+      stack: error.stack,
+      textLength: input.length
+    });
+    recordMetric('language_detection_failures', 1);
+    return keepFallback(fallback);
+  }
+}
+
+/**
+ * Prompt instruction telling the model which language to reply in
+ * @param {Object} [language] Detected language
+ * @returns {string} Instruction, empty for English
+ */
+export function languageInstruction(language) {
+  if (!language || language.code === 'en') {
+    return '';
+  }
+
+  return `LANGUAGE: The customer writes in ${language.name}. Write your entire reply in ${language.name}, including the greeting and sign-off. Keep URLs, prices, service names and "Appraisily" unchanged.`;
+}
+
+// The fallback's translation belongs to an earlier message
+function keepFallback(fallback) {
+  return { ...fallback, translation: null };
+}
+
+function looksEnglish(text) {
+  // Accented or non-Latin letters point elsewhere; let the model decide
+  if (/[^\x00-\x7F‘’“”–—…]/.test(text)) {
+    return false;
+  }
+
+  const words = text.toLowerCase().match(/[a-z']+/g) || [];
+  if (words.length < 4) {
+    return false;
+  }
+
+  const english = words.filter(word => ENGLISH_WORDS.has(word)).length;
+  return english / words.length >= 0.2;
+}
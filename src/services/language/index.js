@@ -0,0 +1 @@
+export { DEFAULT_LANGUAGE, detectLanguage, languageInstruction } from './detector.js';
@@ -0,0 +1,74 @@
+import { readFileSync } from 'fs';
+import { logger } from '../../utils/logger.js';
+import { LlmTask } from './types.js';
+
+const DEFAULT_TASKS_PATH = new URL('./tasks.json', import.meta.url);
+
+let cachedConfig = null;
+
+/**
+ * Load and validate the per-task model config
+ * @param {string|URL} [path] Config file path, defaults to LLM_TASKS_PATH or the bundled tasks
+ * @returns {Object} Validated task config
+ */
+export function loadTaskConfig(path = process.env.LLM_TASKS_PATH || DEFAULT_TASKS_PATH) {
+  const config = JSON.parse(readFileSync(path, 'utf8'));
+  validateTaskConfig(config);
+
+  logger.info('LLM task config loaded', {
+    version: config.version,
+    models: Object.fromEntries(Object.entries(config.tasks).map(([task, settings]) => [task, settings.model]))
+  });
+
+  return config;
+}
+
+/**
+ * Settings for one task, loading the config on first use
+ * @param {string} task Task name from LlmTask
+ * @returns {{model: string, budgetModel?: string, temperature?: number, maxTokens?: number}} Task settings
+ */
+export function getTaskConfig(task) {
+  if (!cachedConfig) {
+    cachedConfig = loadTaskConfig();
+  }
+
+  const settings = cachedConfig.tasks[task];
+  if (!settings) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const { description, ...rest } = settings;
+  return rest;
+}
+
+/**
+ * Drop the cached config so the next request re-reads the file
+ */
+export function reloadTaskConfig() {
+  cachedConfig = null;
+  cachedConfig = loadTaskConfig();
+  return cachedConfig;
+}
+
+function validateTaskConfig(config) {
+  if (!config || typeof config.tasks !== 'object') {
+    throw new Error('LLM task config must have a tasks object');
+  }
+
+  for (const task of Object.values(LlmTask)) {
+    const settings = config.tasks[task];
+    if (!settings || typeof settings.model !== 'string' || !settings.model) {
+      throw new Error(`LLM task config is missing a model for "${task}"`);
+    }
+    if (settings.budgetModel !== undefined && (typeof settings.budgetModel !== 'string' || !settings.budgetModel)) {
+      throw new Error(`LLM task "${task}" has an invalid budgetModel`);
+    }
+    if (settings.temperature !== undefined && typeof settings.temperature !== 'number') {
+      throw new Error(`LLM task "${task}" has a non-numeric temperature`);
+    }
+    if (settings.maxTokens !== undefined && !Number.isInteger(settings.maxTokens)) {
+      throw new Error(`LLM task "${task}" has a non-integer maxTokens`);
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { getTaskConfig } from './config.js';
+import { createFakeProvider } from './providers/fake.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { LlmProviderName } from './types.js';
+import { getBudgetStatus, recordUsage } from './usage/index.js';
+
+const providers = new Map([
+  [LlmProviderName.OPENAI, () => createOpenAIProvider()],
+  [LlmProviderName.FAKE, () => createFakeProvider()]
+]);
+
+let llmProvider = null;
+
+/**
+ * Register an LLM provider factory
+ * @param {string} name Provider name selected through LLM_PROVIDER
+ * @param {function(): import('./types.js').LlmProvider} factory Provider factory
+ */
+export function registerLlmProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Get the configured LLM provider
+ * @returns {import('./types.js').LlmProvider} Provider
+ */
+export function getLlmProvider() {
+  if (!llmProvider) {
+    const name = process.env.LLM_PROVIDER || LlmProviderName.OPENAI;
+    const factory = providers.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    llmProvider = factory();
+    logger.info('LLM provider initialized', { provider: name });
+  }
+  return llmProvider;
+}
+
+/**
+ * Replace the active provider (tests and custom wiring)
+ * @param {import('./types.js').LlmProvider} provider Provider
+ */
+export function setLlmProvider(provider) {
+  llmProvider = provider;
+}
+
+/**
+ * Run a chat completion for a task. Model, temperature and token limit come
+ * from the task config; a request may override temperature and maxTokens.
+ * While a spend budget is exceeded, tasks with a budgetModel use it instead.
+ * Token use and estimated cost of every call are recorded.
+ * @param {string} task Task name from LlmTask
+ * @param {Object} request Completion request
+ * @param {Array<Object>} request.messages Chat messages in OpenAI format
+ * @param {number} [request.temperature] Temperature override
+ * @param {number} [request.maxTokens] Token limit override
+ * @param {Object} [request.responseFormat] e.g. { type: 'json_object' }
+ * @param {Array<Object>} [request.tools] Tool definitions
+ * @param {string|Object} [request.toolChoice] Tool choice mode
+ * @returns {Promise<import('./types.js').LlmResult>} Completion result
+ */
+export async function complete(task, request) {
+  const { budgetModel, ...settings } = getTaskConfig(task);
+  const provider = getLlmProvider();
+  const startTime = Date.now();
+
+  try {
+    if (budgetModel && (await getBudgetStatus()).downgradeModels) {
+      logger.warn('LLM budget exceeded, using the budget model', {
+        task,
+        model: settings.model,
+        budgetModel
+      });
+      recordMetric('llm_budget_downgrades', 1);
+      settings.model = budgetModel;
+    }
+
+    const params = { task, ...settings, ...withoutUndefined(request) };
+    const result = await provider.complete(params);
+    await recordUsage({ task, messages: params.messages, result });
+
+    logger.debug('LLM completion finished', {
+      task,
+      provider: provider.name,
+      model: result.model,
+      finishReason: result.finishReason,
+      usage: result.usage,
+      duration: Date.now() - startTime
+    });
+    recordMetric('llm_requests', 1);
+
+    return result;
+  } catch (error) {
+    logger.error('LLM completion failed:', {
+      error: error.message,
+      stack: error.stack,
+      task,
+      provider: provider.name,
+      model: settings.model
+    });
+    recordMetric('llm_failures', 1);
+    throw error;
+  }
+}
+
+// An explicit undefined must not wipe a configured setting
+function withoutUndefined(request) {
+  return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== undefined));
+}
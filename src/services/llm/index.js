@@ -0,0 +1,17 @@
+export { complete, getLlmProvider, registerLlmProvider, setLlmProvider } from './gateway.js';
+export { getTaskConfig, loadTaskConfig, reloadTaskConfig } from './config.js';
+export { createFakeProvider } from './providers/fake.js';
+export { createOpenAIProvider, getOpenAIClient } from './providers/openai.js';
+export { LlmProviderName, LlmTask } from './types.js';
+export { completeStructured } from './structured.js';
+export {
+  UsageChannel,
+  createInteraction,
+  runWithInteraction,
+  getCurrentInteraction,
+  getInteractionUsage,
+  addPromptToInteraction,
+  getInteractionPrompts,
+  getBudgetStatus,
+  getUsageReport
+} from './usage/index.js';
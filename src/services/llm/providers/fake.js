@@ -0,0 +1,202 @@
+import { readFileSync } from 'fs';
+import { logger } from '../../../utils/logger.js';
+import { LlmProviderName, LlmTask } from '../types.js';
+
+const SNIPPET_LENGTH = 80;
+
+// Keyword rules for the offline classifier, checked in order
+const FAKE_INTENTS = [
+  [/\b(refund|charge[ds]?|payment|invoice|billing)\b/i, 'PAYMENT_ISSUE'],
+  [/\b(status|update on|when will)\b/i, 'STATUS_INQUIRY'],
+  [/\b(error|login|upload|password|broken)\b/i, 'TECHNICAL_SUPPORT'],
+  [/\b(appraise|appraisal|worth|value|painting|antique)\b/i, 'APPRAISAL_LEAD']
+];
+
+const defaultResponders = {
+  [LlmTask.CLASSIFICATION]: ({ text }) => JSON.stringify({
+    intent: FAKE_INTENTS.find(([pattern]) => pattern.test(text))?.[1] || 'GENERAL_INQUIRY',
+    urgency: /\b(urgent|asap|immediately)\b/i.test(text) ? 'high' : 'medium',
+    sentiment: /\b(angry|disappointed|unacceptable|terrible)\b/i.test(text) ? 'negative' : 'neutral',
+    requiresReply: true,
+    reason: 'Classified offline by the fake LLM provider',
+    suggestedResponseType: 'brief'
+  }),
+  [LlmTask.LANGUAGE_DETECTION]: () => JSON.stringify({
+    code: 'en',
+    name: 'English',
+    confidence: 1,
+    translation: null
+  }),
+  [LlmTask.CHAT_ANALYSIS]: ({ text }) => JSON.stringify({
+    summary: `Offline summary of: ${snippet(text)}`,
+    topics: [],
+    sentiment: 'neutral'
+  }),
+  [LlmTask.THREAD_SUMMARY]: ({ text }) => `- Earlier messages (offline summary): ${snippet(text)}`,
+  [LlmTask.ESCALATION_BRIEF]: ({ text }) => `- Offline brief: ${snippet(text)}`,
+  [LlmTask.IMAGE_ANALYSIS]: ({ imageCount }) => JSON.stringify({
+    items: Array.from({ length: imageCount }, (_, index) => ({
+      description: `Item in image ${index + 1}`,
+      category: 'Unknown',
+      period: null,
+      style: null,
+      materials: [],
+      condition: 'Not assessed offline',
+      notableFeatures: [],
+      markings: null
+    })),
+    overallAssessment: `Offline analysis of ${imageCount} image(s).`,
+    valueFactors: [],
+    appraisalRecommended: true
+  })
+};
+
+/**
+ * Deterministic provider for running the pipeline without network or API
+ * keys. Each task answers from its script first (entries are used in order),
+ * then from a built-in responder that derives a stable reply from the prompt.
+ *
+ * Script entries are a string (assistant text), { content },
+ * { toolCalls: [{ name, arguments }] } or { error } to simulate a failure.
+ * Tool calls are only returned while the request offers tools.
+ * A script file can be supplied with LLM_FAKE_SCRIPT: { "<task>": [entries] }.
+ *
+ * @param {Object} [options] Provider options
+ * @param {Object} [options.script] Entries per task
+ * @returns {import('../types.js').LlmProvider} Provider with script, calls and reset helpers
+ */
+export function createFakeProvider({ script = loadScriptFile() } = {}) {
+  const queues = new Map();
+  const calls = [];
+  let callCount = 0;
+
+  const provider = {
+    name: LlmProviderName.FAKE,
+    calls,
+
+    /**
+     * Queue responses for a task
+     * @param {string} task Task name from LlmTask
+     * @param {Array|*} entries Script entries
+     */
+    script(task, entries) {
+      const queue = queues.get(task) || [];
+      queue.push(...(Array.isArray(entries) ? entries : [entries]));
+      queues.set(task, queue);
+    },
+
+    /**
+     * Forget recorded calls and queued responses
+     */
+    reset() {
+      queues.clear();
+      calls.length = 0;
+    },
+
+    async complete(request) {
+      calls.push({ task: request.task, model: request.model, messages: request.messages });
+
+      const toolsOffered = request.tools?.length > 0 && request.toolChoice !== 'none';
+      const queue = queues.get(request.task);
+      // A scripted tool call waits in the queue until tools are offered
+      const entry = queue?.[0]?.toolCalls && !toolsOffered ? null : queue?.shift();
+      if (entry?.error) {
+        throw new Error(entry.error);
+      }
+
+      const { text, imageCount } = readPrompt(request.messages);
+      const toolCalls = (entry?.toolCalls || []).map(call => ({
+        id: `call_${++callCount}`,
+        name: call.name,
+        arguments: toArguments(call.arguments)
+      }));
+      const content = toolCalls.length > 0
+        ? null
+        : typeof entry === 'string'
+          ? entry
+          : entry?.content ?? respond(request.task, { text, imageCount });
+
+      return {
+        content,
+        toolCalls,
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls.length > 0 && {
+            tool_calls: toolCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: call.arguments }
+            }))
+          })
+        },
+        model: request.model,
+        provider: LlmProviderName.FAKE,
+        finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+        usage: estimateUsage(request.messages, content || toolCalls.map(call => call.arguments).join(''))
+      };
+    }
+  };
+
+  for (const [task, entries] of Object.entries(script || {})) {
+    provider.script(task, entries);
+  }
+
+  return provider;
+}
+
+function respond(task, prompt) {
+  const responder = defaultResponders[task];
+  if (responder) {
+    return responder(prompt);
+  }
+  return `Thank you for your message. This is an offline reply to: "${snippet(prompt.text)}"`;
+}
+
+function loadScriptFile() {
+  const path = process.env.LLM_FAKE_SCRIPT;
+  if (!path) {
+    return {};
+  }
+
+  const script = JSON.parse(readFileSync(path, 'utf8'));
+  logger.info('Fake LLM script loaded', { path, tasks: Object.keys(script) });
+  return script;
+}
+
+// Text and image count of the latest user message
+function readPrompt(messages) {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  if (!last) {
+    return { text: '', imageCount: 0 };
+  }
+  if (typeof last.content === 'string') {
+    return { text: last.content, imageCount: 0 };
+  }
+  return {
+    text: last.content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+    imageCount: last.content.filter(part => part.type === 'image_url').length
+  };
+}
+
+function snippet(text) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH)}...` : flat;
+}
+
+function toArguments(args) {
+  return typeof args === 'string' ? args : JSON.stringify(args || {});
+}
+
+// Rough 4-characters-per-token estimate so usage reporting has numbers offline
+function estimateUsage(messages, output) {
+  const promptChars = messages.reduce((total, message) => total + (
+    typeof message.content === 'string'
+      ? message.content.length
+      : (message.content || []).reduce((sum, part) => sum + (part.text?.length || 0), 0)
+  ), 0);
+  const promptTokens = Math.ceil(promptChars / 4);
+  const completionTokens = Math.ceil(output.length / 4);
+
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
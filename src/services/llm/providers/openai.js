@@ -0,0 +1,79 @@
+import OpenAI from 'openai';
+import { logger } from '../../../utils/logger.js';
+import { getSecrets } from '../../../utils/secretManager.js';
+import { LlmProviderName } from '../types.js';
+
+let openaiClient = null;
+
+/**
+ * Get or initialize the OpenAI SDK client
+ * @returns {Promise<OpenAI>} OpenAI client instance
+ */
+export async function getOpenAIClient() {
+  try {
+    if (openaiClient) {
+      return openaiClient;
+    }
+
+    const secrets = await getSecrets();
+    if (!secrets.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY not found in Secret Manager');
+    }
+
+    openaiClient = new OpenAI({
+      apiKey: secrets.OPENAI_API_KEY
+    });
+
+    logger.info('OpenAI client initialized successfully');
+    return openaiClient;
+  } catch (error) {
+    logger.error('Failed to initialize OpenAI client:', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+/**
+ * Provider backed by the OpenAI chat completions API
+ * @returns {import('../types.js').LlmProvider} Provider
+ */
+export function createOpenAIProvider() {
+  return {
+    name: LlmProviderName.OPENAI,
+
+    async complete({ model, messages, temperature, maxTokens, responseFormat, tools, toolChoice }) {
+      const openai = await getOpenAIClient();
+
+      const completion = await openai.chat.completions.create({
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(responseFormat && { response_format: responseFormat }),
+        ...(tools?.length && { tools, tool_choice: toolChoice || 'auto' })
+      });
+
+      const [choice] = completion.choices;
+
+      return {
+        content: choice.message.content,
+        toolCalls: (choice.message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        })),
+        message: choice.message,
+        model: completion.model,
+        provider: LlmProviderName.OPENAI,
+        finishReason: choice.finish_reason || null,
+        usage: completion.usage ? {
+          promptTokens: completion.usage.prompt_tokens,
+          completionTokens: completion.usage.completion_tokens,
+          totalTokens: completion.usage.total_tokens
+        } : null
+      };
+    }
+  };
+}
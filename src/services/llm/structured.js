@@ -0,0 +1,84 @@
+import { zodResponseFormat } from 'openai/helpers/zod';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { complete } from './gateway.js';
+
+// Enough of the rejected output for the model to see what it got wrong
+const MAX_ECHOED_OUTPUT = 2000;
+
+/**
+ * Run a completion whose answer must match a zod schema. The schema is sent
+ * as a strict JSON-schema response format; an answer that still fails to
+ * parse or validate gets one repair attempt with the validation errors, and
+ * the defaults are returned if that fails as well. Provider errors are thrown.
+ * @param {string} task Task name from LlmTask
+ * @param {Object} request Completion request
+ * @param {Array<Object>} request.messages Chat messages in OpenAI format
+ * @param {import('zod').ZodTypeAny} request.schema Expected result shape
+ * @param {string} request.schemaName Schema name sent to the provider
+ * @param {Object} request.defaults Result used when the output cannot be repaired
+ * @returns {Promise<{data: Object, valid: boolean, repaired: boolean}>} Validated
+ *   data, or the defaults with valid false
+ */
+export async function completeStructured(task, { messages, schema, schemaName, defaults, ...request }) {
+  const responseFormat = zodResponseFormat(schema, schemaName);
+
+  const first = await complete(task, { ...request, messages, responseFormat });
+  const firstCheck = validate(schema, first.content);
+  if (firstCheck.success) {
+    return { data: firstCheck.data, valid: true, repaired: false };
+  }
+
+  logger.warn('Structured output failed validation, asking for a repair', {
+    task,
+    schema: schemaName,
+    issues: firstCheck.issues
+  });
+  recordMetric('llm_structured_repairs', 1);
+
+  const repair = await complete(task, {
+    ...request,
+    responseFormat,
+    messages: [
+      ...messages,
+      { role: 'assistant', content: (first.content || '').slice(0, MAX_ECHOED_OUTPUT) },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required JSON schema:\n${firstCheck.issues.join('\n')}\n\nRespond again with only the corrected JSON object.`
+      }
+    ]
+  });
+  const repairCheck = validate(schema, repair.content);
+  if (repairCheck.success) {
+    return { data: repairCheck.data, valid: true, repaired: true };
+  }
+
+  logger.error('Structured output still invalid after repair, using defaults', {
+    task,
+    schema: schemaName,
+    issues: repairCheck.issues
+  });
+  recordMetric('llm_structured_fallbacks', 1);
+
+  return { data: defaults, valid: false, repaired: false };
+}
+
+function validate(schema, content) {
+  let parsed;
+  try {
+    // Models without schema support sometimes still wrap JSON in a code fence
+    parsed = JSON.parse((content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+  } catch (error) {
+    return { success: false, issues: [`Not valid JSON: ${error.message}`] };
+  }
+
+  const result = schema.safeParse(parsed);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    issues: result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+  };
+}
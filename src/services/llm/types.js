@@ -0,0 +1,62 @@
+/**
+ * Interface every LLM provider implements. Providers other than the built-in
+ * ones register a factory returning an object with these members via
+ * registerLlmProvider in ./gateway.js.
+ *
+ * @typedef {Object} LlmProvider
+ * @property {string} name Provider name, reported on every result
+ * @property {function(LlmRequest): Promise<LlmResult>} complete
+ *   Run one chat completion with the task settings already applied
+ */
+
+/**
+ * A completion request in OpenAI chat format. Messages may carry image parts
+ * ({ type: 'image_url', image_url: { url } }) for vision tasks.
+ *
+ * @typedef {Object} LlmRequest
+ * @property {string} task Task name from LlmTask
+ * @property {string} model Model resolved from the task config
+ * @property {Array<Object>} messages Chat messages ({ role, content })
+ * @property {number} [temperature] Sampling temperature
+ * @property {number} [maxTokens] Completion token limit
+ * @property {Object} [responseFormat] e.g. { type: 'json_object' }
+ * @property {Array<Object>} [tools] Tool definitions ({ type: 'function', function })
+ * @property {string|Object} [toolChoice] "auto", "none", "required" or a specific tool
+ */
+
+/**
+ * @typedef {Object} LlmToolCall
+ * @property {string} id Call ID, echoed back as tool_call_id in the tool message
+ * @property {string} name Tool name
+ * @property {string} arguments JSON-encoded arguments
+ */
+
+/**
+ * @typedef {Object} LlmResult
+ * @property {string|null} content Assistant text
+ * @property {Array<LlmToolCall>} toolCalls Tools the model wants called, empty when it answered
+ * @property {Object} message Assistant message in OpenAI format, to append for follow-up turns
+ * @property {string} model Model that answered
+ * @property {string} provider Provider name
+ * @property {string|null} finishReason Why generation stopped
+ * @property {{promptTokens: number, completionTokens: number, totalTokens: number}|null} usage
+ */
+
+export const LlmProviderName = {
+  OPENAI: 'openai',
+  FAKE: 'fake'
+};
+
+export const LlmTask = {
+  CLASSIFICATION: 'classification',
+  REPLY_GENERATION: 'replyGeneration',
+  IMAGE_ANALYSIS: 'imageAnalysis',
+  THREAD_SUMMARY: 'threadSummary',
+  ESCALATION_BRIEF: 'escalationBrief',
+  LANGUAGE_DETECTION: 'languageDetection',
+  CHAT_REPLY: 'chatReply',
+  CHAT_ANALYSIS: 'chatAnalysis',
+  DIRECT_REPLY: 'directReply',
+  DIRECT_VISION_REPLY: 'directVisionReply',
+  GENERAL: 'general'
+};
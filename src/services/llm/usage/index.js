@@ -0,0 +1,17 @@
+export {
+  UsageChannel,
+  createInteraction,
+  runWithInteraction,
+  getCurrentInteraction,
+  getInteractionUsage,
+  addPromptToInteraction,
+  getInteractionPrompts
+} from './interaction.js';
+export { estimateCost, estimateImageTokens, loadPricing } from './pricing.js';
+export {
+  BudgetAction,
+  getBudgetConfig,
+  getBudgetStatus,
+  getUsageReport,
+  recordUsage
+} from './tracker.js';
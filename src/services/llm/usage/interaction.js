@@ -0,0 +1,106 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { addToTotals, emptyTotals } from './totals.js';
+
+export const UsageChannel = {
+  EMAIL: 'email',
+  REVIEW: 'review',
+  CHAT: 'chat',
+  DIRECT: 'direct',
+  SYSTEM: 'system'
+};
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Start usage counters for one customer interaction
+ * @param {Object} params Interaction parameters
+ * @param {string} params.channel Channel from UsageChannel
+ * @param {string} params.interactionId Email message ID, chat conversation ID or request ID
+ * @param {string} [params.assignmentKey] Key prompt experiments assign variants by,
+ *   defaults to the interaction ID; email uses the Gmail thread ID so every
+ *   message of a thread gets the same wording
+ * @returns {Object} Interaction usage, updated as model calls are recorded
+ */
+export function createInteraction({ channel, interactionId, assignmentKey = interactionId }) {
+  return {
+    channel,
+    interactionId,
+    assignmentKey,
+    startedAt: new Date().toISOString(),
+    totals: emptyTotals(),
+    byTask: {},
+    models: [],
+    prompts: {}
+  };
+}
+
+/**
+ * Run a function with every model call inside it counted against an
+ * interaction. Pass the same interaction again to keep adding to it, as a
+ * chat does across messages.
+ * @param {Object} interaction Interaction from createInteraction, or its channel and ID
+ * @param {Function} fn Work to run
+ * @returns {Promise<*>} Result of fn
+ */
+export function runWithInteraction(interaction, fn) {
+  const current = interaction.totals ? interaction : createInteraction(interaction);
+  return storage.run(current, fn);
+}
+
+/**
+ * Interaction the current call chain belongs to
+ * @returns {Object|null} Interaction usage, or null outside any interaction
+ */
+export function getCurrentInteraction() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Count one recorded model call against an interaction
+ * @param {Object} interaction Interaction usage
+ * @param {import('./totals.js').UsageRecord} record Recorded call
+ */
+export function addToInteraction(interaction, record) {
+  addToTotals(interaction.totals, record);
+  interaction.byTask[record.task] = addToTotals(interaction.byTask[record.task] || emptyTotals(), record);
+  if (!interaction.models.includes(record.model)) {
+    interaction.models.push(record.model);
+  }
+}
+
+/**
+ * Note which prompt version an interaction was given
+ * @param {Object} interaction Interaction usage
+ * @param {{id: string, version: number, experiment: string|null}} prompt Rendered prompt
+ */
+export function addPromptToInteraction(interaction, { id, version, experiment }) {
+  interaction.prompts[id] = { version, experiment };
+}
+
+/**
+ * Prompt versions used so far in an interaction
+ * @param {Object} [interaction] Interaction usage, defaults to the current one
+ * @returns {Object<string, {version: number, experiment: string|null}>} Versions by prompt ID
+ */
+export function getInteractionPrompts(interaction = getCurrentInteraction()) {
+  return Object.fromEntries(Object.entries(interaction?.prompts || {}).map(([id, prompt]) => [id, { ...prompt }]));
+}
+
+/**
+ * Snapshot of an interaction's usage for logs and CRM metadata
+ * @param {Object} [interaction] Interaction usage, defaults to the current one
+ * @returns {Object|null} Usage summary, or null outside any interaction
+ */
+export function getInteractionUsage(interaction = getCurrentInteraction()) {
+  if (!interaction) {
+    return null;
+  }
+
+  return {
+    channel: interaction.channel,
+    interactionId: interaction.interactionId,
+    ...interaction.totals,
+    byTask: Object.fromEntries(Object.entries(interaction.byTask).map(([task, totals]) => [task, { ...totals }])),
+    models: [...interaction.models]
+  };
+}
@@ -0,0 +1,121 @@
+import { readFileSync } from 'fs';
+import { logger } from '../../../utils/logger.js';
+
+const DEFAULT_PRICING_PATH = new URL('./pricing.json', import.meta.url);
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+let cachedPricing = null;
+const unpricedModels = new Set();
+
+/**
+ * Load and validate the model price table
+ * @param {string|URL} [path] Pricing file path, defaults to LLM_PRICING_PATH or the bundled prices
+ * @returns {Object} Validated pricing
+ */
+export function loadPricing(path = process.env.LLM_PRICING_PATH || DEFAULT_PRICING_PATH) {
+  const pricing = JSON.parse(readFileSync(path, 'utf8'));
+  validatePricing(pricing);
+
+  logger.info('LLM pricing loaded', {
+    version: pricing.version,
+    providers: Object.keys(pricing.providers)
+  });
+
+  return pricing;
+}
+
+function getPricing() {
+  if (!cachedPricing) {
+    cachedPricing = loadPricing();
+  }
+  return cachedPricing;
+}
+
+/**
+ * Estimated cost of one completion
+ * @param {string} provider Provider name
+ * @param {string} model Model that answered
+ * @param {{promptTokens: number, completionTokens: number}} tokens Token counts
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+export function estimateCost(provider, model, { promptTokens, completionTokens }) {
+  const price = findPrice(getPricing().providers[provider], model);
+
+  if (!price) {
+    // Once per model is enough to notice a missing price without flooding the logs
+    const key = `${provider}/${model}`;
+    if (!unpricedModels.has(key)) {
+      unpricedModels.add(key);
+      logger.warn('No price configured for LLM model, cost not estimated', { provider, model });
+    }
+    return null;
+  }
+
+  return roundUsd((promptTokens * price.input + completionTokens * price.output) / TOKENS_PER_PRICE_UNIT);
+}
+
+/**
+ * Estimate the prompt tokens spent on image parts. OpenAI does not report them
+ * separately; low-detail images have a fixed cost and other images are counted
+ * at the size of a typical 1024px photo.
+ * @param {Array<Object>} messages Chat messages in OpenAI format
+ * @returns {number} Estimated image tokens
+ */
+export function estimateImageTokens(messages = []) {
+  const { imageTokens } = getPricing();
+
+  return messages
+    .filter(message => Array.isArray(message.content))
+    .flatMap(message => message.content)
+    .filter(part => part?.type === 'image_url')
+    .reduce((total, part) => total + (part.image_url?.detail === 'low' ? imageTokens.low : imageTokens.high), 0);
+}
+
+/**
+ * Round a USD amount to a millionth of a dollar
+ * @param {number} amount Amount in USD
+ * @returns {number} Rounded amount
+ */
+export function roundUsd(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+// Longest prefix wins so gpt-4o-mini-2024-07-18 is not priced as gpt-4o
+function findPrice(models, model) {
+  if (!models) {
+    return null;
+  }
+
+  const match = Object.keys(models)
+    .filter(name => name !== '*' && model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return models[match] || models['*'] || null;
+}
+
+function validatePricing(pricing) {
+  if (!pricing || typeof pricing.providers !== 'object') {
+    throw new Error('LLM pricing must have a providers object');
+  }
+  if (!Number.isFinite(pricing.imageTokens?.low) || !Number.isFinite(pricing.imageTokens?.high)) {
+    throw new Error('LLM pricing must set imageTokens.low and imageTokens.high');
+  }
+
+  for (const [provider, models] of Object.entries(pricing.providers)) {
+    for (const [model, price] of Object.entries(models)) {
+      if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+        throw new Error(`LLM price for ${provider}/${model} needs numeric input and output`);
+      }
+    }
+  }
+}
+
+/**
+ * Convert a USD amount to whole millionths of a dollar, for integer
+ * counters and metrics
+ * @param {number|null} amount Amount in USD
+ * @returns {number} Micro-dollars
+ */
+export function toMicroUsd(amount) {
+  return Math.round((amount || 0) * 1e6);
+}
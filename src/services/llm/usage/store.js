@@ -0,0 +1,147 @@
+import { FieldValue, Timestamp } from '@google-cloud/firestore';
+import { getCollection, getFirestore } from '../../../utils/firestore.js';
+import { StateBackend, getStateBackend, getStateStore } from '../../../utils/stateStore.js';
+import { toMicroUsd } from './pricing.js';
+import { addToBucket } from './totals.js';
+
+// Enough daily history for month-over-month comparisons
+const DAYS_KEPT = 62;
+const MONTHS_KEPT = 13;
+const DAY = 24 * 60 * 60 * 1000;
+const BREAKDOWNS = ['byTask', 'byChannel', 'byModel'];
+
+let usageStore = null;
+
+/**
+ * Usage totals in Firestore, one document per UTC day and month. Every
+ * instance adds to the same counters with atomic increments, so budgets
+ * hold across instances and deploys without transactions contending on a
+ * busy day. Costs are counted in micro-dollars to stay exact. Enable a TTL
+ * policy on expireAt to drop old periods.
+ */
+export class FirestoreUsageStore {
+  constructor(collection = 'llm-usage') {
+    this.collection = getCollection(collection);
+  }
+
+  async add(record, { day, month }) {
+    const counters = bucketIncrements(record);
+    const batch = getFirestore().batch();
+    const now = Date.now();
+
+    batch.set(this.collection.doc(`day-${day}`), {
+      ...counters,
+      expireAt: Timestamp.fromMillis(now + DAYS_KEPT * DAY)
+    }, { merge: true });
+    batch.set(this.collection.doc(`month-${month}`), {
+      ...counters,
+      expireAt: Timestamp.fromMillis(now + MONTHS_KEPT * 31 * DAY)
+    }, { merge: true });
+
+    await batch.commit();
+  }
+
+  async getDays(days) {
+    if (days.length === 0) {
+      return {};
+    }
+
+    const snapshots = await getFirestore().getAll(...days.map(day => this.collection.doc(`day-${day}`)));
+    return Object.fromEntries(snapshots
+      .map((snapshot, index) => [days[index], snapshot.exists ? fromStored(snapshot.data()) : null])
+      .filter(([, bucket]) => bucket));
+  }
+
+  async getMonth(month) {
+    const snapshot = await this.collection.doc(`month-${month}`).get();
+    return snapshot.exists ? fromStored(snapshot.data()) : null;
+  }
+}
+
+/**
+ * Usage totals in a state file under STATE_DIR, for local runs. Only the
+ * process that owns the file counts against them.
+ */
+export class FileUsageStore {
+  constructor(name = 'llm-usage') {
+    this.store = getStateStore(name);
+  }
+
+  async add(record, { day, month }) {
+    await this.store.update(state => {
+      const days = { ...state.days, [day]: addToBucket(state.days?.[day], record) };
+      const months = { ...state.months, [month]: addToBucket(state.months?.[month], record) };
+      return { days: keepLatest(days, DAYS_KEPT), months: keepLatest(months, MONTHS_KEPT) };
+    });
+  }
+
+  async getDays(days) {
+    const state = await this.store.read();
+    return Object.fromEntries(days.filter(day => state.days?.[day]).map(day => [day, state.days[day]]));
+  }
+
+  async getMonth(month) {
+    const state = await this.store.read();
+    return state.months?.[month] || null;
+  }
+}
+
+/**
+ * Get the usage store for the configured state backend
+ * @returns {FirestoreUsageStore|FileUsageStore} Usage store
+ */
+export function getUsageStore() {
+  if (!usageStore) {
+    usageStore = getStateBackend() === StateBackend.FIRESTORE
+      ? new FirestoreUsageStore()
+      : new FileUsageStore();
+  }
+  return usageStore;
+}
+
+/**
+ * Replace the active usage store (tests and custom wiring)
+ * @param {Object} store Usage store
+ */
+export function setUsageStore(store) {
+  usageStore = store;
+}
+
+function totalsIncrements(record) {
+  return {
+    calls: FieldValue.increment(1),
+    promptTokens: FieldValue.increment(record.promptTokens),
+    completionTokens: FieldValue.increment(record.completionTokens),
+    imageTokens: FieldValue.increment(record.imageTokens),
+    costMicroUsd: FieldValue.increment(toMicroUsd(record.costUsd))
+  };
+}
+
+// Nested maps rather than dotted paths, so model names like gpt-4.1 stay one key
+function bucketIncrements(record) {
+  return {
+    ...totalsIncrements(record),
+    byTask: { [record.task]: totalsIncrements(record) },
+    byChannel: { [record.channel]: totalsIncrements(record) },
+    byModel: { [record.model]: totalsIncrements(record) }
+  };
+}
+
+function fromStoredTotals({ calls = 0, promptTokens = 0, completionTokens = 0, imageTokens = 0, costMicroUsd = 0 }) {
+  return { calls, promptTokens, completionTokens, imageTokens, costUsd: costMicroUsd / 1e6 };
+}
+
+function fromStored(data) {
+  const bucket = fromStoredTotals(data);
+  for (const breakdown of BREAKDOWNS) {
+    bucket[breakdown] = Object.fromEntries(
+      Object.entries(data[breakdown] || {}).map(([key, totals]) => [key, fromStoredTotals(totals)])
+    );
+  }
+  return bucket;
+}
+
+// ISO date keys sort chronologically
+function keepLatest(buckets, count) {
+  return Object.fromEntries(Object.entries(buckets).sort(([a], [b]) => a.localeCompare(b)).slice(-count));
+}
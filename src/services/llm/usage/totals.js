@@ -0,0 +1,55 @@
+import { roundUsd } from './pricing.js';
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} task Task name from LlmTask
+ * @property {string} provider Provider name
+ * @property {string} model Model that answered
+ * @property {string} channel Channel from UsageChannel
+ * @property {string|null} interactionId Email message ID, chat conversation ID or request ID
+ * @property {number} promptTokens Prompt tokens, images included
+ * @property {number} completionTokens Completion tokens
+ * @property {number} imageTokens Estimated share of the prompt tokens spent on images
+ * @property {number|null} costUsd Estimated cost, null when the model has no price
+ */
+
+/**
+ * Empty token and cost counters
+ * @returns {Object} Counters
+ */
+export function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, imageTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Add one call to a set of counters in place
+ * @param {Object} totals Counters from emptyTotals
+ * @param {UsageRecord} record Recorded call
+ * @returns {Object} The same counters
+ */
+export function addToTotals(totals, record) {
+  totals.calls += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.imageTokens += record.imageTokens;
+  totals.costUsd = roundUsd(totals.costUsd + (record.costUsd || 0));
+  return totals;
+}
+
+/**
+ * Add one call to a usage bucket, which keeps overall counters plus
+ * breakdowns by task, channel and model
+ * @param {Object} [bucket] Existing bucket
+ * @param {UsageRecord} record Recorded call
+ * @returns {Object} Updated bucket
+ */
+export function addToBucket(bucket, record) {
+  const next = bucket || { ...emptyTotals(), byTask: {}, byChannel: {}, byModel: {} };
+
+  addToTotals(next, record);
+  next.byTask[record.task] = addToTotals(next.byTask[record.task] || emptyTotals(), record);
+  next.byChannel[record.channel] = addToTotals(next.byChannel[record.channel] || emptyTotals(), record);
+  next.byModel[record.model] = addToTotals(next.byModel[record.model] || emptyTotals(), record);
+
+  return next;
+}
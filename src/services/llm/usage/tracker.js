@@ -0,0 +1,166 @@
+import { logger } from '../../../utils/logger.js';
+import { recordMetric } from '../../../utils/monitoring.js';
+import { UsageChannel, addToInteraction, getCurrentInteraction } from './interaction.js';
+import { estimateCost, estimateImageTokens, roundUsd, toMicroUsd } from './pricing.js';
+import { getUsageStore } from './store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const BudgetAction = {
+  DOWNGRADE: 'downgrade',
+  PAUSE: 'pause'
+};
+
+/**
+ * Read the spend budgets from the environment. Budgets are in USD over UTC
+ * days and months; an unset budget is unlimited.
+ * @returns {{dailyUsd: number|null, monthlyUsd: number|null, downgrade: boolean, pauseAutoSend: boolean}}
+ *   Budget config
+ */
+export function getBudgetConfig() {
+  const actions = (process.env.LLM_BUDGET_ACTIONS || `${BudgetAction.DOWNGRADE},${BudgetAction.PAUSE}`)
+    .split(',')
+    .map(action => action.trim().toLowerCase());
+
+  return {
+    dailyUsd: parseBudget(process.env.LLM_DAILY_BUDGET_USD),
+    monthlyUsd: parseBudget(process.env.LLM_MONTHLY_BUDGET_USD),
+    downgrade: actions.includes(BudgetAction.DOWNGRADE),
+    pauseAutoSend: actions.includes(BudgetAction.PAUSE)
+  };
+}
+
+/**
+ * Record the tokens and estimated cost of one completion against the current
+ * interaction and the daily and monthly totals. Accounting failures are
+ * logged, never thrown, so they cannot cost a customer their reply.
+ * @param {Object} params Call details
+ * @param {string} params.task Task name from LlmTask
+ * @param {Array<Object>} params.messages Messages that were sent
+ * @param {import('../types.js').LlmResult} params.result Completion result
+ * @param {Date} [params.now] Time of the call, which picks the day and month
+ * @returns {Promise<import('./totals.js').UsageRecord|null>} Recorded call
+ */
+export async function recordUsage({ task, messages, result, now = new Date() }) {
+  try {
+    const interaction = getCurrentInteraction();
+    const promptTokens = result.usage?.promptTokens || 0;
+    const completionTokens = result.usage?.completionTokens || 0;
+
+    const record = {
+      task,
+      provider: result.provider,
+      model: result.model,
+      channel: interaction?.channel || UsageChannel.SYSTEM,
+      interactionId: interaction?.interactionId || null,
+      promptTokens,
+      completionTokens,
+      imageTokens: Math.min(estimateImageTokens(messages), promptTokens),
+      costUsd: estimateCost(result.provider, result.model, { promptTokens, completionTokens })
+    };
+
+    if (interaction) {
+      addToInteraction(interaction, record);
+    }
+
+    await getUsageStore().add(record, { day: dayKey(now), month: monthKey(now) });
+
+    logger.info('LLM usage recorded', record);
+    recordMetric('llm_tokens', promptTokens + completionTokens);
+    if (record.costUsd) {
+      // Metrics are int64, so cost goes out in millionths of a dollar
+      recordMetric('llm_cost_micro_usd', toMicroUsd(record.costUsd));
+    }
+
+    return record;
+  } catch (error) {
+    logger.error('Error recording LLM usage:', {
+      error: error.message,
+      stack: error.stack,
+      task,
+      model: result?.model
+    });
+    return null;
+  }
+}
+
+/**
+ * Compare today's and this month's spend with the budgets
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Daily and monthly spend and limits, whether any
+ *   budget is exceeded, and whether models should be downgraded and
+ *   automatic sending paused
+ */
+export async function getBudgetStatus(now = new Date()) {
+  const config = getBudgetConfig();
+  const unlimited = config.dailyUsd === null && config.monthlyUsd === null;
+  const store = getUsageStore();
+  const [days, month] = unlimited
+    ? [{}, null]
+    : await Promise.all([store.getDays([dayKey(now)]), store.getMonth(monthKey(now))]);
+
+  const daily = budgetLine(days[dayKey(now)], config.dailyUsd);
+  const monthly = budgetLine(month, config.monthlyUsd);
+  const exceeded = daily.exceeded || monthly.exceeded;
+
+  return {
+    daily,
+    monthly,
+    exceeded,
+    downgradeModels: exceeded && config.downgrade,
+    pauseAutoSend: exceeded && config.pauseAutoSend
+  };
+}
+
+/**
+ * Usage totals for the API
+ * @param {Object} [options] Report options
+ * @param {number} [options.days] Days of history to include, counted back from today
+ * @param {Date} [options.now] Current time
+ * @returns {Promise<Object>} Today's and this month's usage, daily history and budget status
+ */
+export async function getUsageReport({ days = 7, now = new Date() } = {}) {
+  const store = getUsageStore();
+  // Newest first; days without any calls are left out
+  const dates = Array.from({ length: days }, (_, index) => dayKey(new Date(now.getTime() - index * DAY)));
+  const [buckets, month] = await Promise.all([store.getDays(dates), store.getMonth(monthKey(now))]);
+
+  return {
+    generatedAt: now.toISOString(),
+    today: buckets[dayKey(now)] || null,
+    month,
+    days: dates.filter(date => buckets[date]).map(date => ({ date, ...buckets[date] })),
+    budget: await getBudgetStatus(now)
+  };
+}
+
+function budgetLine(bucket, limitUsd) {
+  const spentUsd = bucket?.costUsd || 0;
+  return {
+    limitUsd,
+    spentUsd,
+    remainingUsd: limitUsd === null ? null : roundUsd(Math.max(limitUsd - spentUsd, 0)),
+    exceeded: limitUsd !== null && spentUsd >= limitUsd
+  };
+}
+
+function parseBudget(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const budget = Number(value);
+  if (!Number.isFinite(budget) || budget < 0) {
+    logger.warn('Ignoring invalid LLM budget', { value });
+    return null;
+  }
+  return budget;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
@@ -1,11 +1,9 @@
 import { logger } from '../../utils/logger.js';
 import { recordMetric } from '../../utils/monitoring.js';
-import { classificationPrompts } from './classificationPrompts.js';
-import { getOpenAIClient } from './client.js';
-import { parseOpenAIResponse } from './utils/responseParser.js';
-
-// CRITICAL: DO NOT CHANGE THIS MODEL CONFIGURATION
-const MODEL = 'gpt-4o-mini';
+import { LlmTask, completeStructured } from '../llm/index.js';
+import { PromptId, renderPrompt } from '../prompts/index.js';
+import { CLASSIFICATION_DEFAULTS, ClassificationSchema } from './schemas.js';
+import { formatThreadForPrompt } from './response/formatter.js';
 
 export async function classifyEmail(
   emailContent,
@@ -23,38 +21,23 @@ export async function classifyEmail(
       contentLength: emailContent?.length
     });
 
-    const openai = await getOpenAIClient();
-    
     // Format thread context if available
     const threadContext = threadMessages ? formatThreadForPrompt(threadMessages) : '';
     const fullContext = threadContext 
       ? `Previous messages in thread:\n\n${threadContext}\n\nLatest message:\n${emailContent}`
       : emailContent;
 
-    // Initial classification without function calling
-    const classificationResponse = await openai.chat.completions.create({
-      model: MODEL,
+    // Output is constrained to the classification schema and validated
+    const { data, valid, repaired } = await completeStructured(LlmTask.CLASSIFICATION, {
+      schema: ClassificationSchema,
+      schemaName: 'email_classification',
+      defaults: CLASSIFICATION_DEFAULTS,
       messages: [
         {
           role: "system",
-          content: `${classificationPrompts.base(companyKnowledge)}
-          
-          IMPORTANT: Respond with a plain JSON object only, no markdown formatting.
-          The response should be a raw JSON object containing:
-          {
-            "intent": "APPRAISAL_LEAD" | "STATUS_INQUIRY" | "TECHNICAL_SUPPORT" | "GENERAL_INQUIRY" | "PAYMENT_ISSUE" | "FEEDBACK",
-            "urgency": "high" | "medium" | "low",
-            "requiresReply": boolean,
-            "reason": string,
-            "suggestedResponseType": "detailed" | "brief" | "confirmation"
-          }
-
-          CRITICAL: When images are present and they show art or antique items:
-          - Always classify as "APPRAISAL_LEAD"
-          - Set urgency based on email content and context
-          - Always set requiresReply to true
-          - Set suggestedResponseType to "detailed"
-          - Include in reason whether it appears to be a preliminary inquiry or related to an existing appraisal`
+          content: renderPrompt(PromptId.EMAIL_CLASSIFICATION, {
+            companyKnowledge: JSON.stringify(companyKnowledge)
+          }).text
         },
         {
           role: "user",
@@ -62,13 +45,10 @@ export async function classifyEmail(
             imageAttachments ? '\n\nThe email includes ' + imageAttachments.length + ' image(s) of items.' : ''
           }`
         }
-      ],
-      temperature: 0.3,
-      max_tokens: 500
+      ]
     });
 
-    // Parse response using the utility
-    const classification = parseOpenAIResponse(classificationResponse.choices[0].message.content);
+    const classification = { ...data };
 
     // Force APPRAISAL_LEAD for messages with images of items
     if (imageAttachments && imageAttachments.length > 0) {
@@ -85,8 +65,11 @@ export async function classifyEmail(
     logger.info('Email classification completed', {
       intent: classification.intent,
       urgency: classification.urgency,
+      sentiment: classification.sentiment,
       requiresReply: classification.requiresReply,
-      hasImages: !!imageAttachments?.length
+      hasImages: !!imageAttachments?.length,
+      valid,
+      repaired
     });
 
     return {
@@ -109,27 +92,10 @@ export async function classifyEmail(
     // Return safe default classification on error
     return {
       classification: {
-        intent: "GENERAL_INQUIRY",
-        urgency: "medium",
-        requiresReply: true,
-        reason: "Error during classification, defaulting to safe values",
-        suggestedResponseType: "detailed"
+        ...CLASSIFICATION_DEFAULTS,
+        reason: "Error during classification, defaulting to safe values"
       },
       requiresReply: true
     };
   }
 }
-
-function formatThreadForPrompt(threadMessages) {
-  if (!threadMessages || threadMessages.length === 0) {
-    return '';
-  }
-
-  return threadMessages
-    .map(msg => {
-      const role = msg.isIncoming ? 'Customer' : 'Appraisily';
-      const date = new Date(msg.date).toLocaleString();
-      return `[${date}] ${role}:\n${msg.content.trim()}\n`;
-    })
-    .join('\n---\n\n');
-}
\ No newline at end of file
@@ -1,8 +1,8 @@
-import OpenAI from 'openai';
 import { logger } from '../../utils/logger.js';
-import { getSecrets } from '../../utils/secretManager.js';
+import { LlmTask, complete } from '../llm/index.js';
 
-let openaiClient = null;
+// The SDK client now lives with the OpenAI provider; kept here for existing imports
+export { getOpenAIClient } from '../llm/index.js';
 
 /**
  * Format image data for OpenAI API
@@ -19,47 +19,16 @@ function formatImageData(mimeType, data) {
   };
 }
 
-/**
- * Get or initialize OpenAI client
- * @returns {Promise<OpenAI>} OpenAI client instance
- */
-export async function getOpenAIClient() {
-  try {
-    if (openaiClient) {
-      return openaiClient;
-    }
-
-    const secrets = await getSecrets();
-    if (!secrets.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not found in Secret Manager');
-    }
-
-    openaiClient = new OpenAI({
-      apiKey: secrets.OPENAI_API_KEY
-    });
-
-    logger.info('OpenAI client initialized successfully');
-    return openaiClient;
-  } catch (error) {
-    logger.error('Failed to initialize OpenAI client:', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
-  }
-}
-
 /**
  * Create chat completion with optional image input
  * @param {Object} params Chat completion parameters
  * @param {Array} params.messages Message array
  * @param {Array} [params.images] Optional array of image data
- * @param {Object} [params.options] Additional OpenAI API options
- * @returns {Promise<Object>} Chat completion response
+ * @param {Object} [params.options] Overrides for the general task (temperature, maxTokens)
+ * @returns {Promise<Object>} Completion result from the LLM gateway
  */
 export async function createChatCompletion({ messages, images = [], options = {} }) {
   try {
-    const openai = await getOpenAIClient();
 
     // If there are images, format the messages array to include them
     const formattedMessages = messages.map(msg => {
@@ -80,20 +49,17 @@ export async function createChatCompletion({ messages, images = [], options = {}
 
     logger.debug('Creating chat completion', {
       messageCount: messages.length,
-      hasImages: images.length > 0,
-      model: options.model || 'gpt-4o'
+      hasImages: images.length > 0
     });
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const completion = await complete(LlmTask.GENERAL, {
       messages: formattedMessages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.max_tokens || 500,
-      ...options
+      temperature: options.temperature,
+      maxTokens: options.maxTokens
     });
 
     logger.debug('Chat completion received', {
-      choiceCount: completion.choices.length,
+      model: completion.model,
       usage: completion.usage
     });
 
@@ -112,8 +78,8 @@ export async function createChatCompletion({ messages, images = [], options = {}
  * Create chat completion specifically for image analysis
  * @param {Array} images Array of image data objects
  * @param {string} prompt Analysis prompt
- * @param {Object} [options] Additional OpenAI API options
- * @returns {Promise<Object>} Analysis response
+ * @param {Object} [options] Overrides for the general task (temperature, maxTokens)
+ * @returns {Promise<string>} Analysis text
  */
 export async function analyzeImages(images, prompt, options = {}) {
   try {
@@ -135,12 +101,12 @@ export async function analyzeImages(images, prompt, options = {}) {
       images,
       options: {
         temperature: 0.5,
-        max_tokens: 1000,
+        maxTokens: 1000,
         ...options
       }
     });
 
-    return completion.choices[0].message.content;
+    return completion.content;
   } catch (error) {
     logger.error('Error analyzing images:', {
       error: error.message,
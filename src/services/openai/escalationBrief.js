@@ -0,0 +1,67 @@
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { LlmTask, complete } from '../llm/index.js';
+import { PromptId, renderPrompt } from '../prompts/index.js';
+import { formatThreadForPrompt } from './response/formatter.js';
+
+const MAX_THREAD_CHARS = 6000;
+
+/**
+ * Write a short brief for staff on what an escalated customer needs
+ * @param {Object} params Brief parameters
+ * @param {string} params.emailContent Latest customer message
+ * @param {string} [params.subject] Email subject
+ * @param {string} [params.from] Sender
+ * @param {Object} [params.classification] Classification result
+ * @param {Array<Object>} [params.threadMessages] Earlier thread messages
+ * @param {string} [params.translation] English translation of a non-English message
+ * @param {string} [params.reason] Why the email was escalated
+ * @returns {Promise<string>} Brief; falls back to the classifier's reason if the model call fails
+ */
+export async function generateEscalationBrief({
+  emailContent,
+  subject = '',
+  from = '',
+  classification = null,
+  threadMessages = null,
+  translation = null,
+  reason = ''
+}) {
+  // Most recent history matters most; keep the end of the thread within budget
+  const thread = formatThreadForPrompt(threadMessages).slice(-MAX_THREAD_CHARS);
+
+  try {
+    const completion = await complete(LlmTask.ESCALATION_BRIEF, {
+      messages: [
+        {
+          role: "system",
+          content: renderPrompt(PromptId.EMAIL_ESCALATION_BRIEF).text
+        },
+        {
+          role: "user",
+          content: [
+            `From: ${from}`,
+            `Subject: ${subject}`,
+            `Escalation reason: ${reason}`,
+            `Classification: ${classification?.intent || 'UNKNOWN'}, urgency ${classification?.urgency || 'unknown'}, sentiment ${classification?.sentiment || 'unknown'}`,
+            thread ? `\nEarlier messages:\n${thread}` : '',
+            `\nLatest message:\n${emailContent || ''}`,
+            translation ? `\nEnglish translation of the latest message:\n${translation}` : ''
+          ].join('\n')
+        }
+      ]
+    });
+
+    recordMetric('escalation_briefs', 1);
+    return completion.content.trim();
+  } catch (error) {
+    logger.error('Error generating escalation brief, using classification reason:', {
+      error: error.message,
+      stack: error.stack,
+      subject
+    });
+    recordMetric('escalation_brief_failures', 1);
+
+    return `- ${classification?.reason || 'The customer needs help from staff.'}\n- Escalation reason: ${reason}`;
+  }
+}
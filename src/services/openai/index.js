@@ -3,21 +3,26 @@ import { generateResponse } from './response/generator.js';
 import { logger } from '../../utils/logger.js';
 import { getSecrets } from '../../utils/secretManager.js';
 import { companyKnowledge } from '../../data/companyKnowledge.js';
-import { dataHubClient } from '../dataHub/client.js';
+import { condenseThread } from './threadContext.js';
+import { formatDocumentExcerpts } from './response/formatter.js';
 
-export async function classifyAndProcessEmail(emailContent, senderEmail, threadMessages = null, imageAttachments = null) {
+export { generateEscalationBrief } from './escalationBrief.js';
+
+export async function classifyAndProcessEmail(emailContent, senderEmail, threadMessages = null, imageAttachments = null, threadId = null, documents = null, language = null) {
   try {
-    // Get API info for classification
-    const apiInfo = await dataHubClient.fetchEndpoints();
+    // Text from attached PDFs and Word files travels with the customer's message
+    const messageContent = withDocuments(emailContent, documents);
+
+    // Keep long threads within budget: older messages summarized, recent ones verbatim
+    const threadContext = await condenseThread(threadMessages, { threadId });
 
     // First classify the email
     const { classification, customerData, requiresReply } = await classifyEmail(
-      emailContent,
+      messageContent,
       senderEmail,
-      threadMessages,
+      threadContext,
       imageAttachments,
-      companyKnowledge,
-      apiInfo
+      companyKnowledge
     );
 
     if (!requiresReply) {
@@ -32,12 +37,14 @@ export async function classifyAndProcessEmail(emailContent, senderEmail, threadM
 
     // Generate response if needed
     const { generatedReply, imageAnalysis } = await generateResponse(
-      emailContent,
+      messageContent,
       classification,
       customerData,
-      threadMessages,
+      threadContext,
       imageAttachments,
-      companyKnowledge
+      companyKnowledge,
+      { email: senderEmail },
+      { language }
     );
 
     return {
@@ -56,9 +63,69 @@ export async function classifyAndProcessEmail(emailContent, senderEmail, threadM
       context: {
         hasThread: !!threadMessages,
         senderEmail,
-        hasImages: !!imageAttachments
+        hasImages: !!imageAttachments,
+        documentCount: documents?.length || 0
       }
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+/**
+ * Generate a new reply for an email that was already classified, following
+ * reviewer instructions (draft review flow)
+ * @param {Object} params Regeneration parameters
+ * @param {string} params.emailContent Latest customer message
+ * @param {Object} params.classification Stored classification
+ * @param {Object} params.customerData Stored customer data
+ * @param {Array<Object>} [params.threadMessages] Earlier thread messages
+ * @param {Array<Object>} [params.imageAttachments] Image attachments
+ * @param {string} [params.threadId] Gmail thread ID
+ * @param {Array<Object>} [params.documents] Extracted document attachments
+ * @param {Object} [params.language] Customer's language from detectLanguage
+ * @param {string} [params.senderEmail] Customer's email address, for DataHub lookups
+ * @param {string} params.instructions Reviewer instructions
+ * @param {string} [params.previousDraft] Draft being replaced
+ * @returns {Promise<string>} Regenerated reply
+ */
+export async function regenerateReply({
+  emailContent,
+  classification,
+  customerData,
+  threadMessages = null,
+  imageAttachments = null,
+  threadId = null,
+  documents = null,
+  language = null,
+  senderEmail = null,
+  instructions,
+  previousDraft = null
+}) {
+  try {
+    const threadContext = await condenseThread(threadMessages, { threadId });
+
+    const { generatedReply } = await generateResponse(
+      withDocuments(emailContent, documents),
+      classification,
+      customerData,
+      threadContext,
+      imageAttachments,
+      companyKnowledge,
+      senderEmail ? { email: senderEmail } : null,
+      { reviewerInstructions: instructions, previousDraft, language }
+    );
+
+    return generatedReply;
+  } catch (error) {
+    logger.error('Error regenerating reply:', {
+      error: error.message,
+      stack: error.stack,
+      threadId
+    });
+    throw error;
+  }
+}
+
+function withDocuments(emailContent, documents) {
+  const excerpts = formatDocumentExcerpts(documents);
+  return excerpts ? `${emailContent || ''}\n\n${excerpts}` : emailContent;
+}
@@ -0,0 +1,127 @@
+import { logger } from '../../../utils/logger.js';
+import { recordMetric } from '../../../utils/monitoring.js';
+import { getAvailableEndpoints, queryDataHub } from './datahub.js';
+
+export const DATAHUB_TOOL_NAME = 'queryDataHub';
+
+// Keeps a large record list from crowding the rest of the conversation out
+const MAX_RESULT_CHARS = 8000;
+
+export const dataHubTool = {
+  type: 'function',
+  function: {
+    name: DATAHUB_TOOL_NAME,
+    description: 'Query a DataHub API endpoint for the customer\'s appraisals and sales. Call it several times (or in parallel) when more than one record type is relevant.',
+    parameters: {
+      type: 'object',
+      properties: {
+        endpoint: {
+          type: 'string',
+          description: 'The endpoint path to query (e.g., /api/appraisals/pending, /api/appraisals/completed, /api/sales)'
+        },
+        method: {
+          type: 'string',
+          enum: ['GET'],
+          description: 'HTTP method to use'
+        },
+        params: {
+          type: 'object',
+          description: 'Query parameters',
+          properties: {
+            email: {
+              type: 'string',
+              description: 'Customer email address; lookups always use the sender\'s address'
+            }
+          }
+        }
+      },
+      required: ['endpoint', 'method']
+    }
+  }
+};
+
+/**
+ * Run one queryDataHub tool call. The email text is customer-controlled, so
+ * every lookup is made by the sender's own address: it replaces whatever
+ * email the model passed, other filters (session ID, WordPress slug) are
+ * refused, and only listed endpoints can be read. Failures are returned to
+ * the model as an error result rather than thrown, so it can tell the
+ * customer the records are unavailable instead of losing the whole reply.
+ * @param {import('../../llm/types.js').LlmToolCall} toolCall Tool call from the model
+ * @param {Object} options Call options
+ * @param {string} options.senderEmail Only this customer's records may be read
+ * @param {Array<Object>} [options.endpoints] Endpoints from getAvailableEndpoints,
+ *   fetched when not given
+ * @returns {Promise<Object>} Lookup with endpoint, params, data or error, and
+ *   the tool message content
+ */
+export async function runDataHubTool(toolCall, { senderEmail = null, endpoints = null } = {}) {
+  let args = {};
+
+  try {
+    if (toolCall.name !== DATAHUB_TOOL_NAME) {
+      throw new Error(`Unknown tool: ${toolCall.name}`);
+    }
+
+    args = JSON.parse(toolCall.arguments || '{}');
+
+    const available = endpoints || await getAvailableEndpoints();
+    if (!available.some(endpoint => endpoint.path === args.endpoint)) {
+      throw new Error(`Unknown DataHub endpoint: ${args.endpoint}`);
+    }
+    if ((args.method || 'GET').toUpperCase() !== 'GET') {
+      throw new Error('Only GET requests are allowed');
+    }
+    if (!senderEmail) {
+      throw new Error('DataHub lookups need the sender\'s email address');
+    }
+    const otherFilters = Object.keys(args.params || {}).filter(key => key !== 'email');
+    if (otherFilters.length > 0) {
+      throw new Error(`Lookups are limited to the sender's own email address (not ${otherFilters.join(', ')})`);
+    }
+    args.params = { email: senderEmail.trim() };
+
+    logger.info('DataHub query requested', {
+      toolCallId: toolCall.id,
+      endpoint: args.endpoint,
+      method: 'GET',
+      params: args.params,
+      timestamp: new Date().toISOString()
+    });
+
+    const data = await queryDataHub(args.endpoint, 'GET', args.params);
+    recordMetric('datahub_tool_calls', 1);
+
+    return {
+      endpoint: args.endpoint,
+      params: args.params,
+      data,
+      error: null,
+      content: truncateResult(JSON.stringify(data))
+    };
+  } catch (error) {
+    logger.error('Error querying DataHub:', {
+      error: error.message,
+      endpoint: args.endpoint,
+      toolCallId: toolCall.id,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+    recordMetric('datahub_tool_failures', 1);
+
+    return {
+      endpoint: args.endpoint || null,
+      params: args.params || null,
+      data: null,
+      error: error.message,
+      content: JSON.stringify({ error: `Lookup failed: ${error.message}` })
+    };
+  }
+}
+
+function truncateResult(content) {
+  if (content.length <= MAX_RESULT_CHARS) {
+    return content;
+  }
+  return `${content.slice(0, MAX_RESULT_CHARS)}... [truncated ${content.length - MAX_RESULT_CHARS} characters]`;
+}
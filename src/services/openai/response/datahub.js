@@ -1,5 +1,6 @@
 import { logger } from '../../../utils/logger.js';
 import { getSecrets } from '../../../utils/secretManager.js';
+import { getOfflineApiInfo, isDataHubOffline, queryOfflineDataHub } from '../../dataHub/offline.js';
 
 const DATA_HUB_API = 'https://data-hub-856401495068.us-central1.run.app';
 let apiKeyPromise = null;
@@ -25,6 +26,10 @@ async function getApiKey() {
 }
 
 export async function getAvailableEndpoints() {
+  if (isDataHubOffline()) {
+    return getOfflineApiInfo().endpoints;
+  }
+
   try {
     // Make unauthenticated request to fetch endpoints
     const response = await fetch(`${DATA_HUB_API}/api/endpoints`);
@@ -52,6 +57,10 @@ export async function getAvailableEndpoints() {
 }
 
 export async function queryDataHub(endpoint, method, params = null) {
+  if (isDataHubOffline()) {
+    return queryOfflineDataHub(endpoint, params);
+  }
+
   try {
     // Get API key first
     const apiKey = await getApiKey();
@@ -5,6 +5,10 @@ export function formatThreadForPrompt(threadMessages) {
 
   return threadMessages
     .map(msg => {
+      if (msg.isSummary) {
+        return `Summary of ${msg.messageCount} earlier message(s):\n${msg.content.trim()}\n`;
+      }
+
       const role = msg.isIncoming ? 'Customer' : 'Appraisily';
       const date = new Date(msg.date).toLocaleString();
       return `[${date}] ${role}:\n${msg.content.trim()}\n`;
@@ -19,4 +23,57 @@ export function formatImageAttachments(imageAttachments) {
       url: `data:${img.mimeType};base64,${img.buffer.toString('base64')}`
     }
   }));
-}
\ No newline at end of file
+}
+
+/**
+ * Render a structured image analysis as text for prompts, Sheets and the CRM
+ * @param {Object} analysis Result matching ImageAnalysisSchema
+ * @returns {string} Analysis text, empty when nothing was identified
+ */
+export function formatImageAnalysis(analysis) {
+  if (!analysis?.items?.length && !analysis?.overallAssessment) {
+    return '';
+  }
+
+  const items = analysis.items.map((item, index) => [
+    `Item ${index + 1}: ${item.description} (${item.category})`,
+    item.period && `- Period: ${item.period}`,
+    item.style && `- Style: ${item.style}`,
+    item.materials.length > 0 && `- Materials: ${item.materials.join(', ')}`,
+    `- Condition: ${item.condition}`,
+    item.notableFeatures.length > 0 && `- Notable features: ${item.notableFeatures.join('; ')}`,
+    item.markings && `- Marks or signatures: ${item.markings}`
+  ].filter(Boolean).join('\n'));
+
+  return [
+    ...items,
+    analysis.overallAssessment && `Assessment: ${analysis.overallAssessment}`,
+    analysis.valueFactors.length > 0 && `Factors affecting value: ${analysis.valueFactors.join('; ')}`,
+    `Formal appraisal recommended: ${analysis.appraisalRecommended ? 'yes' : 'no'}`
+  ].filter(Boolean).join('\n\n');
+}
+
+export function formatDocumentExcerpts(documents) {
+  if (!documents?.length) {
+    return '';
+  }
+
+  const sections = documents.map(doc => {
+    const pages = doc.pageCount ? `, ${doc.pageCount} page(s)` : '';
+    if (!doc.excerpt && doc.scanned) {
+      return doc.images.length
+        ? `[${doc.filename}${pages}] Scanned document; its first pages are included with the images.`
+        : `[${doc.filename}${pages}] Scanned document; its pages were left out because the email's image limit was reached.`;
+    }
+    if (!doc.excerpt) {
+      // An empty excerpt of a document with text means the email's text budget ran out
+      return doc.truncated
+        ? `[${doc.filename}${pages}] Text left out; the document text limit for this email was reached.`
+        : `[${doc.filename}${pages}] No readable text.`;
+    }
+    const note = doc.truncated ? '\n(excerpt, document continues)' : '';
+    return `[${doc.filename}${pages}]\n${doc.excerpt}${note}`;
+  });
+
+  return `Attached documents (text extracted from the customer's files):\n\n${sections.join('\n\n---\n\n')}`;
+}
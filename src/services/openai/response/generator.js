@@ -1,13 +1,14 @@
 import { logger } from '../../../utils/logger.js';
 import { recordMetric } from '../../../utils/monitoring.js';
-import { getOpenAIClient } from '../client.js';
+import { LlmTask, complete } from '../../llm/index.js';
 import { analyzeImages } from './imageAnalyzer.js';
-import { getAvailableEndpoints, queryDataHub } from './datahub.js';
+import { getAvailableEndpoints } from './datahub.js';
+import { dataHubTool, runDataHubTool } from './dataHubTool.js';
 import { formatThreadForPrompt } from './formatter.js';
 import { buildSystemPrompt } from './prompts.js';
 
-// CRITICAL: DO NOT CHANGE THIS MODEL CONFIGURATION
-const MODEL = 'gpt-4o';
+// Rounds of DataHub lookups before the model must answer; each round may hold several calls
+const MAX_TOOL_STEPS = 4;
 
 export async function generateResponse(
   emailContent, 
@@ -16,7 +17,8 @@ export async function generateResponse(
   threadMessages = null, 
   imageAttachments = null,
   companyKnowledge,
-  senderInfo = null
+  senderInfo = null,
+  { reviewerInstructions = null, previousDraft = null, language = null } = {}
 ) {
   try {
     logger.info('Starting response generation', {
@@ -24,14 +26,14 @@ export async function generateResponse(
       hasCustomerData: !!customerData,
       hasImages: !!imageAttachments,
       hasSenderInfo: !!senderInfo,
+      hasReviewerInstructions: !!reviewerInstructions,
+      language: language?.code,
       timestamp: new Date().toISOString()
     });
 
-    const openai = await getOpenAIClient();
-
     // Analyze images if present
     const imageAnalysis = imageAttachments ? 
-      await analyzeImages(openai, imageAttachments, companyKnowledge) : null;
+      await analyzeImages(imageAttachments, companyKnowledge) : null;
 
     // Get available DataHub endpoints
     const endpoints = await getAvailableEndpoints();
@@ -40,154 +42,78 @@ export async function generateResponse(
     const threadContext = threadMessages && Array.isArray(threadMessages) ? 
       formatThreadForPrompt(threadMessages) : '';
 
-    const fullContext = threadContext 
+    let fullContext = threadContext 
       ? `Previous messages in thread:\n\n${threadContext}\n\nLatest message:\n${emailContent}`
       : emailContent;
 
+    // Staff asked for a rewrite of an earlier draft
+    if (reviewerInstructions) {
+      fullContext += `${previousDraft ? `\n\nPrevious draft reply:\n${previousDraft}` : ''}\n\nReviewer instructions for the new reply (follow them):\n${reviewerInstructions}`;
+    }
+
     // Build system prompt with all context
     const systemPrompt = buildSystemPrompt({
       classification,
       companyKnowledge,
       senderInfo,
       threadMessages,
-      endpoints
+      endpoints,
+      language
     });
 
-    // Generate response with function calling
-    const responseGeneration = await openai.chat.completions.create({
-      model: MODEL,
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: `Full email thread:\n${fullContext}\n\nClassification: ${JSON.stringify(classification)}\n\nCustomer Data: ${JSON.stringify(customerData)}\n${imageAnalysis ? `\nImage Analysis: ${imageAnalysis}` : ''}\n\nGenerate an appropriate response.`
-        }
-      ],
-      functions: [{
-        name: "queryDataHub",
-        description: "Query DataHub API endpoints to get customer information",
-        parameters: {
-          type: "object",
-          properties: {
-            endpoint: {
-              type: "string",
-              description: "The endpoint path to query (e.g., /api/appraisals/pending)"
-            },
-            method: {
-              type: "string",
-              enum: ["GET"],
-              description: "HTTP method to use"
-            },
-            params: {
-              type: "object",
-              description: "Query parameters",
-              properties: {
-                email: {
-                  type: "string",
-                  description: "Customer email address"
-                },
-                sessionId: {
-                  type: "string",
-                  description: "Session ID for specific queries"
-                },
-                wordpressSlug: {
-                  type: "string",
-                  description: "WordPress URL slug"
-                }
-              }
-            }
-          },
-          required: ["endpoint", "method"]
-        }
-      }],
-      function_call: "auto",
-      temperature: 0.7
-    });
+    // The whole conversation, tool calls and results included, is resent each
+    // step so the model keeps the thread, classification and image analysis
+    const messages = [
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      {
+        role: "user",
+        content: `Full email thread:\n${fullContext}\n\nClassification: ${JSON.stringify(classification)}\n\nCustomer Data: ${JSON.stringify(customerData)}\n${imageAnalysis ? `\nImage Analysis: ${imageAnalysis}` : ''}\n\nGenerate an appropriate response.`
+      }
+    ];
 
-    // Handle function calls and generate final response
-    let customerInfo = null;
+    const customerInfo = [];
     let reply = '';
 
-    for (const choice of responseGeneration.choices) {
-      const message = choice.message;
+    for (let step = 1; ; step++) {
+      // Once the lookup budget is spent the model has to answer with what it has
+      const toolsAllowed = step <= MAX_TOOL_STEPS;
+      const completion = await complete(LlmTask.REPLY_GENERATION, {
+        messages,
+        tools: [dataHubTool],
+        toolChoice: toolsAllowed ? 'auto' : 'none'
+      });
+
+      if (!toolsAllowed || completion.toolCalls.length === 0) {
+        reply = completion.content || '';
+        break;
+      }
+
+      messages.push(completion.message);
 
-      if (message.function_call) {
-        const functionCall = message.function_call;
-        const args = JSON.parse(functionCall.arguments);
+      // Parallel calls from one step run together; results go back in call order
+      const lookups = await Promise.all(
+        completion.toolCalls.map(toolCall => runDataHubTool(toolCall, { senderEmail: senderInfo?.email, endpoints }))
+      );
 
-        logger.info('DataHub query requested', {
-          endpoint: args.endpoint,
-          method: args.method,
-          params: args.params,
-          timestamp: new Date().toISOString()
+      completion.toolCalls.forEach((toolCall, index) => {
+        messages.push({
+          role: "tool",
+          tool_call_id: toolCall.id,
+          content: lookups[index].content
         });
+      });
 
-        // Execute the function call
-        try {
-          customerInfo = await queryDataHub(args.endpoint, args.method, args.params);
-
-          // Get completion with function result
-          const functionResponse = await openai.chat.completions.create({
-            model: MODEL,
-            messages: [
-              {
-                role: "system",
-                content: systemPrompt
-              },
-              {
-                role: "user",
-                content: fullContext
-              },
-              {
-                role: "assistant",
-                content: "Let me check your records."
-              },
-              {
-                role: "function",
-                name: "queryDataHub",
-                content: JSON.stringify(customerInfo)
-              }
-            ],
-            temperature: 0.7
-          });
-
-          reply = functionResponse.choices[0].message.content;
-        } catch (error) {
-          logger.error('Error querying DataHub:', {
-            error: error.message,
-            endpoint: args.endpoint,
-            stack: error.stack,
-            timestamp: new Date().toISOString()
-          });
-
-          // Generate response acknowledging the error
-          const errorResponse = await openai.chat.completions.create({
-            model: MODEL,
-            messages: [
-              {
-                role: "system",
-                content: systemPrompt
-              },
-              {
-                role: "user",
-                content: fullContext
-              },
-              {
-                role: "assistant",
-                content: "I encountered an error while trying to access your records."
-              }
-            ],
-            temperature: 0.7
-          });
-
-          reply = errorResponse.choices[0].message.content;
-        }
-      } else {
-        reply = message.content;
-      }
+      customerInfo.push(...lookups.map(({ content, ...lookup }) => lookup));
+
+      logger.info('DataHub lookups completed', {
+        step,
+        calls: lookups.length,
+        failed: lookups.filter(lookup => lookup.error).length,
+        endpoints: lookups.map(lookup => lookup.endpoint)
+      });
     }
 
     // Log the complete response for monitoring
@@ -195,7 +121,7 @@ export async function generateResponse(
       classification: classification.intent,
       senderEmail: senderInfo?.email,
       responseLength: reply.length,
-      hasCustomerInfo: !!customerInfo,
+      dataHubLookups: customerInfo.length,
       hasImages: !!imageAttachments,
       hasThreadContext: !!threadMessages,
       timestamp: new Date().toISOString()
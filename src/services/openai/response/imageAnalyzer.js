@@ -1,23 +1,27 @@
 import { logger } from '../../../utils/logger.js';
 import { recordMetric } from '../../../utils/monitoring.js';
-import { agentPrompts } from '../agentPrompts.js';
-import { formatImageAttachments } from './formatter.js';
+import { LlmTask, completeStructured } from '../../llm/index.js';
+import { PromptId, renderPrompt } from '../../prompts/index.js';
+import { IMAGE_ANALYSIS_DEFAULTS, ImageAnalysisSchema } from '../schemas.js';
+import { formatImageAnalysis, formatImageAttachments } from './formatter.js';
 
-// CRITICAL: DO NOT CHANGE THIS MODEL CONFIGURATION
-const MODEL = 'gpt-4o';
-
-export async function analyzeImages(openai, imageAttachments, companyKnowledge) {
+export async function analyzeImages(imageAttachments, companyKnowledge) {
   if (!imageAttachments || !Array.isArray(imageAttachments) || imageAttachments.length === 0) {
     return null;
   }
 
   try {
-    const imageAnalysisResponse = await openai.chat.completions.create({
-      model: MODEL,
+    // Structured so every item gets the same fields; rendered as text for prompts and logs
+    const { data, valid } = await completeStructured(LlmTask.IMAGE_ANALYSIS, {
+      schema: ImageAnalysisSchema,
+      schemaName: 'image_analysis',
+      defaults: IMAGE_ANALYSIS_DEFAULTS,
       messages: [
         {
           role: "system",
-          content: agentPrompts.imageAnalysis(companyKnowledge)
+          content: renderPrompt(PromptId.EMAIL_IMAGE_ANALYSIS, {
+            companyKnowledge: JSON.stringify(companyKnowledge)
+          }).text
         },
         {
           role: "user",
@@ -26,15 +30,16 @@ export async function analyzeImages(openai, imageAttachments, companyKnowledge)
             ...formatImageAttachments(imageAttachments)
           ]
         }
-      ],
-      temperature: 0.7
+      ]
     });
 
-    const analysis = imageAnalysisResponse.choices[0].message.content;
+    const analysis = formatImageAnalysis(data) || null;
     
     logger.info('Image analysis completed', {
       imageCount: imageAttachments.length,
-      analysisLength: analysis.length,
+      itemCount: data.items.length,
+      appraisalRecommended: data.appraisalRecommended,
+      valid,
       analysis,
       timestamp: new Date().toISOString()
     });
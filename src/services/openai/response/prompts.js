@@ -1,9 +1,13 @@
+import { languageInstruction } from '../../language/index.js';
+import { PromptId, renderPrompt } from '../../prompts/index.js';
+
 export function buildSystemPrompt({
   classification,
   companyKnowledge,
   senderInfo,
   threadMessages,
-  endpoints
+  endpoints,
+  language = null
 }) {
   // Format endpoints information in a more readable way
   const endpointsGuide = endpoints.map(e => 
@@ -12,60 +16,26 @@ export function buildSystemPrompt({
     Example usage: queryDataHub({ 
       endpoint: "${e.path}",
       method: "${e.method}",
-      params: ${e.path.includes('appraisals') ? 
-        '{ email: "customer@email.com" }' : 
-        '{ sessionId: "session-id" }'
-      }
+      params: { email: "customer@email.com" }
     })`
   ).join('\n\n');
 
-  return `You are Michelle Thompson, a professional customer service representative for Appraisily, a leading art and antique appraisal firm.
-
-Response Guidelines:
-- Generate ${classification.suggestedResponseType} responses
-- Maintain a ${classification.urgency === 'high' ? 'prompt and' : ''} professional tone
-- Use accurate information from the company knowledge base
-- Be friendly and professional
-- Provide clear and accurate information
-- Guide customers towards appropriate services
-- Never provide specific valuations without formal appraisal
-- Keep responses focused and relevant
-- Include next steps when appropriate
-
-IMPORTANT - DataHub Integration:
-You have access to our DataHub API through the queryDataHub function. Here's how to use it:
-
-1. Available Endpoints:
-${endpointsGuide}
-
-2. How to Check Customer Information:
-- For appraisal status: Use /api/appraisals/pending with customer's email
-- For completed appraisals: Use /api/appraisals/completed with customer's email
-- For sales history: Use /api/sales with customer's email or sessionId
-
-3. Function Usage Example:
-To check pending appraisals:
-queryDataHub({
-  endpoint: "/api/appraisals/pending",
-  method: "GET",
-  params: { email: "customer@email.com" }
-})
-
-The function will return real-time data about the customer's appraisals and transactions.
-ALWAYS check customer data before responding to status inquiries.
-
-Current sender information:
-- Name: ${senderInfo?.name || 'Unknown'}
-- Email: ${senderInfo?.email || 'Unknown'}
-- Previous interactions: ${threadMessages?.length || 0}
-- Message type: ${threadMessages?.length ? 'Follow-up message' : 'First contact'}
-
-Company Knowledge Base:
-${JSON.stringify(companyKnowledge, null, 2)}
-
-Remember:
-1. Always check customer data when responding to status inquiries
-2. Include specific details from their appraisal/sales records in your response
-3. If the API call fails, gracefully inform that you're having trouble accessing the records
-4. Maintain a professional and helpful tone regardless of data availability`;
-}
\ No newline at end of file
+  // Replies follow the customer's language; classification stays in English
+  const languageGuide = languageInstruction(language);
+
+  return renderPrompt(PromptId.EMAIL_REPLY, {
+    responseType: classification.suggestedResponseType,
+    toneQualifier: classification.urgency === 'high' ? 'prompt and ' : '',
+    endpointsGuide,
+    senderName: senderInfo?.name || 'Unknown',
+    senderEmail: senderInfo?.email || 'Unknown',
+    previousInteractions: countThreadMessages(threadMessages),
+    messageType: threadMessages?.length ? 'Follow-up message' : 'First contact',
+    companyKnowledge: JSON.stringify(companyKnowledge, null, 2),
+    languageGuide
+  }).text;
+}
+
+function countThreadMessages(threadMessages) {
+  return (threadMessages || []).reduce((count, msg) => count + (msg.isSummary ? msg.messageCount : 1), 0);
+}
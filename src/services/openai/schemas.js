@@ -0,0 +1,68 @@
+import { z } from 'zod';
+
+/**
+ * Result shapes for model calls that return JSON. Each schema has matching
+ * defaults, used when the model's answer cannot be validated even after a
+ * repair attempt. Every field is required (nullable where unknown is valid)
+ * because strict JSON-schema output does not allow optional properties.
+ */
+
+export const ClassificationSchema = z.object({
+  intent: z.enum([
+    'APPRAISAL_LEAD',
+    'STATUS_INQUIRY',
+    'TECHNICAL_SUPPORT',
+    'GENERAL_INQUIRY',
+    'PAYMENT_ISSUE',
+    'FEEDBACK'
+  ]),
+  urgency: z.enum(['high', 'medium', 'low']),
+  sentiment: z.enum(['positive', 'neutral', 'negative']),
+  requiresReply: z.boolean(),
+  reason: z.string(),
+  suggestedResponseType: z.enum(['detailed', 'brief', 'confirmation'])
+});
+
+export const CLASSIFICATION_DEFAULTS = Object.freeze({
+  intent: 'GENERAL_INQUIRY',
+  urgency: 'medium',
+  sentiment: 'neutral',
+  requiresReply: true,
+  reason: 'Classification output could not be validated, defaulting to safe values',
+  suggestedResponseType: 'detailed'
+});
+
+export const ChatAnalysisSchema = z.object({
+  summary: z.string(),
+  topics: z.array(z.string()),
+  sentiment: z.enum(['positive', 'neutral', 'negative'])
+});
+
+export const CHAT_ANALYSIS_DEFAULTS = Object.freeze({
+  summary: '',
+  topics: [],
+  sentiment: 'neutral'
+});
+
+export const ImageAnalysisSchema = z.object({
+  items: z.array(z.object({
+    description: z.string(),
+    category: z.string(),
+    period: z.string().nullable(),
+    style: z.string().nullable(),
+    materials: z.array(z.string()),
+    condition: z.string(),
+    notableFeatures: z.array(z.string()),
+    markings: z.string().nullable()
+  })),
+  overallAssessment: z.string(),
+  valueFactors: z.array(z.string()),
+  appraisalRecommended: z.boolean()
+});
+
+export const IMAGE_ANALYSIS_DEFAULTS = Object.freeze({
+  items: [],
+  overallAssessment: '',
+  valueFactors: [],
+  appraisalRecommended: false
+});
@@ -0,0 +1,141 @@
+import { LRUCache } from 'lru-cache';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { LlmTask, complete } from '../llm/index.js';
+import { PromptId, renderPrompt } from '../prompts/index.js';
+
+const RECENT_TOKEN_BUDGET = 3000;
+const MIN_RECENT_MESSAGES = 2;
+const FALLBACK_SNIPPET_LENGTH = 200;
+
+// Summaries only change when a message moves out of the verbatim window
+const summaryCache = new LRUCache({
+  max: 500,
+  ttl: 24 * 60 * 60 * 1000 // 24 hours
+});
+
+/**
+ * Rough token estimate, good enough for budgeting prompt context
+ * @param {string} text Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Condense a thread so it fits the prompt: the most recent messages are kept
+ * verbatim within the token budget and everything older is summarized
+ * @param {Array<Object>} threadMessages Messages from getThreadMessages
+ * @param {Object} [options] Condensing options
+ * @param {string} [options.threadId] Thread ID used to cache summaries
+ * @param {number} [options.tokenBudget] Token budget for verbatim messages
+ * @returns {Promise<Array<Object>|null>} Chronological messages, with older
+ *   ones replaced by a single entry flagged isSummary
+ */
+export async function condenseThread(threadMessages, { threadId = null, tokenBudget = RECENT_TOKEN_BUDGET } = {}) {
+  if (!threadMessages || threadMessages.length === 0) {
+    return null;
+  }
+
+  const chronological = [...threadMessages].sort((a, b) => a.timestamp - b.timestamp);
+
+  // Walk back from the newest message until the verbatim budget is spent
+  const recent = [];
+  let usedTokens = 0;
+
+  for (let i = chronological.length - 1; i >= 0; i--) {
+    const message = chronological[i];
+    const tokens = estimateTokens(message.content);
+
+    if (recent.length >= MIN_RECENT_MESSAGES && usedTokens + tokens > tokenBudget) {
+      break;
+    }
+
+    recent.unshift(tokens > tokenBudget ? truncateMessage(message, tokenBudget) : message);
+    usedTokens += Math.min(tokens, tokenBudget);
+  }
+
+  const older = chronological.slice(0, chronological.length - recent.length);
+
+  if (older.length === 0) {
+    return recent;
+  }
+
+  const summary = await summarizeMessages(older, threadId);
+
+  logger.info('Thread context condensed', {
+    threadId,
+    totalMessages: chronological.length,
+    summarizedMessages: older.length,
+    verbatimMessages: recent.length,
+    verbatimTokens: usedTokens
+  });
+
+  return [
+    {
+      id: `summary:${older[older.length - 1].id}`,
+      isSummary: true,
+      messageCount: older.length,
+      content: summary,
+      timestamp: older[0].timestamp,
+      date: older[0].date,
+      isIncoming: false
+    },
+    ...recent
+  ];
+}
+
+async function summarizeMessages(messages, threadId) {
+  const cacheKey = threadId ? `${threadId}:${messages[messages.length - 1].id}` : null;
+  if (cacheKey && summaryCache.has(cacheKey)) {
+    return summaryCache.get(cacheKey);
+  }
+
+  const transcript = messages
+    .map(msg => `[${msg.date}] ${msg.isIncoming ? 'Customer' : 'Appraisily'}:\n${msg.content.trim()}`)
+    .join('\n---\n');
+
+  try {
+    const completion = await complete(LlmTask.THREAD_SUMMARY, {
+      messages: [
+        {
+          role: "system",
+          content: renderPrompt(PromptId.EMAIL_THREAD_SUMMARY).text
+        },
+        {
+          role: "user",
+          content: transcript
+        }
+      ]
+    });
+
+    const summary = completion.content.trim();
+
+    if (cacheKey) {
+      summaryCache.set(cacheKey, summary);
+    }
+    recordMetric('thread_summaries', 1);
+    return summary;
+  } catch (error) {
+    logger.error('Error summarizing thread, using snippets instead:', {
+      error: error.message,
+      stack: error.stack,
+      threadId,
+      messageCount: messages.length
+    });
+    recordMetric('thread_summary_failures', 1);
+
+    return messages
+      .map(msg => `- [${msg.date}] ${msg.isIncoming ? 'Customer' : 'Appraisily'}: ${msg.content.trim().slice(0, FALLBACK_SNIPPET_LENGTH)}`)
+      .join('\n');
+  }
+}
+
+function truncateMessage(message, tokenBudget) {
+  const maxChars = tokenBudget * 4;
+  return {
+    ...message,
+    content: `${message.content.slice(0, maxChars)}\n[message truncated]`
+  };
+}
@@ -0,0 +1,138 @@
+import { readFileSync } from 'fs';
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+
+export const PolicyAction = {
+  AUTO_SEND: 'auto_send',
+  DRAFT: 'draft',
+  HOLD: 'hold'
+};
+
+const DEFAULT_RULES_PATH = new URL('./rules.json', import.meta.url);
+
+let cachedPolicy = null;
+
+/**
+ * Load and validate the reply policy config
+ * @param {string|URL} [path] Config file path, defaults to REPLY_POLICY_PATH or the bundled rules
+ * @returns {Object} Validated policy config
+ */
+export function loadPolicy(path = process.env.REPLY_POLICY_PATH || DEFAULT_RULES_PATH) {
+  const policy = JSON.parse(readFileSync(path, 'utf8'));
+  validatePolicy(policy);
+
+  logger.info('Reply policy loaded', {
+    version: policy.version,
+    ruleCount: policy.rules.length,
+    defaultAction: policy.defaultAction
+  });
+
+  return policy;
+}
+
+/**
+ * Get the cached policy, loading it on first use
+ * @returns {Object} Policy config
+ */
+export function getPolicy() {
+  if (!cachedPolicy) {
+    cachedPolicy = loadPolicy();
+  }
+  return cachedPolicy;
+}
+
+/**
+ * Drop the cached policy so the next decision re-reads the config file
+ */
+export function reloadPolicy() {
+  cachedPolicy = null;
+  return getPolicy();
+}
+
+/**
+ * Decide how to deliver a reply for a classified email
+ * @param {Object} classification Classification result from classifyEmail
+ * @param {Object} [context] Additional facts rules can match on
+ * @param {boolean} [context.hasImages] Whether the email had image attachments
+ * @param {Object} [policy] Policy config, defaults to the loaded policy
+ * @returns {Object} Decision with action, ruleId, policyVersion and notify flag
+ */
+export function decideReplyAction(classification, context = {}, policy = getPolicy()) {
+  const facts = {
+    intent: classification?.intent,
+    urgency: classification?.urgency,
+    sentiment: classification?.sentiment,
+    suggestedResponseType: classification?.suggestedResponseType,
+    requiresReply: classification?.requiresReply,
+    ...context
+  };
+
+  const rule = policy.rules.find(candidate => matchesConditions(candidate.when, facts));
+
+  const decision = {
+    action: rule ? rule.action : policy.defaultAction,
+    ruleId: rule ? rule.id : 'default',
+    policyVersion: policy.version,
+    notify: !!rule?.notify,
+    description: rule?.description || 'No rule matched, using default action'
+  };
+
+  logger.info('Reply policy decision', {
+    ...decision,
+    facts
+  });
+  recordMetric(`policy_${decision.action}`, 1);
+
+  return decision;
+}
+
+/**
+ * Whether facts satisfy a rule's "when" conditions. Every field must match;
+ * an array lists the accepted values.
+ * @param {Object} conditions Field -> expected value or values
+ * @param {Object} facts Facts about the email
+ * @returns {boolean} All conditions match
+ */
+export function matchesConditions(conditions, facts) {
+  return Object.entries(conditions).every(([field, expected]) => {
+    const actual = facts[field];
+    return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+  });
+}
+
+function validatePolicy(policy) {
+  const actions = Object.values(PolicyAction);
+
+  if (!policy.version) {
+    throw new Error('Reply policy must have a version');
+  }
+
+  if (!actions.includes(policy.defaultAction)) {
+    throw new Error(`Invalid default policy action: ${policy.defaultAction}`);
+  }
+
+  if (!Array.isArray(policy.rules)) {
+    throw new Error('Reply policy rules must be an array');
+  }
+
+  const seenIds = new Set();
+  for (const rule of policy.rules) {
+    if (!rule.id || seenIds.has(rule.id)) {
+      throw new Error(`Reply policy rule ids must be unique and non-empty: ${rule.id}`);
+    }
+    seenIds.add(rule.id);
+
+    if (!actions.includes(rule.action)) {
+      throw new Error(`Invalid action "${rule.action}" in policy rule ${rule.id}`);
+    }
+
+    // The staff notification tells them no automatic reply went out
+    if (rule.notify && rule.action === PolicyAction.AUTO_SEND) {
+      throw new Error(`Policy rule ${rule.id} cannot notify staff and auto-send`);
+    }
+
+    if (!rule.when || typeof rule.when !== 'object') {
+      throw new Error(`Policy rule ${rule.id} must define "when" conditions`);
+    }
+  }
+}
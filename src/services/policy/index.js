@@ -0,0 +1,8 @@
+export {
+  PolicyAction,
+  decideReplyAction,
+  getPolicy,
+  loadPolicy,
+  matchesConditions,
+  reloadPolicy
+} from './engine.js';
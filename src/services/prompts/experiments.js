@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_EXPERIMENTS_PATH = new URL('./experiments.json', import.meta.url);
+
+let cachedConfig = null;
+
+/**
+ * Load and validate the prompt version and experiment config. Versions are
+ * checked against the registry when a prompt is rendered.
+ * @param {string|URL} [path] Config file path, defaults to PROMPT_EXPERIMENTS_PATH or the bundled config
+ * @returns {Object} Validated config
+ */
+export function loadPromptConfig(path = process.env.PROMPT_EXPERIMENTS_PATH || DEFAULT_EXPERIMENTS_PATH) {
+  const config = JSON.parse(readFileSync(path, 'utf8'));
+  validatePromptConfig(config);
+
+  logger.info('Prompt config loaded', {
+    version: config.version,
+    active: config.active,
+    experiments: config.experiments.filter(experiment => experiment.enabled).map(experiment => experiment.id)
+  });
+
+  return config;
+}
+
+/**
+ * The prompt config, loading it on first use
+ * @returns {Object} Prompt config
+ */
+export function getPromptConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadPromptConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Drop the cached config so the next render re-reads the file
+ */
+export function reloadPromptConfig() {
+  cachedConfig = null;
+  cachedConfig = loadPromptConfig();
+  return cachedConfig;
+}
+
+/**
+ * Pick an experiment variant for an interaction. The same experiment and key
+ * always give the same variant, so a conversation never switches wording.
+ * @param {Object} experiment Experiment from the config
+ * @param {string} key Assignment key: the Gmail thread ID for email, otherwise the interaction ID
+ * @returns {number} Assigned prompt version
+ */
+export function pickVariant(experiment, key) {
+  const totalWeight = experiment.variants.reduce((total, variant) => total + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${key}`).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  for (const variant of experiment.variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant.version;
+    }
+  }
+  return experiment.variants[experiment.variants.length - 1].version;
+}
+
+function validatePromptConfig(config) {
+  if (!config || typeof config.active !== 'object' || !Array.isArray(config.experiments)) {
+    throw new Error('Prompt config must have an active object and an experiments array');
+  }
+
+  for (const [promptId, version] of Object.entries(config.active)) {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Prompt config pins "${promptId}" to an invalid version`);
+    }
+  }
+
+  const running = new Set();
+  for (const experiment of config.experiments) {
+    if (!experiment.id || !experiment.promptId) {
+      throw new Error('Prompt experiments need an id and a promptId');
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+      throw new Error(`Prompt experiment "${experiment.id}" needs at least two variants`);
+    }
+    for (const variant of experiment.variants) {
+      if (!Number.isInteger(variant.version) || variant.version < 1 || !(variant.weight > 0)) {
+        throw new Error(`Prompt experiment "${experiment.id}" has a variant without a valid version and positive weight`);
+      }
+    }
+    if (experiment.enabled) {
+      if (running.has(experiment.promptId)) {
+        throw new Error(`More than one enabled experiment for prompt "${experiment.promptId}"`);
+      }
+      running.add(experiment.promptId);
+    }
+  }
+}
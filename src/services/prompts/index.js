@@ -0,0 +1,9 @@
+export {
+  registerPrompt,
+  getPrompt,
+  listPrompts,
+  renderPrompt,
+  formatPromptVersions
+} from './registry.js';
+export { getPromptConfig, loadPromptConfig, reloadPromptConfig } from './experiments.js';
+export { PromptId } from './types.js';
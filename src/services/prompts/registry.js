@@ -0,0 +1,152 @@
+import { logger } from '../../utils/logger.js';
+import { recordMetric } from '../../utils/monitoring.js';
+import { addPromptToInteraction, getCurrentInteraction } from '../llm/index.js';
+import { getPromptConfig, pickVariant } from './experiments.js';
+import { builtInPrompts } from './templates/index.js';
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+// Prompt ID -> version -> definition
+const prompts = new Map();
+
+/**
+ * Register a prompt version
+ * @param {import('./types.js').PromptDefinition} definition Prompt definition
+ */
+export function registerPrompt(definition) {
+  const { id, version, template, variables = [] } = definition;
+
+  if (!id || typeof template !== 'string') {
+    throw new Error('Prompts need an id and a template');
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt "${id}" has an invalid version`);
+  }
+
+  const placeholders = new Set([...template.matchAll(PLACEHOLDER)].map(([, name]) => name));
+  const undeclared = [...placeholders].filter(name => !variables.includes(name));
+  const unused = variables.filter(name => !placeholders.has(name));
+  if (undeclared.length || unused.length) {
+    throw new Error(`Prompt "${id}" v${version} variables do not match its template (undeclared: ${undeclared.join(', ') || 'none'}, unused: ${unused.join(', ') || 'none'})`);
+  }
+
+  if (!prompts.has(id)) {
+    prompts.set(id, new Map());
+  }
+  if (prompts.get(id).has(version)) {
+    throw new Error(`Prompt "${id}" v${version} is already registered`);
+  }
+
+  prompts.get(id).set(version, Object.freeze({ ...definition, variables: [...variables] }));
+}
+
+/**
+ * Get one version of a prompt
+ * @param {string} id Prompt ID
+ * @param {number} [version] Version, defaults to the latest
+ * @returns {import('./types.js').PromptDefinition} Prompt definition
+ */
+export function getPrompt(id, version) {
+  const versions = prompts.get(id);
+  if (!versions) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+
+  const resolved = version ?? Math.max(...versions.keys());
+  const prompt = versions.get(resolved);
+  if (!prompt) {
+    throw new Error(`Unknown version ${resolved} of prompt ${id}`);
+  }
+  return prompt;
+}
+
+/**
+ * Registered prompts with their versions and the version currently live
+ * @returns {Array<Object>} Prompt summaries
+ */
+export function listPrompts() {
+  const config = getPromptConfig();
+
+  return [...prompts.entries()].map(([id, versions]) => ({
+    id,
+    versions: [...versions.keys()].sort((a, b) => a - b),
+    active: config.active[id] ?? Math.max(...versions.keys()),
+    experiment: findExperiment(config, id)?.id || null
+  }));
+}
+
+/**
+ * Fill in a prompt for the current interaction. Inside an interaction a
+ * running experiment picks the version and the choice is recorded so it can
+ * be stamped on Sheets rows and CRM messages; outside one the active version
+ * is used.
+ * @param {string} id Prompt ID from PromptId
+ * @param {Object<string, string|number>} [variables] Template values; every declared
+ *   variable is required, use '' to leave a section out
+ * @param {Object} [options] Render options
+ * @param {number} [options.version] Render this version, bypassing config and experiments
+ * @returns {import('./types.js').RenderedPrompt} Rendered prompt
+ */
+export function renderPrompt(id, variables = {}, { version } = {}) {
+  const interaction = getCurrentInteraction();
+  const selection = version !== undefined
+    ? { version, experiment: null }
+    : selectVersion(id, interaction?.assignmentKey);
+  const prompt = getPrompt(id, selection.version);
+
+  const missing = prompt.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length) {
+    throw new Error(`Prompt "${id}" v${prompt.version} is missing variables: ${missing.join(', ')}`);
+  }
+
+  const text = prompt.template
+    .replace(PLACEHOLDER, (match, name) => String(variables[name]))
+    // Sections left empty would otherwise leave runs of blank lines behind
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (interaction) {
+    addPromptToInteraction(interaction, { id, version: prompt.version, experiment: selection.experiment });
+  }
+  if (selection.experiment) {
+    recordMetric(`prompt_variant_${id.replace(/\W/g, '_')}_v${prompt.version}`, 1);
+  }
+
+  return { id, version: prompt.version, experiment: selection.experiment, text };
+}
+
+/**
+ * Short form of the prompt versions an interaction used, for a Sheets cell
+ * @param {Object<string, {version: number, experiment: string|null}>} promptVersions
+ *   Versions by prompt ID, from getInteractionPrompts
+ * @returns {string} e.g. "email.classification@1, email.reply@2 (reply-brevity)"
+ */
+export function formatPromptVersions(promptVersions) {
+  return Object.entries(promptVersions || {})
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([id, { version, experiment }]) => `${id}@${version}${experiment ? ` (${experiment})` : ''}`)
+    .join(', ');
+}
+
+function selectVersion(id, assignmentKey) {
+  const config = getPromptConfig();
+  const experiment = findExperiment(config, id);
+
+  if (experiment && assignmentKey) {
+    return { version: pickVariant(experiment, assignmentKey), experiment: experiment.id };
+  }
+
+  if (experiment) {
+    logger.debug('Prompt rendered outside an interaction, using the active version', {
+      promptId: id,
+      experiment: experiment.id
+    });
+  }
+  return { version: config.active[id], experiment: null };
+}
+
+function findExperiment(config, id) {
+  return config.experiments.find(experiment => experiment.enabled && experiment.promptId === id) || null;
+}
+
+builtInPrompts.forEach(registerPrompt);
@@ -0,0 +1,6 @@
+import { chatPrompts } from './chat.js';
+import { directPrompts } from './direct.js';
+import { emailPrompts } from './email.js';
+import { sharedPrompts } from './shared.js';
+
+export const builtInPrompts = [...emailPrompts, ...sharedPrompts, ...chatPrompts, ...directPrompts];
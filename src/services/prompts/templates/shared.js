@@ -0,0 +1,20 @@
+import { PromptId } from '../types.js';
+
+/** @type {Array<import('../types.js').PromptDefinition>} */
+export const sharedPrompts = [
+  {
+    id: PromptId.LANGUAGE_DETECTION,
+    version: 1,
+    description: 'Language of a customer message plus English translation (JSON)',
+    variables: [],
+    template: `Identify the language of the customer message and translate it to English.
+Respond with a JSON object only:
+{
+  "code": ISO 639-1 code, e.g. "es",
+  "name": English name of the language, e.g. "Spanish",
+  "confidence": number between 0 and 1,
+  "translation": faithful English translation, or null if the message is already English
+}
+Judge by the customer's own words, not by quoted text, signatures or URLs.`
+  }
+];
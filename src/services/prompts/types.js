@@ -0,0 +1,33 @@
+/**
+ * A versioned prompt template. Placeholders are written {{name}} and every
+ * placeholder must be listed in variables; a new wording is registered as a
+ * new version instead of editing the old one, so logged versions stay meaningful.
+ *
+ * @typedef {Object} PromptDefinition
+ * @property {string} id Prompt ID from PromptId
+ * @property {number} version Positive integer, unique per ID
+ * @property {string} description What the prompt is for
+ * @property {Array<string>} variables Placeholder names the template uses
+ * @property {string} template Prompt text with {{name}} placeholders
+ */
+
+/**
+ * @typedef {Object} RenderedPrompt
+ * @property {string} id Prompt ID
+ * @property {number} version Version that was rendered
+ * @property {string|null} experiment Experiment the version was assigned by, if any
+ * @property {string} text Prompt text with the variables filled in
+ */
+
+export const PromptId = {
+  EMAIL_CLASSIFICATION: 'email.classification',
+  EMAIL_REPLY: 'email.reply',
+  EMAIL_IMAGE_ANALYSIS: 'email.imageAnalysis',
+  EMAIL_THREAD_SUMMARY: 'email.threadSummary',
+  EMAIL_ESCALATION_BRIEF: 'email.escalationBrief',
+  LANGUAGE_DETECTION: 'language.detection',
+  CHAT_REPLY: 'chat.reply',
+  CHAT_ANALYSIS: 'chat.analysis',
+  DIRECT_REPLY: 'direct.reply',
+  DIRECT_IMAGE_GUIDE: 'direct.imageGuide'
+};
@@ -2,5 +2,6 @@ export { PUBSUB_CONFIG } from './config.js';
 export { getPubSubClient } from './client.js';
 export { crmPublisher, gmailPublisher } from './publishers/index.js';
 export { crmSubscriber, gmailSubscriber } from './subscribers/index.js';
+export { PushAuthErrorCode, logPushAuthConfig, verifyPushRequest } from './pushAuth/index.js';
 export * from './types/crm.js';
 export * from './types/gmail.js';
\ No newline at end of file
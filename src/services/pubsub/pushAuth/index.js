@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { recordMetric } from '../../../utils/monitoring.js';
+import { verifyJwt } from './jwt.js';
+import { createGoogleKeySource, createStaticKeySource } from './keySources.js';
+
+const DEFAULT_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+export const PushAuthMethod = {
+  OIDC: 'oidc',
+  TOKEN: 'token',
+  DISABLED: 'disabled'
+};
+
+export const PushAuthErrorCode = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  WRONG_ISSUER: 'WRONG_ISSUER',
+  WRONG_AUDIENCE: 'WRONG_AUDIENCE',
+  WRONG_SERVICE_ACCOUNT: 'WRONG_SERVICE_ACCOUNT',
+  INVALID_VERIFICATION_TOKEN: 'INVALID_VERIFICATION_TOKEN'
+};
+
+let keySource = null;
+
+/**
+ * Replace the source of OIDC signing keys (e.g. a static JWKS in tests).
+ * Pass null to go back to Google's published keys.
+ * @param {Object|null} source Object with getKey(kid)
+ */
+export function setPushKeySource(source) {
+  keySource = source;
+}
+
+/**
+ * Push authentication settings from the environment. OIDC needs both the
+ * audience and the push service account: any Google account can mint an ID
+ * token for an arbitrary audience, so the audience alone proves nothing.
+ * @returns {Object} Push auth configuration
+ */
+export function getPushAuthConfig() {
+  const audience = process.env.PUBSUB_PUSH_AUDIENCE || null;
+  const serviceAccountEmail = process.env.PUBSUB_PUSH_SERVICE_ACCOUNT || null;
+
+  return {
+    disabled: process.env.PUBSUB_PUSH_AUTH_DISABLED === 'true',
+    oidcEnabled: !!(audience && serviceAccountEmail),
+    audience,
+    serviceAccountEmail,
+    issuers: process.env.PUBSUB_PUSH_ISSUERS
+      ? process.env.PUBSUB_PUSH_ISSUERS.split(',').map(issuer => issuer.trim()).filter(Boolean)
+      : DEFAULT_ISSUERS,
+    verificationToken: process.env.PUBSUB_VERIFICATION_TOKEN || null
+  };
+}
+
+/**
+ * Check that a push request really comes from our Pub/Sub subscription,
+ * using the OIDC bearer token Pub/Sub attaches or, as a fallback, a shared
+ * token in the push endpoint's query string
+ * @param {Object} credentials Request credentials
+ * @param {string} [credentials.authorization] Authorization header
+ * @param {string} [credentials.token] `token` query parameter
+ * @param {Object} [config] Push auth configuration, defaults to the environment
+ * @returns {Promise<Object>} Result with success flag, method and claims, or error
+ */
+export async function verifyPushRequest({ authorization, token }, config = getPushAuthConfig()) {
+  if (config.disabled) {
+    return { success: true, method: PushAuthMethod.DISABLED };
+  }
+
+  if (!config.oidcEnabled && !config.verificationToken) {
+    return failure(
+      PushAuthErrorCode.NOT_CONFIGURED,
+      'Set PUBSUB_PUSH_AUDIENCE and PUBSUB_PUSH_SERVICE_ACCOUNT, or PUBSUB_VERIFICATION_TOKEN'
+    );
+  }
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1];
+
+  if (config.oidcEnabled && bearer) {
+    return verifyOidcToken(bearer, config);
+  }
+
+  if (config.verificationToken && token) {
+    return verifyVerificationToken(token, config.verificationToken);
+  }
+
+  return failure(PushAuthErrorCode.MISSING_CREDENTIALS, 'No push credentials on request');
+}
+
+/**
+ * Log how push requests will be authenticated, so a missing setting shows
+ * up at startup rather than as rejected pushes
+ */
+export function logPushAuthConfig() {
+  const config = getPushAuthConfig();
+
+  if (config.disabled) {
+    logger.warn('Pub/Sub push authentication is disabled; the Gmail webhook accepts unauthenticated requests');
+    return;
+  }
+
+  if (!config.oidcEnabled && !config.verificationToken) {
+    logger.error('Pub/Sub push authentication is not configured; the Gmail webhook will reject every push');
+    return;
+  }
+
+  logger.info('Pub/Sub push authentication configured', {
+    oidc: config.oidcEnabled,
+    audience: config.audience,
+    serviceAccountEmail: config.serviceAccountEmail,
+    verificationToken: !!config.verificationToken
+  });
+}
+
+async function verifyOidcToken(bearer, config) {
+  const verified = await verifyJwt(bearer, keySource || (keySource = createGoogleKeySource()));
+  if (!verified.success) {
+    return failure(PushAuthErrorCode.INVALID_TOKEN, verified.error.message);
+  }
+
+  const { claims } = verified;
+
+  if (!config.issuers.includes(claims.iss)) {
+    return failure(PushAuthErrorCode.WRONG_ISSUER, `Unexpected issuer ${claims.iss}`);
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(config.audience)) {
+    return failure(PushAuthErrorCode.WRONG_AUDIENCE, 'Token audience does not match');
+  }
+
+  if (claims.email !== config.serviceAccountEmail || claims.email_verified !== true) {
+    return failure(PushAuthErrorCode.WRONG_SERVICE_ACCOUNT, `Unexpected token subject ${claims.email}`);
+  }
+
+  return { success: true, method: PushAuthMethod.OIDC, claims };
+}
+
+function verifyVerificationToken(token, expected) {
+  // Compare digests so the comparison is constant-time regardless of length
+  const given = crypto.createHash('sha256').update(token).digest();
+  const wanted = crypto.createHash('sha256').update(expected).digest();
+
+  if (!crypto.timingSafeEqual(given, wanted)) {
+    return failure(PushAuthErrorCode.INVALID_VERIFICATION_TOKEN, 'Verification token does not match');
+  }
+
+  return { success: true, method: PushAuthMethod.TOKEN };
+}
+
+function failure(code, message) {
+  recordMetric('pubsub_push_auth_failures', 1);
+  return { success: false, error: { code, message } };
+}
+
+export { createGoogleKeySource, createStaticKeySource, verifyJwt };
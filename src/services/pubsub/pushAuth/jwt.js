@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+const ALGORITHMS = {
+  RS256: 'sha256'
+};
+
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Verify a signed JWT and its time claims. Issuer, audience and other claims
+ * are checked by the caller.
+ * @param {string} token Compact JWT
+ * @param {Object} keySource Object with getKey(kid) resolving to a public KeyObject
+ * @param {Object} [options] Verification options
+ * @param {number} [options.now] Current time in ms, for tests
+ * @returns {Promise<Object>} Result with success flag and claims or error
+ */
+export async function verifyJwt(token, keySource, { now = Date.now() } = {}) {
+  const segments = (token || '').split('.');
+  if (segments.length !== 3) {
+    return failure('MALFORMED', 'Token is not a JWT');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(segments[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(segments[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return failure('MALFORMED', 'Token header or payload is not valid JSON');
+  }
+
+  // Only asymmetric algorithms we know; never trust "none" or HMAC here
+  const digest = ALGORITHMS[header.alg];
+  if (!digest) {
+    return failure('UNSUPPORTED_ALGORITHM', `Unsupported algorithm ${header.alg}`);
+  }
+
+  const key = await keySource.getKey(header.kid);
+  if (!key) {
+    return failure('UNKNOWN_KEY', `No signing key for kid ${header.kid}`);
+  }
+
+  const signatureValid = crypto.verify(
+    digest,
+    Buffer.from(`${segments[0]}.${segments[1]}`),
+    key,
+    Buffer.from(segments[2], 'base64url')
+  );
+  if (!signatureValid) {
+    return failure('INVALID_SIGNATURE', 'Token signature is invalid');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    return failure('EXPIRED', 'Token has expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+    return failure('NOT_YET_VALID', 'Token was issued in the future');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > nowSeconds) {
+    return failure('NOT_YET_VALID', 'Token is not valid yet');
+  }
+
+  return { success: true, claims };
+}
+
+function failure(code, message) {
+  return { success: false, error: { code, message } };
+}
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_CACHE_TTL = 60 * 60 * 1000; // used when the response has no max-age
+const MIN_REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * Key source backed by Google's public OIDC signing keys. Keys are cached for
+ * the max-age Google sends; an unknown kid triggers a refresh (at most once a
+ * minute) since Google rotates keys regularly.
+ * @param {Object} [options] Key source options
+ * @param {string} [options.url] JWKS URL
+ * @param {Function} [options.fetchFn] fetch implementation
+ * @returns {{getKey: function(string): Promise<crypto.KeyObject|null>}} Key source
+ */
+export function createGoogleKeySource({ url = GOOGLE_CERTS_URL, fetchFn = fetch } = {}) {
+  let keys = new Map();
+  let expiresAt = 0;
+  let lastFetchAt = 0;
+  let loading = null;
+
+  async function refresh() {
+    if (!loading) {
+      loading = (async () => {
+        lastFetchAt = Date.now();
+        const response = await fetchFn(url);
+        if (!response.ok) {
+          throw new Error(`JWKS request failed with status ${response.status}`);
+        }
+
+        const body = await response.json();
+        keys = importJwks(body.keys);
+
+        const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+        expiresAt = Date.now() + (maxAge ? parseInt(maxAge[1], 10) * 1000 : DEFAULT_CACHE_TTL);
+
+        logger.debug('Pub/Sub push signing keys loaded', { count: keys.size, expiresAt: new Date(expiresAt).toISOString() });
+      })().finally(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  return {
+    async getKey(kid) {
+      if (Date.now() >= expiresAt || (!keys.has(kid) && Date.now() - lastFetchAt > MIN_REFRESH_INTERVAL)) {
+        await refresh();
+      }
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+/**
+ * Key source over a fixed JWKS, for offline verification and tests with
+ * locally signed tokens
+ * @param {Array<Object>} jwks JSON Web Keys with kid
+ * @returns {{getKey: function(string): Promise<crypto.KeyObject|null>}} Key source
+ */
+export function createStaticKeySource(jwks) {
+  const keys = importJwks(jwks);
+  return {
+    async getKey(kid) {
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+function importJwks(jwks = []) {
+  const keys = new Map();
+  for (const jwk of jwks) {
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+      continue;
+    }
+    try {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (error) {
+      logger.warn('Skipping unusable signing key', { kid: jwk.kid, error: error.message });
+    }
+  }
+  return keys;
+}
@@ -1,7 +1,13 @@
 import { sheets, SHEET_NAMES, MAX_RETRIES, RETRY_DELAY } from '../config.js';
-import { verifySheetExists } from '../utils.js';
+import { ensureHeaderRow, verifySheetExists } from '../utils.js';
 import { logger } from '../../../utils/logger.js';
 
+// Column headers in sheet order; existing sheets are brought up to date
+const CHAT_HEADERS = [
+  'Timestamp', 'Client ID', 'Conversation ID', 'Duration (seconds)',
+  'Message Count', 'Image Count', 'Conversation', 'Has Images', 'Language', 'Prompt Versions'
+];
+
 export async function initializeChatSheet(auth, spreadsheetId) {
   try {
     let retryCount = 0;
@@ -21,11 +27,6 @@ export async function initializeChatSheet(auth, spreadsheetId) {
       });
 
       try {
-        const headers = [
-          ['Timestamp', 'Client ID', 'Conversation ID', 'Duration (seconds)', 
-           'Message Count', 'Image Count', 'Conversation', 'Has Images']
-        ];
-
         await sheets.spreadsheets.batchUpdate({
           auth,
           spreadsheetId,
@@ -40,14 +41,6 @@ export async function initializeChatSheet(auth, spreadsheetId) {
           }
         });
 
-        await sheets.spreadsheets.values.append({
-          auth,
-          spreadsheetId,
-          range: `${SHEET_NAMES.CHAT}!A1:H1`,
-          valueInputOption: 'RAW',
-          requestBody: { values: headers }
-        });
-
         sheetExists = await verifySheetExists(auth, spreadsheetId, SHEET_NAMES.CHAT);
         if (sheetExists) {
           logger.info('Chat sheet created successfully');
@@ -66,6 +59,9 @@ export async function initializeChatSheet(auth, spreadsheetId) {
     if (!sheetExists) {
       throw new Error('Failed to initialize Chat sheet after multiple attempts');
     }
+
+    // New sheets get their headers here; older ones get columns added since
+    await ensureHeaderRow(auth, spreadsheetId, SHEET_NAMES.CHAT, CHAT_HEADERS);
   } catch (error) {
     logger.error('Error initializing chat sheet:', {
       error: error.message,
@@ -19,10 +19,12 @@ export async function logChatConversation(conversationData) {
       conversationData.messageCount,
       conversationData.imageCount,
       JSON.stringify(conversationData.conversation),
-      conversationData.hasImages ? 'Yes' : 'No'
+      conversationData.hasImages ? 'Yes' : 'No',
+      conversationData.language || '',
+      conversationData.promptVersions || ''
     ]];
 
-    await appendToSheet(auth, spreadsheetId, `${SHEET_NAMES.CHAT}!A2:H`, values);
+    await appendToSheet(auth, spreadsheetId, `${SHEET_NAMES.CHAT}!A2:J`, values);
 
     logger.info('Chat conversation logged successfully', {
       clientId: conversationData.clientId,
@@ -1,5 +1,41 @@
 import { sheets, SHEET_NAMES } from '../config.js';
 import { logger } from '../../../utils/logger.js';
+import { ensureHeaderRow } from '../utils.js';
+
+// Column headers in sheet order; existing sheets are brought up to date
+const GMAIL_HEADERS = [
+  'A:Timestamp',
+  'B:Message ID',
+  'C:Thread ID',
+  'D:Sender Email',
+  'E:Sender Name',
+  'F:Subject',
+  'G:Message Content',
+  'H:Has Images',
+  'I:Image Count',
+  'J:Classification Intent',
+  'K:Classification Urgency',
+  'L:Response Type',
+  'M:Requires Reply',
+  'N:Generated Reply',
+  'O:Image Analysis',
+  'P:Processing Time (ms)',
+  'Q:Labels',
+  'R:Status',
+  'S:Error (if any)',
+  'T:Reply Status',
+  'U:Reply Draft ID',
+  'V:Reply Message ID',
+  'W:Policy Action',
+  'X:Policy Rule',
+  'Y:Policy Version',
+  'Z:Skip Reason',
+  'AA:Escalation',
+  'AB:Language',
+  'AC:English Translation',
+  'AD:Scheduled Send',
+  'AE:Prompt Versions'
+];
 
 export async function initializeGmailSheet(auth, spreadsheetId) {
   try {
@@ -13,31 +49,7 @@ export async function initializeGmailSheet(auth, spreadsheetId) {
     );
 
     if (!gmailSheet) {
-      const headers = [
-        [
-          'A:Timestamp',
-          'B:Message ID',
-          'C:Thread ID',
-          'D:Sender Email',
-          'E:Sender Name',
-          'F:Subject',
-          'G:Message Content',
-          'H:Has Images',
-          'I:Image Count',
-          'J:Classification Intent',
-          'K:Classification Urgency',
-          'L:Response Type',
-          'M:Requires Reply',
-          'N:Generated Reply',
-          'O:Image Analysis',
-          'P:Processing Time (ms)',
-          'Q:Labels',
-          'R:Status',
-          'S:Error (if any)'
-        ]
-      ];
-
-      await sheets.spreadsheets.batchUpdate({
+      const created = await sheets.spreadsheets.batchUpdate({
         auth,
         spreadsheetId,
         requestBody: {
@@ -54,13 +66,7 @@ export async function initializeGmailSheet(auth, spreadsheetId) {
         }
       });
 
-      await sheets.spreadsheets.values.append({
-        auth,
-        spreadsheetId,
-        range: `${SHEET_NAMES.GMAIL}!A1`,
-        valueInputOption: 'RAW',
-        requestBody: { values: headers }
-      });
+      await ensureHeaderRow(auth, spreadsheetId, SHEET_NAMES.GMAIL, GMAIL_HEADERS);
 
       // Set column widths for better readability
       await sheets.spreadsheets.batchUpdate({
@@ -71,10 +77,10 @@ export async function initializeGmailSheet(auth, spreadsheetId) {
             {
               updateDimensionProperties: {
                 range: {
-                  sheetId: gmailSheet.properties.sheetId,
+                  sheetId: created.data.replies[0].addSheet.properties.sheetId,
                   dimension: 'COLUMNS',
                   startIndex: 0,
-                  endIndex: 19
+                  endIndex: GMAIL_HEADERS.length
                 },
                 properties: {
                   pixelSize: 200
@@ -87,6 +93,8 @@ export async function initializeGmailSheet(auth, spreadsheetId) {
       });
 
       logger.info('Created Gmail sheet with headers and formatting');
+    } else {
+      await ensureHeaderRow(auth, spreadsheetId, SHEET_NAMES.GMAIL, GMAIL_HEADERS);
     }
   } catch (error) {
     logger.error('Error initializing Gmail sheet:', {
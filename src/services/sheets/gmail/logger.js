@@ -34,7 +34,19 @@ export async function logEmailProcessing(logData) {
       logData.processingTime || '',
       Array.isArray(logData.labels) ? logData.labels.join(', ') : logData.labels || '',
       logData.status || 'Processed',
-      logData.error || ''
+      logData.error || '',
+      logData.replyStatus || '',
+      logData.replyDraftId || '',
+      logData.replyMessageId || '',
+      logData.policyAction || '',
+      logData.policyRule || '',
+      logData.policyVersion || '',
+      logData.skipReason || '',
+      logData.escalation || '',
+      logData.language || '',
+      logData.contentTranslation || '',
+      logData.scheduledFor || '',
+      logData.promptVersions || ''
     ]];
 
     await appendToSheet(auth, spreadsheetId, `${SHEET_NAMES.GMAIL}!A2`, values);
@@ -42,4 +42,47 @@ export async function appendToSheet(auth, spreadsheetId, range, values) {
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Sheets whose header row already matched this process's column list
+const checkedHeaderRows = new Set();
+
+/**
+ * Make row 1 of a sheet match the current header list. Sheets created before
+ * later columns existed get the missing headers; checked once per process.
+ * @param {Object} auth Sheets auth client
+ * @param {string} spreadsheetId Spreadsheet ID
+ * @param {string} sheetTitle Sheet name
+ * @param {Array<string>} headers Header for every column, in order
+ */
+export async function ensureHeaderRow(auth, spreadsheetId, sheetTitle, headers) {
+  const key = `${spreadsheetId}/${sheetTitle}`;
+  if (checkedHeaderRows.has(key)) {
+    return;
+  }
+
+  const response = await sheets.spreadsheets.values.get({
+    auth,
+    spreadsheetId,
+    range: `${sheetTitle}!1:1`
+  });
+  const current = response.data.values?.[0] || [];
+
+  if (headers.some((header, index) => current[index] !== header)) {
+    await sheets.spreadsheets.values.update({
+      auth,
+      spreadsheetId,
+      range: `${sheetTitle}!A1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [headers] }
+    });
+
+    logger.info('Sheet header row updated', {
+      sheet: sheetTitle,
+      previousColumns: current.length,
+      columns: headers.length
+    });
+  }
+
+  checkedHeaderRows.add(key);
+}
@@ -0,0 +1,39 @@
+import { Firestore } from '@google-cloud/firestore';
+import { logger } from './logger.js';
+
+let client = null;
+
+/**
+ * Shared Firestore client. State kept here is seen by every Cloud Run
+ * instance and survives restarts and deploys, unlike STATE_DIR files.
+ * @returns {Firestore} Firestore client
+ */
+export function getFirestore() {
+  if (!client) {
+    const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID || process.env.PROJECT_ID;
+    const databaseId = process.env.FIRESTORE_DATABASE || '(default)';
+
+    client = new Firestore({ projectId, databaseId, ignoreUndefinedProperties: true });
+    logger.info('Firestore client initialized', { projectId, databaseId });
+  }
+  return client;
+}
+
+/**
+ * Get a collection, prefixed with FIRESTORE_COLLECTION_PREFIX so several
+ * deployments can share one database
+ * @param {string} name Collection name
+ * @returns {import('@google-cloud/firestore').CollectionReference} Collection
+ */
+export function getCollection(name) {
+  const prefix = process.env.FIRESTORE_COLLECTION_PREFIX ?? 'michelle-';
+  return getFirestore().collection(`${prefix}${name}`);
+}
+
+/**
+ * Replace the shared Firestore client (tests and custom wiring)
+ * @param {Firestore|Object} firestore Firestore client
+ */
+export function setFirestore(firestore) {
+  client = firestore;
+}
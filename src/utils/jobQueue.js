@@ -0,0 +1,247 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+import { recordMetric } from './monitoring.js';
+
+export const JobState = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRY_WAIT: 'retry_wait',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * In-process work queue. Jobs sharing a key run one at a time in the order
+ * they were added; different keys run in parallel up to the concurrency
+ * limit. Failed jobs are retried with exponential backoff and end up in a
+ * bounded dead-letter list once their attempts are used up. Nothing is
+ * persisted, so callers must be able to redo work lost on restart.
+ */
+class JobQueue {
+  /**
+   * @param {string} name Queue name, used in logs and metrics
+   * @param {Object} [options] Queue options
+   * @param {number} [options.concurrency] Jobs running at once
+   * @param {number} [options.maxQueued] Waiting jobs accepted before enqueue is refused
+   * @param {number} [options.maxAttempts] Attempts per job, including the first
+   * @param {number} [options.retryDelay] Backoff before the first retry in ms, doubled per attempt
+   * @param {number} [options.maxDeadLetters] Failed jobs kept for inspection
+   */
+  constructor(name, {
+    concurrency = 2,
+    maxQueued = 500,
+    maxAttempts = 3,
+    retryDelay = 5000,
+    maxDeadLetters = 100
+  } = {}) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueued = maxQueued;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryDelay = retryDelay;
+    this.maxDeadLetters = maxDeadLetters;
+
+    this.waiting = [];
+    this.activeKeys = new Set();
+    this.running = new Map();
+    this.retrying = new Map();
+    this.deadLetters = [];
+    this.counters = { enqueued: 0, succeeded: 0, retried: 0, failed: 0, rejected: 0 };
+  }
+
+  /**
+   * Add a job. The returned job's `done` promise never rejects; it resolves
+   * to a result object once the job succeeds or is dead-lettered.
+   * @param {Object} params Job parameters
+   * @param {string} params.key Serialization key (e.g. a thread ID)
+   * @param {string} params.type Job type, for inspection
+   * @param {Function} params.run Async work, called with { attempt, finalAttempt };
+   *   throwing triggers a retry
+   * @param {Object} [params.data] Small JSON context shown in inspection
+   * @returns {Object|null} Job with id and done promise, or null when the queue is full
+   */
+  enqueue({ key, type, run, data = {} }) {
+    if (this.waiting.length >= this.maxQueued) {
+      this.counters.rejected++;
+      logger.warn('Job queue full, rejecting job', {
+        queue: this.name,
+        type,
+        key,
+        waiting: this.waiting.length,
+        maxQueued: this.maxQueued
+      });
+      recordMetric('job_queue_rejected', 1);
+      return null;
+    }
+
+    const job = {
+      id: uuidv4(),
+      key,
+      type,
+      data,
+      run,
+      state: JobState.QUEUED,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      startedAt: null,
+      lastError: null
+    };
+    job.done = new Promise(resolve => {
+      job.resolve = resolve;
+    });
+
+    this.waiting.push(job);
+    this.counters.enqueued++;
+
+    logger.debug('Job enqueued', { queue: this.name, jobId: job.id, type, key, waiting: this.waiting.length });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Find a job with this key that has not started yet (not running or retrying)
+   * @param {string} key Serialization key
+   * @returns {Object|null} Waiting job
+   */
+  findWaiting(key) {
+    return this.waiting.find(job => job.key === key) || null;
+  }
+
+  /**
+   * Snapshot of queued, running and failed jobs
+   * @returns {Object} Queue inspection data
+   */
+  inspect() {
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      counters: { ...this.counters },
+      queued: this.waiting.map(describeJob),
+      running: [...this.running.values()].map(describeJob),
+      retrying: [...this.retrying.values()].map(describeJob),
+      failed: this.deadLetters.map(describeJob)
+    };
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency) {
+      // Oldest job whose key is free; later jobs for a busy key keep their place
+      const index = this.waiting.findIndex(job => !this.activeKeys.has(job.key));
+      if (index === -1) {
+        return;
+      }
+
+      const [job] = this.waiting.splice(index, 1);
+      this.activeKeys.add(job.key);
+      this.execute(job);
+    }
+  }
+
+  async execute(job) {
+    job.state = JobState.RUNNING;
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    this.running.set(job.id, job);
+
+    try {
+      const result = await job.run({
+        attempt: job.attempts,
+        finalAttempt: job.attempts >= this.maxAttempts
+      });
+      this.running.delete(job.id);
+      this.finish(job, JobState.SUCCEEDED, { success: true, result });
+    } catch (error) {
+      this.running.delete(job.id);
+      job.lastError = error.message;
+
+      if (job.attempts < this.maxAttempts) {
+        this.scheduleRetry(job, error);
+      } else {
+        this.deadLetter(job, error);
+      }
+    }
+
+    this.drain();
+  }
+
+  // The key stays held while waiting so later jobs for it can't overtake
+  scheduleRetry(job, error) {
+    const delay = this.retryDelay * 2 ** (job.attempts - 1);
+    job.state = JobState.RETRY_WAIT;
+    job.retryAt = new Date(Date.now() + delay).toISOString();
+    this.retrying.set(job.id, job);
+    this.counters.retried++;
+
+    logger.warn('Job failed, retrying', {
+      queue: this.name,
+      jobId: job.id,
+      type: job.type,
+      key: job.key,
+      attempt: job.attempts,
+      maxAttempts: this.maxAttempts,
+      retryInMs: delay,
+      error: error.message
+    });
+
+    const timer = setTimeout(() => {
+      this.retrying.delete(job.id);
+      this.activeKeys.delete(job.key);
+      // Back to the front so it keeps its order relative to the key's other jobs
+      this.waiting.unshift(job);
+      job.state = JobState.QUEUED;
+      this.drain();
+    }, delay);
+    timer.unref();
+  }
+
+  deadLetter(job, error) {
+    this.deadLetters.push(job);
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
+
+    logger.error('Job failed permanently, moved to dead letters', {
+      queue: this.name,
+      jobId: job.id,
+      type: job.type,
+      key: job.key,
+      attempts: job.attempts,
+      data: job.data,
+      error: error.message,
+      stack: error.stack
+    });
+    recordMetric('job_queue_dead_letters', 1);
+
+    this.finish(job, JobState.FAILED, {
+      success: false,
+      error: { code: 'JOB_FAILED', message: error.message }
+    });
+  }
+
+  finish(job, state, outcome) {
+    job.state = state;
+    job.finishedAt = new Date().toISOString();
+    this.activeKeys.delete(job.key);
+    this.counters[state === JobState.SUCCEEDED ? 'succeeded' : 'failed']++;
+    job.resolve({ jobId: job.id, attempts: job.attempts, ...outcome });
+  }
+}
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    key: job.key,
+    state: job.state,
+    attempts: job.attempts,
+    data: job.data,
+    enqueuedAt: job.enqueuedAt,
+    startedAt: job.startedAt,
+    retryAt: job.retryAt || null,
+    finishedAt: job.finishedAt || null,
+    lastError: job.lastError
+  };
+}
+
+export { JobQueue };
@@ -17,7 +17,7 @@ const throttledRecord = pThrottle({
   interval: 60 * 1000 // 1 minute
 });
 
-export const recordMetric = throttledRecord(async (name, value = 1) => {
+const writeMetric = throttledRecord(async (name, value = 1) => {
   try {
     // Create cache key using metric name and current minute
     const cacheKey = `${name}-${Math.floor(Date.now() / 60000)}`;
@@ -77,4 +77,18 @@ export const recordMetric = throttledRecord(async (name, value = 1) => {
       value
     });
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Write a custom metric to Cloud Monitoring. Skipped without PROJECT_ID
+ * (local runs and tests), where there is nowhere to write it.
+ * @param {string} name Metric name under custom.googleapis.com/gmail_processor/
+ * @param {number} [value] Integer value
+ * @returns {Promise<void>}
+ */
+export function recordMetric(name, value = 1) {
+  if (!process.env.PROJECT_ID) {
+    return Promise.resolve();
+  }
+  return writeMetric(name, value);
+}
@@ -0,0 +1,167 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getCollection, getFirestore } from './firestore.js';
+import { logger } from './logger.js';
+
+const STATE_DIR = process.env.STATE_DIR || path.join(process.cwd(), '.state');
+
+export const StateBackend = {
+  FIRESTORE: 'firestore',
+  FILE: 'file'
+};
+
+const stores = new Map();
+
+/**
+ * Small JSON document persisted to disk. Writes go through a temp file and a
+ * rename so a crash never leaves a half-written state file behind, and updates
+ * are serialized so concurrent callers don't overwrite each other.
+ */
+class JsonStateStore {
+  constructor(name, directory = STATE_DIR) {
+    this.name = name;
+    this.filePath = path.join(directory, `${name}.json`);
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Read the current state
+   * @returns {Promise<Object>} Stored state, or an empty object if none exists
+   */
+  async read() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      logger.error('Error reading state file:', {
+        error: error.message,
+        store: this.name,
+        filePath: this.filePath
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the stored state
+   * @param {Object} state New state
+   */
+  async write(state) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Apply an update function to the stored state
+   * @param {Function} updater Receives the current state and returns the next state
+   * @returns {Promise<Object>} The state that was written
+   */
+  update(updater) {
+    const run = this.pending.then(async () => {
+      const current = await this.read();
+      const next = await updater(current);
+      await this.write(next);
+      return next;
+    });
+
+    // Keep the chain alive even when an update fails
+    this.pending = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Small JSON document kept in Firestore, so every instance sees the same
+ * state and it survives restarts and deploys. Updates run in a transaction;
+ * on contention the updater is called again with the fresh state, so it must
+ * not depend on having run only once. Documents are limited to 1MB.
+ */
+class FirestoreStateStore {
+  constructor(name, collection = 'state') {
+    this.name = name;
+    this.ref = getCollection(collection).doc(name);
+  }
+
+  /**
+   * Read the current state
+   * @returns {Promise<Object>} Stored state, or an empty object if none exists
+   */
+  async read() {
+    try {
+      return parseDocument(await this.ref.get());
+    } catch (error) {
+      logger.error('Error reading state document:', {
+        error: error.message,
+        store: this.name
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the stored state
+   * @param {Object} state New state
+   */
+  async write(state) {
+    await this.ref.set(toDocument(state));
+  }
+
+  /**
+   * Apply an update function to the stored state
+   * @param {Function} updater Receives the current state and returns the next state
+   * @returns {Promise<Object>} The state that was written
+   */
+  update(updater) {
+    return getFirestore().runTransaction(async transaction => {
+      const current = parseDocument(await transaction.get(this.ref));
+      const next = await updater(current);
+      transaction.set(this.ref, toDocument(next));
+      return next;
+    });
+  }
+}
+
+// Stored as a JSON string so any key (message IDs, dates) is allowed
+function toDocument(state) {
+  return { data: JSON.stringify(state), updatedAt: new Date().toISOString() };
+}
+
+function parseDocument(snapshot) {
+  return snapshot.exists ? JSON.parse(snapshot.get('data')) : {};
+}
+
+/**
+ * Where shared state lives: STATE_BACKEND, defaulting to Firestore when
+ * NODE_ENV=production and to files under STATE_DIR elsewhere
+ * @returns {string} Backend from StateBackend
+ */
+export function getStateBackend() {
+  const backend = process.env.STATE_BACKEND
+    || (process.env.NODE_ENV === 'production' ? StateBackend.FIRESTORE : StateBackend.FILE);
+
+  if (!Object.values(StateBackend).includes(backend)) {
+    throw new Error(`Unknown state backend: ${backend}`);
+  }
+  return backend;
+}
+
+/**
+ * Get the shared state store for a name, in the backend from getStateBackend
+ * @param {string} name Store name, used as the file or document name
+ * @returns {JsonStateStore|FirestoreStateStore} State store
+ */
+export function getStateStore(name) {
+  if (!stores.has(name)) {
+    stores.set(name, getStateBackend() === StateBackend.FIRESTORE
+      ? new FirestoreStateStore(name)
+      : new JsonStateStore(name));
+  }
+  return stores.get(name);
+}
+
+export { FirestoreStateStore, JsonStateStore, STATE_DIR };
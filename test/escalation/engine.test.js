@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, afterEach, test } from 'node:test';
+import {
+  EscalationMethod,
+  getEscalationConfig,
+  loadEscalationRules,
+  matchEscalation
+} from '../../src/services/escalation/index.js';
+
+const configDir = mkdtempSync(path.join(tmpdir(), 'escalation-'));
+after(() => rmSync(configDir, { recursive: true, force: true }));
+
+const savedEnv = { ...process.env };
+afterEach(() => {
+  process.env = { ...savedEnv };
+});
+
+const bundled = loadEscalationRules();
+
+const classification = overrides => ({
+  intent: 'GENERAL_INQUIRY',
+  urgency: 'medium',
+  sentiment: 'neutral',
+  suggestedResponseType: 'brief',
+  requiresReply: true,
+  ...overrides
+});
+
+function writeRules(name, rules) {
+  const file = path.join(configDir, `${name}.json`);
+  writeFileSync(file, JSON.stringify(rules));
+  return file;
+}
+
+test('payment problems needing a reply are escalated', () => {
+  const match = matchEscalation(classification({ intent: 'PAYMENT_ISSUE' }), {}, bundled);
+
+  assert.deepEqual(match, {
+    ruleId: 'payment-issue',
+    description: 'Billing and payment problems go straight to staff',
+    rulesVersion: bundled.version
+  });
+  assert.equal(matchEscalation(classification({ intent: 'PAYMENT_ISSUE', requiresReply: false }), {}, bundled), null);
+});
+
+test('only negative feedback is escalated', () => {
+  assert.equal(matchEscalation(classification({ intent: 'FEEDBACK', sentiment: 'negative' }), {}, bundled).ruleId, 'negative-feedback');
+  assert.equal(matchEscalation(classification({ intent: 'FEEDBACK', sentiment: 'positive' }), {}, bundled), null);
+});
+
+test('the first matching rule wins', () => {
+  // Matches both payment-issue and high-urgency; the earlier rule decides
+  const match = matchEscalation(classification({ intent: 'PAYMENT_ISSUE', urgency: 'high' }), {}, bundled);
+
+  assert.equal(match.ruleId, 'payment-issue');
+  assert.equal(matchEscalation(classification({ urgency: 'high' }), {}, bundled).ruleId, 'high-urgency');
+});
+
+test('routine mail is not escalated', () => {
+  assert.equal(matchEscalation(classification(), {}, bundled), null);
+  assert.equal(matchEscalation(null, {}, bundled), null);
+});
+
+test('context facts can be matched alongside the classification', () => {
+  const rules = { version: 'test', rules: [{ id: 'vip', when: { senderTier: 'vip' } }] };
+
+  assert.equal(matchEscalation(classification(), { senderTier: 'vip' }, rules).ruleId, 'vip');
+  assert.equal(matchEscalation(classification(), { senderTier: 'standard' }, rules), null);
+});
+
+test('invalid rules files are rejected', () => {
+  assert.throws(() => loadEscalationRules(writeRules('no-version', { rules: [] })), /must have a version/);
+  assert.throws(
+    () => loadEscalationRules(writeRules('duplicate', {
+      version: 'test',
+      rules: [{ id: 'a', when: {} }, { id: 'a', when: {} }]
+    })),
+    /unique and non-empty: a/
+  );
+  assert.throws(
+    () => loadEscalationRules(writeRules('no-when', { version: 'test', rules: [{ id: 'a' }] })),
+    /must define "when"/
+  );
+});
+
+test('escalation stays off until a recipient is configured', () => {
+  delete process.env.ESCALATION_EMAIL;
+  delete process.env.ESCALATION_METHOD;
+  assert.deepEqual(getEscalationConfig(), { enabled: false, recipient: null, method: EscalationMethod.SUMMARY });
+
+  process.env.ESCALATION_EMAIL = 'staff@example.com';
+  process.env.ESCALATION_METHOD = 'FORWARD';
+  assert.deepEqual(getEscalationConfig(), { enabled: true, recipient: 'staff@example.com', method: EscalationMethod.FORWARD });
+
+  process.env.ESCALATION_METHOD = 'pager';
+  assert.equal(getEscalationConfig().method, EscalationMethod.SUMMARY);
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { combineVisionImages } from '../../src/services/gmail/attachments.js';
+
+const MB = 1024 * 1024;
+
+const image = (filename, size) => ({ filename, size, buffer: Buffer.alloc(0) });
+const scannedDocument = (filename, pages, size) => ({
+  filename,
+  scanned: true,
+  images: Array.from({ length: pages }, (_, index) => image(`${filename}-page-${index + 1}.jpg`, size))
+});
+
+test('rendered document pages count against the image limit', () => {
+  const photos = Array.from({ length: 9 }, (_, index) => image(`photo-${index}.jpg`, MB));
+  const document = scannedDocument('scan.pdf', 2, MB);
+
+  const combined = combineVisionImages(photos, [document]);
+
+  assert.equal(combined.length, 10);
+  assert.equal(document.images.length, 1);
+  assert.equal(document.omittedPages, 1);
+});
+
+test('rendered document pages count against the total size limit', () => {
+  const photos = [image('photo.jpg', 18 * MB)];
+  const document = scannedDocument('scan.pdf', 2, 1.5 * MB);
+
+  const combined = combineVisionImages(photos, [document]);
+
+  assert.deepEqual(combined.map(item => item.filename), ['photo.jpg', 'scan.pdf-page-1.jpg']);
+  assert.equal(document.omittedPages, 1);
+});
+
+test('documents within the limits keep all their pages', () => {
+  const document = scannedDocument('scan.pdf', 2, MB);
+
+  const combined = combineVisionImages([image('photo.jpg', MB)], [document]);
+
+  assert.equal(combined.length, 3);
+  assert.equal(document.images.length, 2);
+  assert.equal(document.omittedPages, undefined);
+});
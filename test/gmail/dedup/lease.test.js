@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { test } from 'node:test';
+import { MemoryDedupStore, setDedupStore, withThreadLease } from '../../../src/services/gmail/dedup/index.js';
+
+test('the lease is renewed while slow work runs and released afterwards', async () => {
+  const store = new MemoryDedupStore();
+  setDedupStore(store);
+
+  const work = withThreadLease('thread-1', async () => {
+    await sleep(250);
+    return 'sent';
+  }, { ttlMs: 90 });
+
+  // Well past the original TTL another worker still cannot take the thread
+  await sleep(180);
+  assert.equal(await store.acquireLease('thread-1', 'other-instance', 90), false);
+
+  assert.deepEqual(await work, { acquired: true, result: 'sent' });
+  assert.equal(await store.acquireLease('thread-1', 'other-instance', 90), true);
+});
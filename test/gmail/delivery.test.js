@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { DeliveryMode, DeliveryStatus, deliverReply } from '../../src/services/gmail/delivery.js';
+import { setScheduleStore } from '../../src/services/gmail/schedule/store.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// A send window only on tomorrow (UTC), so a reply sent now is scheduled and
+// its envelope can be read back without calling Gmail
+const entries = [];
+setScheduleStore({ create: async entry => entries.push(entry) });
+Object.assign(process.env, {
+  SEND_WINDOW_ENABLED: 'true',
+  SEND_WINDOW_TIMEZONE: 'company',
+  COMPANY_TIMEZONE: 'UTC',
+  SEND_WINDOW_DAYS: DAY_NAMES[(new Date().getUTCDay() + 1) % 7]
+});
+
+after(() => {
+  setScheduleStore(null);
+  for (const name of ['SEND_WINDOW_ENABLED', 'SEND_WINDOW_TIMEZONE', 'COMPANY_TIMEZONE', 'SEND_WINDOW_DAYS']) {
+    delete process.env[name];
+  }
+});
+
+test('automatically sent replies go to the sender only', async () => {
+  const original = {
+    id: 'message-1',
+    threadId: 'thread-1',
+    payload: {
+      headers: [
+        { name: 'From', value: 'Jane Doe <jane@example.com>' },
+        { name: 'To', value: 'info@appraisily.com' },
+        { name: 'Cc', value: 'Bob <bob@example.com>' },
+        { name: 'Subject', value: 'Appraisal status' }
+      ]
+    }
+  };
+
+  const delivery = await deliverReply(null, { original, reply: 'Your appraisal is in progress.', mode: DeliveryMode.SEND });
+
+  assert.equal(delivery.status, DeliveryStatus.SCHEDULED);
+  assert.equal(entries[0].envelope.to, 'Jane Doe <jane@example.com>');
+  assert.equal(entries[0].envelope.cc, '');
+});
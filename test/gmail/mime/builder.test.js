@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MAX_MESSAGE_BYTES, MessageValidationError, buildMimeMessage, buildRawMessage } from '../../../src/services/gmail/mime/index.js';
+
+const base = {
+  to: 'Jane Doe <jane@example.com>',
+  subject: 'Re: Your appraisal',
+  html: '<p>Hello <b>Jane</b></p>'
+};
+
+const headerBlock = message => message.split('\r\n\r\n')[0].split('\r\n');
+const boundaryOf = (message, subtype) =>
+  message.match(new RegExp(`Content-Type: multipart/${subtype}; boundary="([^"]+)"`))?.[1];
+
+test('a plain reply is multipart/alternative with text derived from the HTML', () => {
+  const message = buildMimeMessage({ ...base, inReplyTo: '<parent@example.com>', references: '<root@example.com> <parent@example.com>' });
+  const headers = headerBlock(message);
+  const boundary = boundaryOf(message, 'alternative');
+
+  assert.ok(headers.includes('MIME-Version: 1.0'));
+  assert.ok(headers.includes('To: Jane Doe <jane@example.com>'));
+  assert.ok(headers.includes('In-Reply-To: <parent@example.com>'));
+  assert.ok(headers.includes('References: <root@example.com> <parent@example.com>'));
+  assert.ok(boundary);
+  assert.equal(message.split(`--${boundary}\r\n`).length - 1, 2);
+  assert.ok(message.endsWith(`--${boundary}--`));
+
+  const [plain, html] = message.split(`--${boundary}\r\n`).slice(1);
+  assert.match(plain, /^Content-Type: text\/plain; charset=UTF-8/);
+  assert.equal(Buffer.from(plain.split('\r\n\r\n')[1], 'base64').toString(), 'Hello Jane');
+  assert.match(html, /^Content-Type: text\/html; charset=UTF-8/);
+});
+
+test('inline images and attachments nest related inside mixed', () => {
+  const message = buildMimeMessage({
+    ...base,
+    inlineImages: [{ filename: 'logo.png', mimeType: 'image/png', content: Buffer.from('png'), contentId: 'logo' }],
+    attachments: [{ filename: 'tasación.pdf', mimeType: 'application/pdf', content: Buffer.from('%PDF') }]
+  });
+
+  const mixed = boundaryOf(message, 'mixed');
+  const related = boundaryOf(message, 'related');
+  assert.ok(mixed && related && boundaryOf(message, 'alternative'));
+  assert.ok(message.indexOf(`boundary="${mixed}"`) < message.indexOf(`boundary="${related}"`));
+  assert.match(message, /Content-Disposition: inline; filename="logo\.png"\r\nContent-ID: <logo>/);
+  assert.match(message, /Content-Disposition: attachment; filename="tasaci_n\.pdf"; filename\*=UTF-8''tasaci%C3%B3n\.pdf/);
+});
+
+test('header injection through any field is rejected', () => {
+  const injections = [
+    { subject: 'Hi\r\nBcc: victim@example.com' },
+    { to: 'jane@example.com\nBcc: victim@example.com' },
+    { cc: 'bob@example.com\r\nX-Injected: 1' },
+    { inReplyTo: '<parent@example.com>\r\nBcc: victim@example.com' },
+    { references: '<a@example.com>\n<b@example.com>' },
+    { attachments: [{ filename: 'a.pdf', mimeType: 'application/pdf\r\nX-Injected: 1', content: Buffer.from('x') }] }
+  ];
+
+  for (const injection of injections) {
+    assert.throws(() => buildMimeMessage({ ...base, ...injection }), MessageValidationError);
+  }
+});
+
+test('invalid messages are rejected with a validation error', () => {
+  assert.throws(() => buildMimeMessage({ ...base, to: '' }), /no recipient/);
+  assert.throws(() => buildMimeMessage({ ...base, attachments: [{ filename: 'a.pdf' }] }), /filename and content/);
+  assert.throws(
+    () => buildMimeMessage({ ...base, inlineImages: [{ filename: 'logo.png', mimeType: 'image/png', content: Buffer.from('x') }] }),
+    /has no contentId/
+  );
+  assert.throws(
+    () => buildMimeMessage({ ...base, attachments: [{ filename: 'a', mimeType: 'not a type', content: Buffer.from('x') }] }),
+    /Invalid attachment content type/
+  );
+});
+
+test('messages over 25MB once encoded are rejected', () => {
+  // 19MB grows past 25MB as base64
+  const attachments = [{ filename: 'scan.tiff', mimeType: 'image/tiff', content: Buffer.alloc(19 * 1024 * 1024) }];
+
+  assert.equal(MAX_MESSAGE_BYTES, 25 * 1024 * 1024);
+  assert.throws(() => buildMimeMessage({ ...base, attachments }), /exceeds the 25MB size limit/);
+});
+
+test('raw messages are base64url without padding', () => {
+  const raw = buildRawMessage(base);
+
+  assert.match(raw, /^[A-Za-z0-9_-]+$/);
+  assert.match(Buffer.from(raw, 'base64url').toString(), /^MIME-Version: 1\.0\r\n/);
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MessageValidationError, assertSafeHeader, encodeAddressList, encodeHeaderValue } from '../../../src/services/gmail/mime/index.js';
+import { encodeFilenameParam, toBase64Lines } from '../../../src/services/gmail/mime/encoding.js';
+
+const decodeWords = value => value
+  .split('\r\n ')
+  .map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString())
+  .join('');
+
+test('header values with line breaks or NUL are rejected', () => {
+  for (const value of ['Hello\r\nBcc: victim@example.com', 'Hello\nX-Injected: 1', 'Hello\0']) {
+    assert.throws(() => assertSafeHeader('Subject', value), MessageValidationError);
+    assert.throws(() => encodeHeaderValue('Subject', value), /line breaks are not allowed/);
+  }
+  assert.throws(() => encodeAddressList('To', 'jane@example.com\r\nBcc: victim@example.com'), MessageValidationError);
+});
+
+test('ASCII subjects are left as they are', () => {
+  assert.equal(encodeHeaderValue('Subject', 'Re: Your appraisal'), 'Re: Your appraisal');
+});
+
+test('non-ASCII subjects become RFC 2047 encoded-words without splitting characters', () => {
+  const subject = 'Re: Tasación de su pintura — 絵画の鑑定について 🎨🎨🎨';
+  const encoded = encodeHeaderValue('Subject', subject);
+  const words = encoded.split('\r\n ');
+
+  assert.ok(words.length > 1);
+  for (const word of words) {
+    assert.match(word, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+    assert.ok(word.length <= 75);
+    // Each word decodes on its own, so no multi-byte character was cut
+    assert.doesNotMatch(Buffer.from(word.slice(10, -2), 'base64').toString(), /�/);
+  }
+  assert.equal(decodeWords(encoded), subject);
+});
+
+test('address lists encode non-ASCII display names and reject invalid addresses', () => {
+  assert.equal(
+    encodeAddressList('To', 'José Núñez <jose@example.com>, "Smith, Bob" <bob@example.com>'),
+    `${encodeHeaderValue('To', 'José Núñez')} <jose@example.com>, "Smith, Bob" <bob@example.com>`
+  );
+  assert.throws(() => encodeAddressList('To', 'Jane <jane at example.com>'), /Invalid To address/);
+});
+
+test('non-ASCII filenames get an RFC 2231 parameter and an ASCII fallback', () => {
+  assert.equal(encodeFilenameParam('filename', 'report.pdf'), 'filename="report.pdf"');
+  assert.equal(
+    encodeFilenameParam('filename', 'tasación (1).pdf'),
+    'filename="tasaci_n (1).pdf"; filename*=UTF-8\'\'tasaci%C3%B3n%20%281%29.pdf'
+  );
+  assert.equal(encodeFilenameParam('name', 'a"b\\c.txt'), 'name="a_b_c.txt"');
+  assert.throws(() => encodeFilenameParam('filename', 'a.pdf\r\nX-Injected: 1'), MessageValidationError);
+});
+
+test('base64 content is wrapped at 76 characters', () => {
+  const lines = toBase64Lines(Buffer.alloc(200, 1)).split('\r\n');
+
+  assert.ok(lines.every(line => line.length <= 76));
+  assert.equal(lines[0].length, 76);
+});
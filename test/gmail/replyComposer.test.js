@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { composeReply, normalizeReplySubject } from '../../src/services/gmail/replyComposer.js';
+
+const OUR_EMAIL = 'info@appraisily.com';
+
+const message = headers => ({
+  id: 'message-1',
+  threadId: 'thread-1',
+  payload: { headers: Object.entries(headers).map(([name, value]) => ({ name, value })) }
+});
+
+test('reply prefixes collapse into a single Re:', () => {
+  assert.equal(normalizeReplySubject('Painting appraisal'), 'Re: Painting appraisal');
+  assert.equal(normalizeReplySubject('RE: Re: AW: Painting appraisal'), 'Re: Painting appraisal');
+  assert.equal(normalizeReplySubject('Re[2]: SV: Painting appraisal'), 'Re: Painting appraisal');
+  assert.equal(normalizeReplySubject(''), 'Re:');
+});
+
+test('reply-all copies other recipients once and never our own address', () => {
+  const envelope = composeReply(message({
+    From: 'Jane Doe <jane@example.com>',
+    To: `Appraisily <${OUR_EMAIL}>, "Smith, Bob" <bob@example.com>`,
+    Cc: 'JANE@example.com, bob@example.com, Ann <ann@example.com>',
+    Subject: 'Re: My painting'
+  }), { ourEmail: OUR_EMAIL });
+
+  assert.equal(envelope.to, 'Jane Doe <jane@example.com>');
+  assert.equal(envelope.cc, '"Smith, Bob" <bob@example.com>, Ann <ann@example.com>');
+  assert.equal(envelope.subject, 'Re: My painting');
+  assert.equal(envelope.threadId, 'thread-1');
+});
+
+test('without reply-all only the sender, or their Reply-To, is addressed', () => {
+  const envelope = composeReply(message({
+    From: 'Jane Doe <jane@example.com>',
+    'Reply-To': 'Jane Office <office@example.com>',
+    To: OUR_EMAIL,
+    Cc: 'bob@example.com'
+  }), { ourEmail: OUR_EMAIL, replyAll: false });
+
+  assert.equal(envelope.to, 'Jane Office <office@example.com>');
+  assert.equal(envelope.cc, '');
+});
+
+test('References keep the 20 most recent ids and end with the answered message', () => {
+  const ancestors = Array.from({ length: 25 }, (_, index) => `<id-${index}@example.com>`);
+  const envelope = composeReply(message({
+    From: 'jane@example.com',
+    'Message-ID': '<latest@example.com>',
+    References: [...ancestors, ancestors[3]].join(' ')
+  }), { ourEmail: OUR_EMAIL });
+
+  const references = envelope.references.split(' ');
+  assert.equal(envelope.inReplyTo, '<latest@example.com>');
+  assert.equal(references.length, 20);
+  assert.equal(references.at(-1), '<latest@example.com>');
+  assert.equal(references[0], '<id-6@example.com>');
+  assert.equal(new Set(references).size, 20);
+});
+
+test('References fall back to In-Reply-To when the original has none', () => {
+  const envelope = composeReply(message({
+    From: 'jane@example.com',
+    'Message-ID': '<latest@example.com>',
+    'In-Reply-To': '<parent@example.com>'
+  }), { ourEmail: OUR_EMAIL });
+
+  assert.equal(envelope.references, '<parent@example.com> <latest@example.com>');
+});
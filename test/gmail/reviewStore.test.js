@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// STATE_DIR is read when the state store module loads
+const stateDir = mkdtempSync(path.join(tmpdir(), 'review-store-'));
+process.env.STATE_DIR = stateDir;
+const { FileReviewStore } = await import('../../src/services/gmail/reviewStore.js');
+
+after(() => rmSync(stateDir, { recursive: true, force: true }));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const review = (draftId, status = 'pending', createdAt = new Date().toISOString()) => ({
+  draftId,
+  threadId: `thread-${draftId}`,
+  currentReply: 'Thanks, we are on it.',
+  status,
+  createdAt
+});
+
+test('reviews are read back by draft and listed by status', async () => {
+  const store = new FileReviewStore('list-test');
+  await store.create(review('a'));
+  await store.create(review('b', 'sent'));
+
+  assert.equal((await store.get('a')).threadId, 'thread-a');
+  assert.equal(await store.get('missing'), null);
+  assert.deepEqual((await store.list({ statuses: ['pending', 'processing'] })).map(({ draftId }) => draftId), ['a']);
+  assert.equal((await store.list()).length, 2);
+});
+
+test('an update applies only when the change function returns changes', async () => {
+  const store = new FileReviewStore('update-test');
+  await store.create(review('a'));
+
+  const claim = current => current.status === 'pending' ? { status: 'processing' } : null;
+
+  const first = await store.update('a', claim);
+  const second = await store.update('a', claim);
+
+  assert.equal(first.previous.status, 'pending');
+  assert.equal(first.review.status, 'processing');
+  assert.equal(first.review.currentReply, 'Thanks, we are on it.');
+  assert.equal(second.previous.status, 'processing');
+  assert.equal(second.review, null);
+  assert.equal((await store.get('a')).status, 'processing');
+});
+
+test('updating a missing draft changes nothing', async () => {
+  const store = new FileReviewStore('missing-test');
+
+  const result = await store.update('missing', () => ({ status: 'sent' }));
+
+  assert.deepEqual(result, { previous: null, review: null });
+  assert.equal((await store.list()).length, 0);
+});
+
+test('reviews older than 90 days are dropped when a new one is recorded', async () => {
+  const store = new FileReviewStore('prune-test');
+  await store.create(review('old', 'sent', new Date(Date.now() - 91 * DAY).toISOString()));
+  await store.create(review('new'));
+
+  assert.equal(await store.get('old'), null);
+  assert.ok(await store.get('new'));
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// STATE_DIR is read when the state store module loads
+const stateDir = mkdtempSync(path.join(tmpdir(), 'schedule-store-'));
+process.env.STATE_DIR = stateDir;
+const { FileScheduleStore } = await import('../../../src/services/gmail/schedule/store.js');
+
+after(() => rmSync(stateDir, { recursive: true, force: true }));
+
+const entry = (id, threadId) => ({
+  id,
+  threadId,
+  status: 'scheduled',
+  attempts: 0,
+  sendAt: new Date().toISOString(),
+  createdAt: new Date().toISOString()
+});
+
+test('entries are listed by status and thread', async () => {
+  const store = new FileScheduleStore('list-test');
+  await store.create(entry('a', 'thread-1'));
+  await store.create(entry('b', 'thread-2'));
+
+  const inThread = await store.list({ status: 'scheduled', threadId: 'thread-1' });
+
+  assert.deepEqual(inThread.map(({ id }) => id), ['a']);
+  assert.equal((await store.list({ status: 'sent' })).length, 0);
+});
+
+test('a transition only applies from the expected status', async () => {
+  const store = new FileScheduleStore('transition-test');
+  await store.create(entry('a', 'thread-1'));
+
+  const claimed = await store.transition('a', 'scheduled', current => ({
+    status: 'sending',
+    attempts: current.attempts + 1
+  }));
+  const cancelled = await store.transition('a', 'scheduled', { status: 'cancelled' });
+
+  assert.equal(claimed.status, 'sending');
+  assert.equal(claimed.attempts, 1);
+  assert.equal(cancelled, null);
+  assert.equal((await store.list({ threadId: 'thread-1' }))[0].status, 'sending');
+});
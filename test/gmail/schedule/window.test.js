@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getScheduledSendTime } from '../../../src/services/gmail/schedule/window.js';
+
+const window = (start, end, days = [1, 2, 3, 4, 5]) => ({
+  start,
+  end,
+  days: new Set(days)
+});
+
+// 2026-10-19 is a Monday
+const at = time => new Date(`2026-10-19T${time}:00Z`);
+
+test('a window shorter than the search step is found on the next day', () => {
+  const sendAt = getScheduledSendTime(at('09:20'), window(9 * 60, 9 * 60 + 10), '+00:00');
+
+  assert.equal(sendAt.toISOString(), '2026-10-20T09:00:00.000Z');
+});
+
+test('a short window opening off the quarter hour is found to the minute', () => {
+  const sendAt = getScheduledSendTime(at('08:00'), window(9 * 60 + 7, 9 * 60 + 12), '+00:00');
+
+  assert.equal(sendAt.toISOString(), '2026-10-19T09:07:00.000Z');
+});
+
+test('the opening is measured in the recipient offset', () => {
+  const sendAt = getScheduledSendTime(at('06:00'), window(9 * 60, 9 * 60 + 5), '+02:00');
+
+  assert.equal(sendAt.toISOString(), '2026-10-19T07:00:00.000Z');
+});
+
+test('no send time inside the window or when it never opens', () => {
+  assert.equal(getScheduledSendTime(at('09:03'), window(9 * 60, 9 * 60 + 5), '+00:00'), null);
+  assert.equal(getScheduledSendTime(at('20:00'), window(9 * 60, 18 * 60, []), '+00:00'), null);
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { extractEmailBody, htmlToText, splitReply } from '../../../src/services/gmail/utils/bodyParser.js';
+
+const fixture = name => readFileSync(new URL(`../../fixtures/email/${name}`, import.meta.url), 'utf8');
+
+const part = (mimeType, content, headers = {}) => ({
+  mimeType,
+  headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+  body: { data: Buffer.from(content).toString('base64') }
+});
+
+test('a Gmail plain-text reply is split at the wrapped attribution line', () => {
+  const body = extractEmailBody(part('text/plain', fixture('gmail-reply.txt')));
+
+  assert.equal(body.fresh, 'Hi Michelle,\n\nCould you tell me when my appraisal will be ready?\n\nThanks,\nJane');
+  assert.match(body.quoted, /^On Mon, Oct 12, 2026 at 9:14 AM Appraisily <info@appraisily\.com>\nwrote:/);
+  assert.equal(body.isHtml, false);
+});
+
+test('a Gmail HTML reply loses its gmail_quote container', () => {
+  const body = extractEmailBody(part('text/html', fixture('gmail-reply.html')));
+
+  assert.equal(body.isHtml, true);
+  assert.equal(body.fresh, 'Hi Michelle,\n\nCould you tell me when my appraisal will be ready? The painting is 24 x 36".\n\nThanks,\nJane');
+  assert.match(body.quoted, /> We received your photos and started the appraisal\./);
+});
+
+test('Outlook replies are split at the From/Sent header block', () => {
+  const plain = extractEmailBody(part('text/plain', fixture('outlook-reply.txt')));
+  const html = extractEmailBody(part('text/html', fixture('outlook-reply.html')));
+  const fresh = 'Hello,\n\nI was charged twice for the same appraisal. Can you refund one of them?\n\nBest regards\nTom Baker';
+
+  assert.equal(plain.fresh, fresh);
+  assert.match(plain.quoted, /^_{10,}\nFrom: Appraisily/);
+  assert.equal(html.fresh, fresh);
+  assert.match(html.quoted, /^-----Original Message-----\nFrom: Appraisily/);
+  assert.doesNotMatch(html.text, /Calibri|margin/);
+});
+
+test('"-- " and mobile signatures are kept out of the fresh text', () => {
+  const dashes = splitReply('Is my appraisal done?\n-- \nJane Doe\nCollector, Boston');
+  const mobile = splitReply('Is my appraisal done?\n\nSent from my iPhone');
+
+  assert.equal(dashes.fresh, 'Is my appraisal done?');
+  assert.equal(dashes.signature, '-- \nJane Doe\nCollector, Boston');
+  assert.equal(mobile.fresh, 'Is my appraisal done?');
+  assert.equal(mobile.signature, 'Sent from my iPhone');
+});
+
+test('a message that is all quote keeps its text as fresh content', () => {
+  const reply = splitReply('> Hello Jane,\n> We received your photos.');
+
+  assert.equal(reply.fresh, '> Hello Jane,\n> We received your photos.');
+  assert.equal(reply.quoted, '> Hello Jane,\n> We received your photos.');
+});
+
+test('text/plain is preferred in multipart/alternative and attachments are skipped', () => {
+  const payload = {
+    mimeType: 'multipart/mixed',
+    parts: [
+      {
+        mimeType: 'multipart/alternative',
+        parts: [part('text/plain', 'Plain version'), part('text/html', '<p>HTML version</p>')]
+      },
+      part('text/plain', 'attached notes', { 'Content-Disposition': 'attachment; filename="notes.txt"' })
+    ]
+  };
+
+  const body = extractEmailBody(payload);
+
+  assert.equal(body.text, 'Plain version');
+  assert.equal(body.isHtml, false);
+});
+
+test('double-encoded quoted-printable bodies are decoded with their charset', () => {
+  const encoded = 'Gr=FC=DFe aus M=FCnchen, ich m=F6chte ein Gem=E4lde sch=\n=E4tzen lassen.';
+  const body = extractEmailBody(part('text/plain', encoded, {
+    'Content-Type': 'text/plain; charset="iso-8859-1"',
+    'Content-Transfer-Encoding': 'quoted-printable'
+  }));
+
+  assert.equal(body.text, 'Grüße aus München, ich möchte ein Gemälde schätzen lassen.');
+});
+
+test('HTML lists, links and entities become readable text', () => {
+  const text = htmlToText('<ul><li>Oil &amp; canvas</li><li>Signed &#8220;J.&#8221;</li></ul><p><a href="https://example.com/item">Listing</a></p>');
+
+  assert.match(text, /• Oil & canvas\n/);
+  assert.match(text, /• Signed “J\.”/);
+  assert.match(text, /Listing \(https:\/\/example\.com\/item\)/);
+});
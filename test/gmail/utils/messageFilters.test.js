@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { detectAutomatedMail, shouldProcessMessage } from '../../../src/services/gmail/utils/messageFilters.js';
+
+const OUR_EMAIL = 'support@example.com';
+
+// Turn a raw .eml fixture into the Gmail message resource and body text
+function loadMessage(name) {
+  const raw = readFileSync(new URL(`../../fixtures/email/${name}`, import.meta.url), 'utf8');
+  const [head, ...body] = raw.split(/\r?\n\r?\n/);
+  const headers = head
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .map(line => {
+      const colon = line.indexOf(':');
+      return { name: line.slice(0, colon), value: line.slice(colon + 1).trim() };
+    });
+  const contentType = headers.find(h => h.name.toLowerCase() === 'content-type')?.value || 'text/plain';
+
+  return {
+    message: { id: name, payload: { mimeType: contentType.split(';')[0], headers } },
+    bodyText: body.join('\n\n')
+  };
+}
+
+test('a bounce is a delivery report', () => {
+  const { message, bodyText } = loadMessage('bounce.eml');
+
+  const result = detectAutomatedMail(message, bodyText);
+
+  assert.equal(result.automated, true);
+  assert.equal(result.reason, 'AUTO_SUBMITTED');
+  assert.equal(shouldProcessMessage(message, OUR_EMAIL, bodyText).shouldProcess, false);
+});
+
+test('a bounce without Auto-Submitted is caught by its report content type', () => {
+  const { message, bodyText } = loadMessage('bounce.eml');
+  message.payload.headers = message.payload.headers.filter(h => h.name !== 'Auto-Submitted');
+
+  assert.equal(detectAutomatedMail(message, bodyText).reason, 'DELIVERY_REPORT');
+});
+
+test('an Outlook out-of-office reply is automated', () => {
+  const { message, bodyText } = loadMessage('out-of-office.eml');
+
+  assert.equal(detectAutomatedMail(message, bodyText).automated, true);
+
+  message.payload.headers = message.payload.headers.filter(h => h.name !== 'Auto-Submitted');
+  assert.equal(detectAutomatedMail(message, bodyText).reason, 'OUT_OF_OFFICE');
+});
+
+test('a short out-of-office body with an ordinary subject is automated', () => {
+  const { message, bodyText } = loadMessage('out-of-office-body.eml');
+
+  assert.equal(detectAutomatedMail(message, bodyText).reason, 'OUT_OF_OFFICE');
+});
+
+test('list mail is skipped', () => {
+  const { message, bodyText } = loadMessage('list-mail.eml');
+
+  assert.equal(detectAutomatedMail(message, bodyText).reason, 'BULK_PRECEDENCE');
+
+  message.payload.headers = message.payload.headers.filter(h => h.name !== 'Precedence');
+  assert.equal(detectAutomatedMail(message, bodyText).reason, 'MAILING_LIST');
+});
+
+test('an ordinary Outlook message with X-Auto-Response-Suppress is processed', () => {
+  const { message, bodyText } = loadMessage('outlook-message.eml');
+
+  assert.deepEqual(detectAutomatedMail(message, bodyText), { automated: false, reason: null, detail: null });
+  assert.deepEqual(shouldProcessMessage(message, OUR_EMAIL, bodyText), {
+    shouldProcess: true,
+    reason: 'VALID_INCOMING_MESSAGE'
+  });
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { handleWebhook } from '../../src/services/gmail/webhook.js';
+
+const push = data => ({
+  message: { messageId: 'pubsub-1', data: Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)).toString('base64') },
+  subscription: 'projects/test/subscriptions/gmail'
+});
+
+test('malformed notifications are reported without throwing, so they can be acknowledged', () => {
+  const cases = [
+    [{ subscription: 'projects/test/subscriptions/gmail' }, 'Invalid Pub/Sub message format'],
+    [push('not json'), 'Notification data is not JSON'],
+    [push({ emailAddress: 'info@example.com' }), 'No historyId in notification'],
+    [push({ emailAddress: 'info@example.com', historyId: '12ab' }), 'Invalid historyId in notification']
+  ];
+
+  for (const [body, reason] of cases) {
+    const result = handleWebhook(body);
+
+    assert.equal(result.accepted, false);
+    assert.equal(result.malformed, true);
+    assert.equal(result.reason, reason);
+    assert.equal(result.jobId, null);
+  }
+});
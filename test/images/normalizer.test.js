@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import sharp from 'sharp';
+import { normalizeImage } from '../../src/services/images/normalizer.js';
+
+// 64x48 HEIC with an HEVC (hvc1) image item: red left half, blue right half
+const HEVC_FIXTURE = new URL('../fixtures/hevc.heic', import.meta.url);
+
+test('HEVC-coded HEIC images are decoded and converted to JPEG', async () => {
+  const buffer = await readFile(HEVC_FIXTURE);
+
+  const result = await normalizeImage(buffer, { filename: 'IMG_0001.HEIC', mimeType: 'image/heic' });
+
+  assert.equal(result.mimeType, 'image/jpeg');
+  assert.equal(result.filename, 'IMG_0001.jpg');
+  assert.equal(result.metadata.originalFormat, 'heif');
+  assert.equal(result.metadata.format, 'jpeg');
+  assert.equal(result.metadata.width, 64);
+  assert.equal(result.metadata.height, 48);
+
+  const { data, info } = await sharp(result.buffer).raw().toBuffer({ resolveWithObject: true });
+  const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+  const [leftRed, , leftBlue] = pixel(8, 24);
+  const [rightRed, , rightBlue] = pixel(56, 24);
+
+  assert.ok(leftRed > 180 && leftBlue < 90, `left half should be red, got ${pixel(8, 24)}`);
+  assert.ok(rightBlue > 160 && rightRed < 80, `right half should be blue, got ${pixel(56, 24)}`);
+});
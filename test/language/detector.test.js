@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, test } from 'node:test';
+
+// Offline run: fake model, usage counters in a temp dir
+const stateDir = mkdtempSync(path.join(tmpdir(), 'language-'));
+process.env.STATE_DIR = stateDir;
+process.env.LLM_PROVIDER = 'fake';
+
+const { LlmTask, createFakeProvider, setLlmProvider } = await import('../../src/services/llm/index.js');
+const { DEFAULT_LANGUAGE, detectLanguage, languageInstruction } = await import('../../src/services/language/index.js');
+
+const SPANISH = { code: 'es', name: 'Spanish', confidence: 0.95, translation: 'Hello, I want to know the value of my painting.' };
+const CHAT_LANGUAGE = { code: 'de', name: 'German', confidence: 0.9, source: 'model', translation: 'Earlier message' };
+
+let provider;
+
+beforeEach(() => {
+  provider = createFakeProvider({ script: {} });
+  setLlmProvider(provider);
+});
+
+after(() => rmSync(stateDir, { recursive: true, force: true }));
+
+// Detections are cached by text, so every test uses its own wording
+test('plain English is recognised without calling the model', async () => {
+  const language = await detectLanguage('Hi, could you tell me what my painting is worth?');
+
+  assert.deepEqual(language, { code: 'en', name: 'English', confidence: 0.9, source: 'heuristic', translation: null });
+  assert.equal(provider.calls.length, 0);
+});
+
+test('English with typographic quotes and dashes still skips the model', async () => {
+  const language = await detectLanguage('I’m writing about the appraisal — when is it ready?');
+
+  assert.equal(language.source, 'heuristic');
+  assert.equal(provider.calls.length, 0);
+});
+
+test('text too short to judge keeps the fallback without its translation', async () => {
+  const language = await detectLanguage('Danke!', { fallback: CHAT_LANGUAGE });
+
+  assert.deepEqual(language, { ...CHAT_LANGUAGE, translation: null });
+  assert.deepEqual(await detectLanguage('   '), DEFAULT_LANGUAGE);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('accented text goes to the model, and the answer is cached', async () => {
+  provider.script(LlmTask.LANGUAGE_DETECTION, JSON.stringify(SPANISH));
+  const text = 'Hola, quiero saber el valor de mi pintura, ¿es posible?';
+
+  const language = await detectLanguage(text);
+  const again = await detectLanguage(text);
+
+  assert.deepEqual(language, { ...SPANISH, source: 'model' });
+  assert.deepEqual(again, language);
+  assert.deepEqual(provider.calls.map(({ task }) => task), [LlmTask.LANGUAGE_DETECTION]);
+});
+
+test('ASCII text with too few English words goes to the model', async () => {
+  provider.script(LlmTask.LANGUAGE_DETECTION, JSON.stringify({ code: 'nl', name: 'Dutch', confidence: 0.8, translation: 'Good day, thanks' }));
+
+  const language = await detectLanguage('Goedendag, bedankt voor uw snelle antwoord');
+
+  assert.equal(language.code, 'nl');
+  assert.equal(language.translation, 'Good day, thanks');
+  assert.equal(provider.calls.length, 1);
+});
+
+test('a low-confidence or malformed answer keeps the fallback', async () => {
+  provider.script(LlmTask.LANGUAGE_DETECTION, [
+    JSON.stringify({ code: 'pt', name: 'Portuguese', confidence: 0.4 }),
+    JSON.stringify({ name: 'Portuguese', confidence: 0.9 })
+  ]);
+
+  assert.deepEqual(await detectLanguage('Olá, obrigado pela avaliação', { fallback: CHAT_LANGUAGE }), { ...CHAT_LANGUAGE, translation: null });
+  assert.deepEqual(await detectLanguage('Olá, gostaria de saber o preço'), DEFAULT_LANGUAGE);
+});
+
+test('a model failure keeps the fallback', async () => {
+  provider.script(LlmTask.LANGUAGE_DETECTION, { error: 'model unavailable' });
+
+  const language = await detectLanguage('Bonjour, je voudrais une estimation de mon tableau', { fallback: CHAT_LANGUAGE });
+
+  assert.deepEqual(language, { ...CHAT_LANGUAGE, translation: null });
+});
+
+test('the reply instruction names the language, and is empty for English', () => {
+  assert.equal(languageInstruction(null), '');
+  assert.equal(languageInstruction(DEFAULT_LANGUAGE), '');
+  assert.match(languageInstruction({ code: 'es', name: 'Spanish' }), /^LANGUAGE: The customer writes in Spanish\. Write your entire reply in Spanish/);
+});
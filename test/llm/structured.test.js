@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, test } from 'node:test';
+import { z } from 'zod';
+
+// Offline run: fake model, usage counters in a temp dir
+const stateDir = mkdtempSync(path.join(tmpdir(), 'structured-'));
+process.env.STATE_DIR = stateDir;
+process.env.LLM_PROVIDER = 'fake';
+
+const { LlmTask, completeStructured, createFakeProvider, setLlmProvider } = await import('../../src/services/llm/index.js');
+
+const schema = z.object({
+  summary: z.string(),
+  topics: z.array(z.string()),
+  sentiment: z.enum(['positive', 'neutral', 'negative'])
+});
+const defaults = { summary: '', topics: [], sentiment: 'neutral' };
+const valid = { summary: 'Asks about a painting', topics: ['appraisal'], sentiment: 'positive' };
+
+let provider;
+
+beforeEach(() => {
+  provider = createFakeProvider({ script: {} });
+  setLlmProvider(provider);
+});
+
+after(() => rmSync(stateDir, { recursive: true, force: true }));
+
+const run = () => completeStructured(LlmTask.CHAT_ANALYSIS, {
+  messages: [{ role: 'user', content: 'Summarise this chat' }],
+  schema,
+  schemaName: 'chat_analysis',
+  defaults
+});
+
+test('a valid answer is returned without a repair call', async () => {
+  provider.script(LlmTask.CHAT_ANALYSIS, JSON.stringify(valid));
+
+  assert.deepEqual(await run(), { data: valid, valid: true, repaired: false });
+  assert.equal(provider.calls.length, 1);
+});
+
+test('JSON wrapped in a code fence is accepted', async () => {
+  provider.script(LlmTask.CHAT_ANALYSIS, `\`\`\`json\n${JSON.stringify(valid)}\n\`\`\``);
+
+  assert.deepEqual(await run(), { data: valid, valid: true, repaired: false });
+});
+
+test('an invalid answer is repaired with the validation errors', async () => {
+  const wrong = JSON.stringify({ summary: 'Asks about a painting', topics: 'appraisal' });
+  provider.script(LlmTask.CHAT_ANALYSIS, [wrong, JSON.stringify(valid)]);
+
+  const result = await run();
+
+  assert.deepEqual(result, { data: valid, valid: true, repaired: true });
+  assert.equal(provider.calls.length, 2);
+
+  const [, assistant, correction] = provider.calls[1].messages;
+  assert.deepEqual(assistant, { role: 'assistant', content: wrong });
+  assert.match(correction.content, /^Your previous response did not match the required JSON schema:/);
+  assert.match(correction.content, /^topics: /m);
+  assert.match(correction.content, /^sentiment: /m);
+});
+
+test('the defaults are returned when the repair is invalid too', async () => {
+  provider.script(LlmTask.CHAT_ANALYSIS, ['not json at all', JSON.stringify({ summary: 42 })]);
+
+  const result = await run();
+
+  assert.deepEqual(result, { data: defaults, valid: false, repaired: false });
+  assert.equal(provider.calls.length, 2);
+  assert.match(provider.calls[1].messages.at(-1).content, /Not valid JSON/);
+});
+
+test('provider errors are thrown, not replaced by the defaults', async () => {
+  provider.script(LlmTask.CHAT_ANALYSIS, { error: 'rate limited' });
+
+  await assert.rejects(run(), /rate limited/);
+});
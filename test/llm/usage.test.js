@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, afterEach, test } from 'node:test';
+import { FieldValue, Timestamp } from '@google-cloud/firestore';
+
+// STATE_DIR is read when the state store module loads
+const stateDir = mkdtempSync(path.join(tmpdir(), 'llm-usage-'));
+process.env.STATE_DIR = stateDir;
+const { setFirestore } = await import('../../src/utils/firestore.js');
+const { FileUsageStore, FirestoreUsageStore, setUsageStore } = await import('../../src/services/llm/usage/store.js');
+const { getBudgetStatus, getUsageReport, recordUsage } = await import('../../src/services/llm/usage/tracker.js');
+
+after(() => rmSync(stateDir, { recursive: true, force: true }));
+
+afterEach(() => {
+  delete process.env.LLM_DAILY_BUDGET_USD;
+  delete process.env.LLM_MONTHLY_BUDGET_USD;
+  setFirestore(null);
+});
+
+// Fixed times on both sides of a UTC month boundary
+const MARCH_31 = new Date('2026-03-31T23:30:00Z');
+const APRIL_1 = new Date('2026-04-01T00:30:00Z');
+const APRIL_1_NOON = new Date('2026-04-01T12:00:00Z');
+
+const usage = (promptTokens, completionTokens) => ({
+  provider: 'openai',
+  model: 'gpt-4o',
+  usage: { promptTokens, completionTokens }
+});
+
+// 100k prompt tokens at $2.50/M plus 10k completion tokens at $10/M
+const RESULT = usage(100000, 10000);
+
+test('calls count against the UTC day and month they were made in', async () => {
+  setUsageStore(new FileUsageStore('report-test'));
+  process.env.LLM_DAILY_BUDGET_USD = '0.5';
+
+  const first = await recordUsage({ task: 'classification', messages: [], result: RESULT, now: MARCH_31 });
+  await recordUsage({ task: 'replyGeneration', messages: [], result: RESULT, now: MARCH_31 });
+  await recordUsage({ task: 'replyGeneration', messages: [], result: RESULT, now: APRIL_1 });
+
+  assert.equal(first.costUsd, 0.35);
+
+  const march = await getBudgetStatus(MARCH_31);
+  assert.equal(march.daily.spentUsd, 0.7);
+  assert.equal(march.daily.exceeded, true);
+  assert.equal(march.monthly.spentUsd, 0.7);
+
+  const report = await getUsageReport({ days: 3, now: APRIL_1_NOON });
+  assert.equal(report.generatedAt, APRIL_1_NOON.toISOString());
+  assert.equal(report.today.calls, 1);
+  assert.equal(report.month.calls, 1);
+  assert.equal(report.month.byTask.replyGeneration.calls, 1);
+  assert.deepEqual(report.days.map(({ date, calls }) => ({ date, calls })), [
+    { date: '2026-04-01', calls: 1 },
+    { date: '2026-03-31', calls: 2 }
+  ]);
+  assert.equal(report.budget.daily.spentUsd, 0.35);
+  assert.equal(report.budget.daily.exceeded, false);
+});
+
+test('Firestore counts cost in integer micro-dollars and reads it back in dollars', async () => {
+  const firestore = createFakeFirestore();
+  setFirestore(firestore);
+  setUsageStore(new FirestoreUsageStore());
+  process.env.LLM_MONTHLY_BUDGET_USD = '0.3';
+
+  // 40k prompt tokens at $2.50/M is $0.10; three of them add up to 0.30000000000000004 as floats
+  for (const task of ['classification', 'replyGeneration', 'replyGeneration']) {
+    await recordUsage({ task, messages: [], result: usage(40000, 0), now: MARCH_31 });
+  }
+
+  const day = firestore.docs.get('michelle-llm-usage/day-2026-03-31');
+  const month = firestore.docs.get('michelle-llm-usage/month-2026-03');
+  assert.equal(day.costMicroUsd, 300000);
+  assert.equal(day.calls, 3);
+  assert.equal(day.byTask.replyGeneration.costMicroUsd, 200000);
+  assert.equal(day.byModel['gpt-4o'].costMicroUsd, 300000);
+  assert.equal(month.costMicroUsd, 300000);
+  assert.ok(day.expireAt instanceof Timestamp);
+
+  const budget = await getBudgetStatus(MARCH_31);
+  assert.equal(budget.monthly.spentUsd, 0.3);
+  assert.equal(budget.monthly.exceeded, true);
+
+  const report = await getUsageReport({ days: 2, now: APRIL_1 });
+  assert.equal(report.month, null);
+  assert.deepEqual(report.days.map(({ date }) => date), ['2026-03-31']);
+  assert.deepEqual(report.days[0].byTask.classification, {
+    calls: 1,
+    promptTokens: 40000,
+    completionTokens: 0,
+    imageTokens: 0,
+    costUsd: 0.1
+  });
+});
+
+// Just enough of the Firestore client for the usage store: merged batch
+// writes that apply increments, and document reads
+function createFakeFirestore() {
+  const docs = new Map();
+  const snapshot = docPath => ({ exists: docs.has(docPath), data: () => docs.get(docPath) });
+  const ref = docPath => ({ path: docPath, get: async () => snapshot(docPath) });
+
+  return {
+    docs,
+    collection: name => ({ doc: id => ref(`${name}/${id}`) }),
+    batch() {
+      const writes = [];
+      return {
+        set: (docRef, data) => writes.push([docRef.path, data]),
+        commit: async () => {
+          for (const [docPath, data] of writes) {
+            docs.set(docPath, applyWrite(docs.get(docPath) || {}, data));
+          }
+        }
+      };
+    },
+    getAll: async (...refs) => refs.map(docRef => snapshot(docRef.path))
+  };
+}
+
+function applyWrite(current, data) {
+  const next = { ...current };
+  for (const [key, value] of Object.entries(data)) {
+    if (value instanceof FieldValue) {
+      next[key] = (next[key] || 0) + value.operand;
+    } else if (value && typeof value === 'object' && !(value instanceof Timestamp)) {
+      next[key] = applyWrite(next[key] || {}, value);
+    } else {
+      next[key] = value;
+    }
+  }
+  return next;
+}
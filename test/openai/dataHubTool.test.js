@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { runDataHubTool } from '../../src/services/openai/response/dataHubTool.js';
+
+process.env.DATA_HUB_OFFLINE = 'true';
+
+const SENDER = 'customer@example.com';
+const endpoints = [{ path: '/api/appraisals/pending', method: 'GET' }, { path: '/api/sales', method: 'GET' }];
+
+const call = args => ({ id: 'call_1', name: 'queryDataHub', arguments: JSON.stringify({ method: 'GET', ...args }) });
+
+test('lookups always use the sender\'s email address', async () => {
+  const lookup = await runDataHubTool(
+    call({ endpoint: '/api/appraisals/pending', params: { email: 'someone.else@example.com' } }),
+    { senderEmail: SENDER, endpoints }
+  );
+
+  assert.equal(lookup.error, null);
+  assert.deepEqual(lookup.params, { email: SENDER });
+});
+
+test('lookups by session ID or WordPress slug are refused', async () => {
+  for (const params of [{ sessionId: 'cs_live_123' }, { email: SENDER, wordpressSlug: 'oil-painting' }]) {
+    const lookup = await runDataHubTool(call({ endpoint: '/api/sales', params }), { senderEmail: SENDER, endpoints });
+
+    assert.match(lookup.error, /limited to the sender's own email address/);
+    assert.equal(lookup.data, null);
+  }
+});
+
+test('only listed endpoints can be queried', async () => {
+  const lookup = await runDataHubTool(call({ endpoint: '/api/admin/users' }), { senderEmail: SENDER, endpoints });
+
+  assert.equal(lookup.error, 'Unknown DataHub endpoint: /api/admin/users');
+});
+
+test('without a sender address nothing is looked up', async () => {
+  const lookup = await runDataHubTool(call({ endpoint: '/api/sales' }), { endpoints });
+
+  assert.match(lookup.error, /need the sender's email address/);
+});
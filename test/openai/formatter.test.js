@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatDocumentExcerpts } from '../../src/services/openai/response/formatter.js';
+
+test('documents cut off by the text budget are marked as left out, not unreadable', () => {
+  const text = formatDocumentExcerpts([
+    { filename: 'appraisal.pdf', excerpt: 'Oil on canvas…', truncated: true, pageCount: 4, scanned: false, images: [] },
+    { filename: 'invoice.docx', excerpt: '', truncated: true, pageCount: null, scanned: false, images: [] }
+  ]);
+
+  assert.match(text, /\[appraisal\.pdf, 4 page\(s\)\]\nOil on canvas…\n\(excerpt, document continues\)/);
+  assert.match(text, /\[invoice\.docx\] Text left out; the document text limit for this email was reached\./);
+  assert.doesNotMatch(text, /No readable text/);
+});
+
+test('documents without text are reported as unreadable', () => {
+  const text = formatDocumentExcerpts([
+    { filename: 'empty.pdf', excerpt: '', truncated: false, pageCount: 1, scanned: false, images: [] }
+  ]);
+
+  assert.match(text, /\[empty\.pdf, 1 page\(s\)\] No readable text\./);
+});
+
+test('scanned documents say whether their pages were included', () => {
+  const text = formatDocumentExcerpts([
+    { filename: 'scan.pdf', excerpt: '', truncated: false, pageCount: 2, scanned: true, images: [{}] },
+    { filename: 'late.pdf', excerpt: '', truncated: false, pageCount: 2, scanned: true, images: [], omittedPages: 2 }
+  ]);
+
+  assert.match(text, /\[scan\.pdf, 2 page\(s\)\] Scanned document; its first pages are included with the images\./);
+  assert.match(text, /\[late\.pdf, 2 page\(s\)\] Scanned document; its pages were left out/);
+});
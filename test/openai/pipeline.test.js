@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, test } from 'node:test';
+
+// Offline run: fake model, offline Data Hub, usage counters in a temp dir
+const stateDir = mkdtempSync(path.join(tmpdir(), 'pipeline-'));
+process.env.STATE_DIR = stateDir;
+process.env.LLM_PROVIDER = 'fake';
+
+const { LlmTask, createFakeProvider, setLlmProvider } = await import('../../src/services/llm/index.js');
+const { classifyAndProcessEmail } = await import('../../src/services/openai/index.js');
+
+const SENDER = 'customer@example.com';
+let provider;
+
+beforeEach(() => {
+  provider = createFakeProvider({ script: {} });
+  setLlmProvider(provider);
+});
+
+after(() => rmSync(stateDir, { recursive: true, force: true }));
+
+test('an email is classified and answered through the fake provider', async () => {
+  const result = await classifyAndProcessEmail('Hi, I need a refund for the duplicate charge on my card.', SENDER);
+
+  assert.equal(result.requiresReply, true);
+  assert.equal(result.classification.intent, 'PAYMENT_ISSUE');
+  assert.match(result.generatedReply, /^Thank you for your message\. This is an offline reply/);
+  assert.deepEqual(provider.calls.map(({ task }) => task), [LlmTask.CLASSIFICATION, LlmTask.REPLY_GENERATION]);
+});
+
+test('Data Hub lookups in the reply are answered offline', async () => {
+  provider.script(LlmTask.REPLY_GENERATION, [
+    { toolCalls: [{ name: 'queryDataHub', arguments: { endpoint: '/api/appraisals/pending', method: 'GET' } }] },
+    'We could not find a pending appraisal under this address.'
+  ]);
+
+  const result = await classifyAndProcessEmail('What is the status of my appraisal?', SENDER);
+
+  assert.equal(result.classification.intent, 'STATUS_INQUIRY');
+  assert.equal(result.generatedReply, 'We could not find a pending appraisal under this address.');
+
+  const toolMessage = provider.calls.at(-1).messages.find(message => message.role === 'tool');
+  assert.deepEqual(JSON.parse(toolMessage.content), { appraisals: [], total: 0 });
+});
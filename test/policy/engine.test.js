@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import { PolicyAction, decideReplyAction, loadPolicy } from '../../src/services/policy/index.js';
+
+const configDir = mkdtempSync(path.join(tmpdir(), 'policy-'));
+after(() => rmSync(configDir, { recursive: true, force: true }));
+
+const bundled = loadPolicy();
+
+const classification = overrides => ({
+  intent: 'GENERAL_INQUIRY',
+  urgency: 'medium',
+  sentiment: 'neutral',
+  suggestedResponseType: 'brief',
+  requiresReply: true,
+  ...overrides
+});
+
+function writePolicy(name, policy) {
+  const file = path.join(configDir, `${name}.json`);
+  writeFileSync(file, JSON.stringify(policy));
+  return file;
+}
+
+test('the first matching rule wins', () => {
+  // Matches both payment-issue-draft and high-urgency-draft; the earlier rule decides
+  const decision = decideReplyAction(classification({ intent: 'PAYMENT_ISSUE', urgency: 'high' }), {}, bundled);
+
+  assert.equal(decision.ruleId, 'payment-issue-draft');
+  assert.equal(decision.action, PolicyAction.DRAFT);
+  assert.equal(decision.policyVersion, bundled.version);
+});
+
+test('routine status questions are auto-sent, urgent ones drafted', () => {
+  assert.equal(decideReplyAction(classification({ intent: 'STATUS_INQUIRY' }), {}, bundled).action, PolicyAction.AUTO_SEND);
+  assert.equal(
+    decideReplyAction(classification({ intent: 'STATUS_INQUIRY', urgency: 'high' }), {}, bundled).ruleId,
+    'high-urgency-draft'
+  );
+});
+
+test('context facts can be matched alongside the classification', () => {
+  const policy = {
+    version: 'test',
+    defaultAction: PolicyAction.AUTO_SEND,
+    rules: [{ id: 'images-draft', when: { hasImages: true }, action: PolicyAction.DRAFT }]
+  };
+
+  assert.equal(decideReplyAction(classification(), { hasImages: true }, policy).ruleId, 'images-draft');
+  assert.equal(decideReplyAction(classification(), { hasImages: false }, policy).ruleId, 'default');
+});
+
+test('without a matching rule the default action is used', () => {
+  const decision = decideReplyAction(classification({ intent: 'APPRAISAL_LEAD' }), {}, bundled);
+
+  assert.equal(decision.ruleId, 'default');
+  assert.equal(decision.action, bundled.defaultAction);
+  assert.equal(decision.notify, false);
+});
+
+test('notify is carried on the decision', () => {
+  const decision = decideReplyAction(classification({ intent: 'FEEDBACK', sentiment: 'negative' }), {}, bundled);
+
+  assert.equal(decision.ruleId, 'negative-feedback-hold');
+  assert.equal(decision.action, PolicyAction.HOLD);
+  assert.equal(decision.notify, true);
+});
+
+test('invalid configs are rejected', () => {
+  const rule = { id: 'rule', when: { urgency: 'low' }, action: PolicyAction.DRAFT };
+  const cases = [
+    [{ defaultAction: PolicyAction.DRAFT, rules: [] }, /must have a version/],
+    [{ version: '1', defaultAction: 'send_now', rules: [] }, /Invalid default policy action/],
+    [{ version: '1', defaultAction: PolicyAction.DRAFT, rules: {} }, /rules must be an array/],
+    [{ version: '1', defaultAction: PolicyAction.DRAFT, rules: [rule, rule] }, /ids must be unique/],
+    [{ version: '1', defaultAction: PolicyAction.DRAFT, rules: [{ ...rule, action: 'send_now' }] }, /Invalid action "send_now"/],
+    [{ version: '1', defaultAction: PolicyAction.DRAFT, rules: [{ ...rule, action: PolicyAction.AUTO_SEND, notify: true }] }, /cannot notify staff and auto-send/],
+    [{ version: '1', defaultAction: PolicyAction.DRAFT, rules: [{ id: 'rule', action: PolicyAction.DRAFT }] }, /must define "when" conditions/]
+  ];
+
+  cases.forEach(([policy, error], index) => {
+    assert.throws(() => loadPolicy(writePolicy(`invalid-${index}`, policy)), error);
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// The experiment config is read on first render
+const configDir = mkdtempSync(path.join(tmpdir(), 'prompt-config-'));
+process.env.PROMPT_EXPERIMENTS_PATH = path.join(configDir, 'experiments.json');
+writeFileSync(process.env.PROMPT_EXPERIMENTS_PATH, JSON.stringify({
+  version: 'test',
+  active: { 'test.greeting': 1 },
+  experiments: [{
+    id: 'greeting-split',
+    promptId: 'test.greeting',
+    enabled: true,
+    variants: [{ version: 1, weight: 50 }, { version: 2, weight: 50 }]
+  }]
+}));
+
+const { UsageChannel, createInteraction, runWithInteraction } = await import('../../src/services/llm/index.js');
+const { registerPrompt, renderPrompt } = await import('../../src/services/prompts/index.js');
+
+registerPrompt({ id: 'test.greeting', version: 1, template: 'Hello.' });
+registerPrompt({ id: 'test.greeting', version: 2, template: 'Hi there.' });
+
+after(() => rmSync(configDir, { recursive: true, force: true }));
+
+const renderForMessage = (messageId, threadId) => runWithInteraction(
+  createInteraction({ channel: UsageChannel.EMAIL, interactionId: messageId, assignmentKey: threadId }),
+  () => renderPrompt('test.greeting').version
+);
+
+test('every message of a thread gets the same prompt variant', async () => {
+  const versions = await Promise.all(
+    Array.from({ length: 20 }, (_, index) => renderForMessage(`message-${index}`, 'thread-1'))
+  );
+
+  assert.equal(new Set(versions).size, 1);
+});
+
+test('threads are split between the variants', async () => {
+  const versions = await Promise.all(
+    Array.from({ length: 20 }, (_, index) => renderForMessage(`message-${index}`, `thread-${index}`))
+  );
+
+  assert.deepEqual([...new Set(versions)].sort(), [1, 2]);
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, test } from 'node:test';
+import {
+  PushAuthErrorCode,
+  PushAuthMethod,
+  createStaticKeySource,
+  setPushKeySource,
+  verifyPushRequest
+} from '../../src/services/pubsub/pushAuth/index.js';
+
+const AUDIENCE = 'https://michelle.example.com/api/gmail/webhook';
+const PUSH_ACCOUNT = 'gmail-push@project.iam.gserviceaccount.com';
+const KID = 'test-key';
+
+const config = {
+  disabled: false,
+  oidcEnabled: true,
+  audience: AUDIENCE,
+  serviceAccountEmail: PUSH_ACCOUNT,
+  issuers: ['https://accounts.google.com'],
+  verificationToken: null
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+setPushKeySource(createStaticKeySource([{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }]));
+after(() => setPushKeySource(null));
+
+// Signs a token the way Google does for Pub/Sub push subscriptions
+function signToken(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: 'https://accounts.google.com',
+    aud: AUDIENCE,
+    email: PUSH_ACCOUNT,
+    email_verified: true,
+    sub: '1234567890',
+    iat: now,
+    exp: now + 3600,
+    ...overrides
+  };
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', kid: KID, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+const verifyBearer = token => verifyPushRequest({ authorization: `Bearer ${token}` }, config);
+
+test('accepts a token signed for the push audience and service account', async () => {
+  const result = await verifyBearer(signToken());
+
+  assert.equal(result.success, true);
+  assert.equal(result.method, PushAuthMethod.OIDC);
+  assert.equal(result.claims.email, PUSH_ACCOUNT);
+});
+
+test('rejects a token minted for another audience', async () => {
+  const result = await verifyBearer(signToken({ aud: 'https://attacker.example.com' }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, PushAuthErrorCode.WRONG_AUDIENCE);
+});
+
+test('rejects an expired token', async () => {
+  const issuedAt = Math.floor(Date.now() / 1000) - 7200;
+  const result = await verifyBearer(signToken({ iat: issuedAt, exp: issuedAt + 3600 }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, PushAuthErrorCode.INVALID_TOKEN);
+  assert.match(result.error.message, /expired/);
+});
+
+test('rejects a token for another service account', async () => {
+  const result = await verifyBearer(signToken({ email: 'someone@gmail.com' }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, PushAuthErrorCode.WRONG_SERVICE_ACCOUNT);
+});
+
+test('rejects a token with a tampered payload', async () => {
+  const [header, , signature] = signToken().split('.');
+  const payload = Buffer.from(JSON.stringify({ aud: AUDIENCE, email: PUSH_ACCOUNT, email_verified: true })).toString('base64url');
+  const result = await verifyBearer(`${header}.${payload}.${signature}`);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, PushAuthErrorCode.INVALID_TOKEN);
+});
+
+test('rejects pushes when no authentication is configured', async () => {
+  const result = await verifyPushRequest(
+    { authorization: `Bearer ${signToken()}` },
+    { ...config, oidcEnabled: false, audience: null, serviceAccountEmail: null }
+  );
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, PushAuthErrorCode.NOT_CONFIGURED);
+});
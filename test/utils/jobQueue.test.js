@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { JobQueue, JobState } from '../../src/utils/jobQueue.js';
+
+// Retry timers are unref'd, so hold the event loop open while tests wait on them
+const keepAlive = setInterval(() => {}, 1000);
+after(() => clearInterval(keepAlive));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a failing job is retried with doubling backoff and told about its final attempt', async () => {
+  const queue = new JobQueue('retry-test', { maxAttempts: 3, retryDelay: 20 });
+  const calls = [];
+
+  const job = queue.enqueue({
+    key: 'thread-1',
+    type: 'message',
+    run: async ({ attempt, finalAttempt }) => {
+      calls.push({ attempt, finalAttempt, at: Date.now() });
+      if (attempt < 3) {
+        throw new Error(`attempt ${attempt} failed`);
+      }
+      return 'sent';
+    }
+  });
+
+  const outcome = await job.done;
+
+  assert.deepEqual(outcome, { jobId: job.id, attempts: 3, success: true, result: 'sent' });
+  assert.deepEqual(calls.map(({ attempt, finalAttempt }) => ({ attempt, finalAttempt })), [
+    { attempt: 1, finalAttempt: false },
+    { attempt: 2, finalAttempt: false },
+    { attempt: 3, finalAttempt: true }
+  ]);
+  // Timers may fire a millisecond early by Date.now(), so allow some slack
+  assert.ok(calls[1].at - calls[0].at >= 18);
+  assert.ok(calls[2].at - calls[1].at >= 38);
+  assert.equal(queue.inspect().counters.retried, 2);
+});
+
+test('a job that keeps failing is dead-lettered', async () => {
+  const queue = new JobQueue('dead-letter-test', { maxAttempts: 2, retryDelay: 5, maxDeadLetters: 1 });
+  const fail = message => async () => {
+    throw new Error(message);
+  };
+
+  const first = await queue.enqueue({ key: 'a', type: 'message', run: fail('first'), data: { n: 1 } }).done;
+  const second = queue.enqueue({ key: 'b', type: 'message', run: fail('second'), data: { n: 2 } });
+  const outcome = await second.done;
+
+  assert.equal(first.success, false);
+  assert.deepEqual(outcome, {
+    jobId: second.id,
+    attempts: 2,
+    success: false,
+    error: { code: 'JOB_FAILED', message: 'second' }
+  });
+
+  // Only the newest dead letter is kept
+  const { failed, counters } = queue.inspect();
+  assert.deepEqual(failed.map(({ data, state, lastError }) => ({ data, state, lastError })), [
+    { data: { n: 2 }, state: JobState.FAILED, lastError: 'second' }
+  ]);
+  assert.equal(counters.failed, 2);
+});
+
+test('jobs with the same key run one at a time in order, even across retries', async () => {
+  const queue = new JobQueue('serial-test', { concurrency: 4, maxAttempts: 2, retryDelay: 10 });
+  const events = [];
+  let failedOnce = false;
+
+  const first = queue.enqueue({
+    key: 'thread-1',
+    type: 'message',
+    run: async () => {
+      events.push('first:start');
+      await sleep(5);
+      if (!failedOnce) {
+        failedOnce = true;
+        events.push('first:fail');
+        throw new Error('transient');
+      }
+      events.push('first:end');
+    }
+  });
+  const second = queue.enqueue({
+    key: 'thread-1',
+    type: 'message',
+    run: async () => {
+      events.push('second:start');
+      events.push('second:end');
+    }
+  });
+
+  assert.equal(queue.findWaiting('thread-1').id, second.id);
+  await Promise.all([first.done, second.done]);
+
+  assert.deepEqual(events, ['first:start', 'first:fail', 'first:start', 'first:end', 'second:start', 'second:end']);
+});
+
+test('different keys run in parallel up to the concurrency limit', async () => {
+  const queue = new JobQueue('parallel-test', { concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const run = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(10);
+    running--;
+  };
+
+  const jobs = ['a', 'b', 'c'].map(key => queue.enqueue({ key, type: 'message', run }));
+  assert.equal(queue.inspect().queued.length, 1);
+  await Promise.all(jobs.map(job => job.done));
+
+  assert.equal(peak, 2);
+});
+
+test('enqueue is refused once the waiting list is full', async () => {
+  const queue = new JobQueue('full-test', { concurrency: 1, maxQueued: 1 });
+  let release;
+  const blocked = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const running = queue.enqueue({ key: 'a', type: 'message', run: () => blocked });
+  const waiting = queue.enqueue({ key: 'b', type: 'message', run: async () => {} });
+
+  assert.equal(queue.enqueue({ key: 'c', type: 'message', run: async () => {} }), null);
+  assert.equal(queue.inspect().counters.rejected, 1);
+
+  release();
+  await Promise.all([running.done, waiting.done]);
+});